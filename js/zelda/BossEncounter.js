@@ -0,0 +1,275 @@
+/**
+ * BossEncounter - runs a boss fight in a room
+ *
+ * DataRoom creates one for a room file's "boss" entry. The fight goes:
+ * - waiting: the boss sleeps ('dormant') until the player steps into the arena
+ * - intro: exits lock, the camera pans to the boss and its title card shows
+ *   while the player stands still (a short cutscene)
+ * - fighting: the boss's health bar is on the HUD until it dies
+ * - outro: the pack it summoned scatters, exits open and the outro text shows
+ * - won: over - ZeldaGame reports the win to the adventure's objectives
+ * - cleared: the boss was already beaten in a loaded save - reported like a
+ *   win, so a save made during the outro still counts the boss as defeated
+ *
+ * If the player falls mid-fight and continues from a checkpoint, reset()
+ * puts everything back to 'waiting'.
+ *
+ * The encounter only watches the boss - its attacks and phases live in the
+ * Boss subclass (see Boss.js).
+ */
+class BossEncounter {
+    /**
+     * @param {BaseRoom} room - Room the fight is in
+     * @param {Boss} boss - The boss (already in room.animals)
+     * @param {object} options - { arena: { x, y, width, height } in tiles (whole room by default) }
+     */
+    constructor(room, boss, options = {}) {
+        this.room = room;
+        this.boss = boss;
+        this.arena = options.arena || { x: 0, y: 0, width: room.width, height: room.height };
+        this.state = 'waiting';
+        this.stateTimer = 0;
+    }
+
+    setState(state) {
+        this.state = state;
+        this.stateTimer = 0;
+    }
+
+    /**
+     * @returns {boolean} True on the update the fight is won (after the outro),
+     *                    or when a loaded save already beat the boss
+     */
+    update(deltaTime, player) {
+        this.stateTimer += deltaTime;
+
+        switch (this.state) {
+            case 'waiting':
+                // Beaten in a loaded save - the room left it out
+                if (!this.room.animals.includes(this.boss)) {
+                    this.setState('cleared');
+                    return true;
+                } else if (player && this.isInArena(player.x, player.y)) {
+                    this.start(player);
+                }
+                break;
+            case 'intro':
+                if (this.stateTimer >= this.boss.intro.duration) {
+                    this.setState('fighting');
+                }
+                break;
+            case 'fighting':
+                if (this.boss.isDead) {
+                    this.finish();
+                }
+                break;
+            case 'outro':
+                if (this.stateTimer >= this.boss.outro.duration) {
+                    this.setState('won');
+                    console.log(`🏆 ${this.boss.bossName} encounter won`);
+                    return true;
+                }
+                break;
+        }
+        return false;
+    }
+
+    start(player) {
+        this.room.exitsLocked = true;
+        this.boss.startIntro(player);
+        this.setState('intro');
+        console.log(`🔒 The way out of ${this.room.roomName} is blocked!`);
+    }
+
+    finish() {
+        this.scatterPack();
+        this.room.exitsLocked = false;
+        this.setState('outro');
+        console.log(`🔓 ${this.boss.bossName} defeated - the exits of ${this.room.roomName} open`);
+    }
+
+    // The player fell - the boss goes back to sleep at full health and the exits open
+    reset() {
+        if (this.state !== 'intro' && this.state !== 'fighting') return;
+
+        this.scatterPack();
+        this.boss.reset();
+        this.room.exitsLocked = false;
+        this.setState('waiting');
+        console.log(`🔄 ${this.boss.bossName} fight starts over`);
+    }
+
+    // Anything the boss summoned runs off once it's gone
+    scatterPack() {
+        const before = this.room.animals.length;
+        this.room.animals = this.room.animals.filter(animal => animal.summoner !== this.boss);
+        const scattered = before - this.room.animals.length;
+        if (scattered > 0) {
+            console.log(`🐾 ${scattered} summoned ${scattered === 1 ? 'creature scatters' : 'creatures scatter'}`);
+        }
+    }
+
+    isInArena(x, y) {
+        const tileX = Math.floor(x / this.room.tileSize);
+        const tileY = Math.floor(y / this.room.tileSize);
+        return tileX >= this.arena.x && tileX < this.arena.x + this.arena.width &&
+               tileY >= this.arena.y && tileY < this.arena.y + this.arena.height;
+    }
+
+    // The player can't act while the boss is introduced
+    isCutscene() {
+        return this.state === 'intro';
+    }
+
+    /**
+     * Where the camera should look - slides over to the boss during the intro and back
+     * @returns {object} { x, y } in world pixels
+     */
+    getCameraFocus(player) {
+        if (this.state !== 'intro') return { x: player.x, y: player.y };
+
+        const duration = this.boss.intro.duration;
+        const pan = BossEncounter.CAMERA_PAN_TIME;
+        let amount = 1;
+        if (this.stateTimer < pan) {
+            amount = this.stateTimer / pan;
+        } else if (this.stateTimer > duration - pan) {
+            amount = Math.max(0, (duration - this.stateTimer) / pan);
+        }
+
+        return {
+            x: player.x + (this.boss.x - player.x) * amount,
+            y: player.y + (this.boss.y - player.y) * amount
+        };
+    }
+
+    // =====================================================
+    // RENDERING
+    // =====================================================
+
+    // World space: bars across the exits while they're locked
+    render(ctx) {
+        if (!this.room.exitsLocked) return;
+
+        const size = this.room.tileSize;
+        ctx.save();
+        for (const exit of this.room.exits) {
+            const x = exit.x * size;
+            const y = exit.y * size;
+            const width = (exit.width || 1) * size;
+            const height = (exit.height || 1) * size;
+
+            ctx.fillStyle = 'rgba(90, 20, 20, 0.6)';
+            ctx.fillRect(x, y, width, height);
+            ctx.strokeStyle = '#5c3a1e';
+            ctx.lineWidth = 2;
+            for (let bar = 3; bar < width; bar += 5) {
+                ctx.beginPath();
+                ctx.moveTo(x + bar, y);
+                ctx.lineTo(x + bar, y + height);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+
+    // Screen space: title card, boss health bar and outro text
+    renderHud(ctx, canvas) {
+        if (this.state === 'intro') {
+            this.renderTitleCard(ctx, canvas);
+        }
+        if (this.state === 'intro' || this.state === 'fighting') {
+            this.renderHealthBar(ctx, canvas);
+        }
+        if (this.state === 'outro') {
+            this.renderBanner(ctx, canvas, this.boss.outro.text, '#fbbf24');
+        }
+    }
+
+    renderTitleCard(ctx, canvas) {
+        // Letterbox bars slide in
+        const slide = Math.min(1, this.stateTimer / 400);
+        const barHeight = 60 * slide;
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, canvas.width, barHeight);
+        ctx.fillRect(0, canvas.height - barHeight, canvas.width, barHeight);
+
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, this.stateTimer / 600);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fbbf24';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 4;
+        ctx.font = 'bold 44px Arial';
+        ctx.strokeText(this.boss.bossName, canvas.width / 2, canvas.height / 3);
+        ctx.fillText(this.boss.bossName, canvas.width / 2, canvas.height / 3);
+        if (this.boss.bossTitle) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'italic 22px Arial';
+            ctx.fillText(this.boss.bossTitle, canvas.width / 2, canvas.height / 3 + 34);
+        }
+        ctx.restore();
+
+        if (this.boss.intro.text) {
+            this.renderBanner(ctx, canvas, this.boss.intro.text, '#ffffff');
+        }
+    }
+
+    renderHealthBar(ctx, canvas) {
+        const width = BossEncounter.BAR_WIDTH;
+        const height = BossEncounter.BAR_HEIGHT;
+        const x = (canvas.width - width) / 2;
+        const y = canvas.height - BossEncounter.BAR_BOTTOM_OFFSET;
+        const health = Math.max(0, this.boss.health / this.boss.maxHealth);
+
+        // Name above the bar
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 16px Arial';
+        ctx.fillText(this.boss.bossName, canvas.width / 2, y - 8);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x - 3, y - 3, width + 6, height + 6);
+        ctx.fillStyle = '#3f0d0d';
+        ctx.fillRect(x, y, width, height);
+        ctx.fillStyle = this.boss.isUntouchable() ? '#a3a3a3' : '#b91c1c';
+        ctx.fillRect(x, y, width * health, height);
+
+        // Ticks where the next phases start
+        ctx.fillStyle = '#fbbf24';
+        for (const phase of this.boss.phases) {
+            if (phase.health < 1) {
+                ctx.fillRect(x + width * phase.health - 1, y - 2, 2, height + 4);
+            }
+        }
+
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - 3, y - 3, width + 6, height + 6);
+
+        // Phase name under the bar
+        const phase = this.boss.getPhase();
+        if (phase && phase.name) {
+            ctx.fillStyle = '#fca5a5';
+            ctx.font = 'italic 12px Arial';
+            ctx.fillText(phase.name, canvas.width / 2, y + height + 16);
+        }
+    }
+
+    renderBanner(ctx, canvas, text, color) {
+        if (!text) return;
+
+        const y = canvas.height / 3 + 80;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(canvas.width / 2 - 260, y - 26, 520, 40);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = color;
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText(text, canvas.width / 2, y);
+    }
+}
+
+BossEncounter.CAMERA_PAN_TIME = 600;        // Time to slide the camera to the boss and back (ms)
+BossEncounter.BAR_WIDTH = 480;              // Boss health bar size (pixels)
+BossEncounter.BAR_HEIGHT = 14;
+BossEncounter.BAR_BOTTOM_OFFSET = 110;      // Bar sits this far above the bottom, over the hotbar
@@ -22,9 +22,11 @@ class ZeldaGame {
         // =====================================================
         // GAME STATE MANAGEMENT
         // =====================================================
-        this.gameState = 'title';           // Current state: 'title', 'playing', 'paused', 'gameover', 'win'
+        this.gameState = 'title';           // Current state: 'title', 'playing', 'paused', 'slots', 'shop', 'inventory', 'gameover', 'win'
         this.isRunning = false;             // Whether game loop is active
         this.lastTime = 0;                  // Timestamp of last frame (for delta time calculation)
+        this.accumulator = 0;               // Real time not yet simulated - used up in FIXED_TIMESTEP steps (ms)
+        this.renderAlpha = 0;               // How far (0-1) rendering is between the last two simulation steps
         this.fps = 0;                       // Current frames per second
         this.frameCount = 0;                // Total frames rendered (for FPS calculation)
         this.fpsTimer = 0;                  // Timer for FPS updates
@@ -33,6 +35,7 @@ class ZeldaGame {
         // AUDIO SYSTEM
         // =====================================================
         this.backgroundMusic = null;        // Background music audio element
+        this.musicPath = 'assets/audio/video game music for luke - 9_25_25, 22.43.m4a';  // Track currently loaded
         this.isMusicEnabled = true;         // Whether music is enabled
         this.musicVolume = 0.5;            // Music volume (0.0 to 1.0)
         
@@ -55,7 +58,23 @@ class ZeldaGame {
         this.player = null;                 // Player character object
         this.inventory = null;              // Player's inventory system
         this.projectiles = [];              // Array of active projectiles (magic staff shots, etc.)
+        this.spellEffects = [];             // Chain lightning arcs, healing wards - anything a spell leaves behind
         this.enemies = [];                  // Array of enemies in current room
+        this.saveManager = new SaveManager(); // Save slots in browser localStorage
+        this.refreshSaveSlots(); // Slot summaries for the title screen and slot menu
+        
+        // =====================================================
+        // ADVENTURE AND OBJECTIVES
+        // =====================================================
+        this.adventure = ObjectiveTracker.FREE_PLAY;  // Adventure definition (assets/adventures/main.json once loaded)
+        this.objectives = null;             // ObjectiveTracker for the game in progress
+        this.checkpoint = null;             // { room, x, y, name } - where Continue on the game over screen respawns the player
+        this.gameOverReason = '';           // Why the adventure was lost
+        
+        // Everything sword, projectile and explosion code can hit
+        this.hittables = new HittableRegistry();
+        this.hittables.registerSource('room', () => (this.gameMap && this.gameMap.animals) ? this.gameMap.animals : []);
+        this.hittables.registerSource('enemies', () => this.enemies);
         
         // =====================================================
         // MOUSE INPUT TRACKING
@@ -69,12 +88,17 @@ class ZeldaGame {
         // ROOM SYSTEM
         // =====================================================
         this.currentRoom = 'main';          // Name of currently active room
+        this.startRoom = 'main';            // Room new games begin in
+        this.isPlaytest = false;            // Started from the map editor's "Play this room" (index.html?room=editor)
         this.rooms = {};                    // Cache of generated rooms for performance
         
         // =====================================================
         // UI AND VISUAL SYSTEMS
         // =====================================================
         this.titleBackground = null;        // Background image for title screen
+        this.slotMenu = null;               // Save/load slot menu: { mode: 'save'|'load', returnState }
+        this.shopMenu = null;               // Open shop: { merchant, tab: 'buy'|'sell', selected, status }
+        this.inventoryScreen = new InventoryScreen(this); // Full inventory overlay (I key)
         
         // =====================================================
         // DEBUG AND DEVELOPMENT
@@ -128,14 +152,22 @@ class ZeldaGame {
         // Load sprites first, then load background, then start
         this.spriteLoader = new SimpleSpriteLoader();
         this.spriteLoader.load(() => {
-            console.log('📦 All sprites loaded, loading title background...');
-            try {
-                this.loadTitleBackground();
-            } catch (error) {
-                console.error('❌ Error loading title background:', error);
-                // Fallback: start game without background
-                this.onSpritesLoaded();
-            }
+            console.log('📦 All sprites loaded, loading rooms...');
+            const playtestRoom = this.loadPlaytestRoom();
+            const exitTargets = playtestRoom ? (playtestRoom.exits || []).map(exit => exit.targetRoom) : [];
+            
+            RoomManager.loadDefinitions(['main'].concat(exitTargets), () => {
+                this.loadAdventure(() => {
+                    console.log('🗺️ Rooms and adventure loaded, loading title background...');
+                    try {
+                        this.loadTitleBackground();
+                    } catch (error) {
+                        console.error('❌ Error loading title background:', error);
+                        // Fallback: start game without background
+                        this.onSpritesLoaded();
+                    }
+                });
+            });
         });
         
         // Setup debug controls
@@ -173,6 +205,10 @@ class ZeldaGame {
             this.mouseX = e.clientX - rect.left;
             this.mouseY = e.clientY - rect.top;
             
+            if (this.gameState === 'inventory') {
+                this.inventoryScreen.handleMouseMove(this.mouseX, this.mouseY);
+            }
+            
             // Convert to world coordinates (accounting for zoom and camera)
             this.updateWorldMouseCoordinates();
         });
@@ -180,16 +216,32 @@ class ZeldaGame {
         // Mouse down for charging
         this.canvas.addEventListener('mousedown', (e) => {
             e.preventDefault();
+            if (this.gameState === 'inventory') {
+                this.inventoryScreen.handleClick(this.mouseX, this.mouseY);
+                return;
+            }
+            // Right button holds the shield up
+            if (e.button === 2) {
+                if (this.gameState === 'playing' && this.player) {
+                    this.player.startBlocking();
+                }
+                return;
+            }
             this.handleMouseDown();
         });
         
-        // Mouse up for releasing charge
+        // Mouse up for releasing charge (or lowering the shield)
         this.canvas.addEventListener('mouseup', (e) => {
             e.preventDefault();
+            if (e.button === 2) {
+                if (this.player) this.player.stopBlocking();
+                return;
+            }
+            if (this.gameState === 'inventory') return;
             this.handleMouseUp();
         });
         
-        // Prevent context menu on right click
+        // Prevent context menu on right click (it's the block button)
         this.canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
         });
@@ -213,9 +265,11 @@ class ZeldaGame {
                 this.zoom = 1.5;
             }
             
-            // Center camera on player
-            cameraX = (this.canvas.width / this.zoom / 2) - this.player.x;
-            cameraY = (this.canvas.height / this.zoom / 2) - this.player.y;
+            // Center camera on player (or on a boss being introduced)
+            const encounter = this.getBossEncounter();
+            const focus = encounter ? encounter.getCameraFocus(this.player) : this.player;
+            cameraX = (this.canvas.width / this.zoom / 2) - focus.x;
+            cameraY = (this.canvas.height / this.zoom / 2) - focus.y;
             
             // Clamp camera to map boundaries (same as render method)
             const mapWidth = this.gameMap.width * this.gameMap.tileSize;
@@ -261,6 +315,7 @@ class ZeldaGame {
     
     handleMouseDown() {
         if (!this.player || !this.inventory) return;
+        if (this.isBossCutscene()) return;
         
         const currentWeapon = this.inventory.getCurrentWeapon();
         console.log('🔍 Mouse down - Current weapon:', currentWeapon.id, currentWeapon.name);
@@ -270,7 +325,7 @@ class ZeldaGame {
             console.log('⚡ Attempting to start staff charge...');
             const chargeStarted = this.player.startCharging();
             if (!chargeStarted) {
-                console.log('❌ Failed to start staff charge - insufficient stamina or other issue');
+                console.log('❌ Failed to start staff charge - insufficient mana or other issue');
             }
         } else if (currentWeapon.id === 'sword') {
             // Sword swinging
@@ -299,40 +354,143 @@ class ZeldaGame {
             return;
         }
         
-        // Check if shooting failed due to insufficient stamina
-        if (chargeInfo.failed) {
-            console.log('❌ Fireball shot failed - insufficient stamina!');
+        // Check if casting failed due to insufficient mana (or nothing was being charged)
+        if (chargeInfo.failed || !chargeInfo.spell) {
+            console.log('❌ Spell failed - insufficient mana!');
             return;
         }
         
-        console.log('🔥 Shooting fireball with charge info:', chargeInfo);
+        this.castSpell(chargeInfo.spell, chargeInfo.power);
+    }
+
+    // =====================================================
+    // SPELLS
+    // =====================================================
+    
+    /**
+     * Cast a staff spell towards the mouse - what happens is the spell's cast
+     * behaviour in the SpellRegistry
+     * @param {object} spell - SpellRegistry definition
+     * @param {number} power - 0 for a tap up to 1 at full charge
+     */
+    castSpell(spell, power) {
+        const stats = spell.stats;
         
         // Calculate staff position based on player's facing direction
         const staffOffset = this.player.getStaffWorldPosition();
         
-        // Safety check for valid coordinates before creating projectile
+        // Safety check for valid coordinates before casting
         if (!isFinite(staffOffset.x) || !isFinite(staffOffset.y) || 
             !isFinite(this.worldMouseX) || !isFinite(this.worldMouseY)) {
-            console.warn('Invalid coordinates for projectile creation, skipping');
+            console.warn('Invalid coordinates for spell casting, skipping');
             return;
         }
         
-        // Create fireball projectile from staff position
-        const projectileType = chargeInfo.charged ? 'charged_fireball' : 'fireball';
-        const fireball = new ZeldaProjectile(
-            staffOffset.x, 
-            staffOffset.y, 
-            this.worldMouseX, 
-            this.worldMouseY,
-            projectileType
-        );
+        switch (spell.cast) {
+            case 'projectile': {
+                const projectileType = power >= 1 && stats.fullProjectile ? stats.fullProjectile : stats.projectile;
+                const projectile = new ZeldaProjectile(
+                    staffOffset.x, 
+                    staffOffset.y, 
+                    this.worldMouseX, 
+                    this.worldMouseY,
+                    projectileType,
+                    { spell: spell, power: power }
+                );
+                this.projectiles.push(projectile);
+                console.log(`🔥 ${projectileType} shot from staff at (${staffOffset.x}, ${staffOffset.y}) towards: (${this.worldMouseX}, ${this.worldMouseY})`);
+                break;
+            }
+            case 'chain':
+                this.castChainLightning(spell, power, staffOffset);
+                break;
+            case 'ward':
+                this.spellEffects.push(new HealingWard(this.player.x, this.player.y, {
+                    radius: stats.radius,
+                    duration: SpellRegistry.scale(stats.duration, stats.fullDuration, power),
+                    heal: stats.heal,
+                    interval: stats.interval,
+                    color: spell.color
+                }));
+                break;
+            case 'shield':
+                this.player.addMagicShield(Math.round(SpellRegistry.scale(stats.absorb, stats.fullAbsorb, power)), stats.duration);
+                break;
+        }
+    }
+    
+    /**
+     * Strike the animal nearest the aim point and jump on from it - each jump
+     * hits a little softer (stats.falloff)
+     */
+    castChainLightning(spell, power, staffOffset) {
+        const stats = spell.stats;
+        const targets = ChainLightning.pickTargets(this.hittables, this.player, { x: this.worldMouseX, y: this.worldMouseY }, {
+            range: stats.range,
+            jumpRange: stats.jumpRange,
+            maxTargets: 1 + Math.round(SpellRegistry.scale(stats.jumps, stats.fullJumps, power))
+        });
+        const points = [staffOffset];
+        
+        let damage = SpellRegistry.scale(stats.damage, stats.fullDamage, power);
+        targets.forEach(target => {
+            points.push({ x: target.x, y: target.y });
+            this.applySpellHit(target, { name: spell.name, damage: Math.round(damage), knockback: 0, x: this.player.x, y: this.player.y });
+            damage *= stats.falloff;
+        });
+        
+        // Nothing in range - the bolt still cracks out towards the aim point
+        if (targets.length === 0) {
+            const angle = Math.atan2(this.worldMouseY - staffOffset.y, this.worldMouseX - staffOffset.x);
+            const reach = Math.min(stats.range, Math.hypot(this.worldMouseX - staffOffset.x, this.worldMouseY - staffOffset.y));
+            points.push({ x: staffOffset.x + Math.cos(angle) * reach, y: staffOffset.y + Math.sin(angle) * reach });
+        }
+        
+        this.spellEffects.push(new ChainLightning(points, spell.color));
+        this.makeNoise(this.player.x, this.player.y, stats.range);
+        console.log(`⚡ Chain lightning struck ${targets.length} target(s)`);
+    }
+    
+    /**
+     * Deal spell damage to a hittable entity
+     * @param {object} hit - See Enemy.takeSpellHit
+     */
+    applySpellHit(target, hit) {
+        if (target.takeSpellHit) {
+            target.takeSpellHit(this.player, hit);
+        } else if (target.takeDamage) {
+            target.takeDamage(hit.damage, hit.x, hit.y);
+        }
+    }
+    
+    // Ice bolt hit - slows, and a fully charged one freezes the target solid
+    applyIceBoltHit(target, projectile) {
+        const stats = projectile.spell.stats;
+        const power = projectile.power;
+        const effects = [{ type: 'slow', duration: SpellRegistry.scale(stats.slow, stats.fullSlow, power) }];
+        if (power >= 1) {
+            effects.push({ type: 'freeze', duration: stats.freeze });
+        }
         
-        this.projectiles.push(fireball);
-        console.log(`🔥 ${projectileType} shot from staff at (${staffOffset.x}, ${staffOffset.y}) towards: (${this.worldMouseX}, ${this.worldMouseY})`);
-        console.log(`⚡ Projectile damage: ${fireball.damage}, size: ${fireball.size}, speed: ${fireball.speed}`);
-        console.log(`📍 Mouse screen: (${this.mouseX}, ${this.mouseY}), Camera: (${this.calculateCameraPosition().x}, ${this.calculateCameraPosition().y}), Zoom: ${this.zoom}`);
+        this.applySpellHit(target, {
+            name: projectile.spell.name,
+            damage: Math.round(SpellRegistry.scale(stats.damage, stats.fullDamage, power)),
+            knockback: Enemy.FIREBALL_KNOCKBACK,
+            x: projectile.x,
+            y: projectile.y,
+            effects: effects
+        });
     }
-
+    
+    // Draw spell effects on one layer ('ground' under the player, 'air' above)
+    renderSpellEffects(layer) {
+        this.spellEffects.forEach(effect => {
+            if (effect.layer === layer) {
+                effect.render(this.ctx);
+            }
+        });
+    }
+    
     setupDebugControls() {
         document.addEventListener('keydown', (e) => {
             // Track all key states
@@ -348,6 +506,44 @@ class ZeldaGame {
                 e.preventDefault();
             }
             
+            // Save/load slot menu captures all keys while open
+            if (this.gameState === 'slots') {
+                e.preventDefault();
+                this.handleSlotMenuKey(e.code);
+                return;
+            }
+            
+            // Shop menu captures all keys while open
+            if (this.gameState === 'shop') {
+                e.preventDefault();
+                this.handleShopKey(e.code);
+                return;
+            }
+            
+            // Inventory screen captures all keys while open
+            if (this.gameState === 'inventory') {
+                e.preventDefault();
+                this.inventoryScreen.handleKey(e.code);
+                return;
+            }
+            
+            // I key - open the inventory screen
+            if (e.code === 'KeyI' && this.gameState === 'playing' && this.inventory) {
+                e.preventDefault();
+                this.openInventoryScreen();
+                return;
+            }
+            
+            // E key - trade with a merchant standing nearby
+            if (e.code === 'KeyE' && this.gameState === 'playing' && this.gameMap && this.gameMap.findNpcInRange) {
+                const npc = this.gameMap.findNpcInRange(this.player);
+                if (npc instanceof Merchant) {
+                    e.preventDefault();
+                    this.openShop(npc);
+                    return;
+                }
+            }
+            
             // Escape key - toggle pause menu
             if (e.code === 'Escape') {
                 e.preventDefault();
@@ -373,6 +569,11 @@ class ZeldaGame {
                     e.preventDefault();
                     this.quitToTitle();
                 }
+                if (e.code === 'KeyS') {
+                    e.preventDefault();
+                    this.openSlotMenu('save');
+                    return;
+                }
             }
             
             // Title screen controls
@@ -382,12 +583,23 @@ class ZeldaGame {
                     e.preventDefault();
                     this.startNewGame();
                 }
+                // L - load a saved game
+                if (e.code === 'KeyL') {
+                    e.preventDefault();
+                    this.openSlotMenu('load');
+                    return;
+                }
             }
             
-            // Game over screen controls - any key returns to title
+            // Game over screen controls - ENTER continues from the checkpoint (after a death), ESC returns to title
             if (this.gameState === 'gameover') {
                 e.preventDefault();
-                this.quitToTitle();
+                if ((e.code === 'Enter' || e.code === 'KeyC') && this.objectives && this.objectives.canContinue) {
+                    this.continueFromCheckpoint();
+                } else if (e.code === 'Escape') {
+                    this.quitToTitle();
+                }
+                return;
             }
             
             // Win screen controls - any key returns to title
@@ -428,12 +640,35 @@ class ZeldaGame {
                     console.log('Weapon:', this.inventory.getCurrentWeapon().name);
                 }
                 
+                if (e.code === 'Digit3') {  // 3 key - switch between collected armor
+                    e.preventDefault();
+                    this.inventory.cycleArmor();
+                    console.log('Armor:', this.inventory.getCurrentArmor().name);
+                }
+                
+                // Q - switch staff spells (not mid-charge, the charge belongs to the old spell)
+                if (e.code === 'KeyQ' && this.gameState === 'playing' && !this.player.isCharging) {
+                    e.preventDefault();
+                    if (this.inventory.getKnownSpells().length > 1) {
+                        const spell = this.inventory.cycleSpell();
+                        this.showMessage(`Spell: ${spell.name}`, 1500);
+                        console.log('Spell:', spell.name);
+                    }
+                }
+                
+                // Z/X/C/V/B - quick-use hotbar
+                const hotbarSlot = ZeldaInventory.HOTBAR_KEYS.indexOf(e.code);
+                if (hotbarSlot !== -1 && this.gameState === 'playing') {
+                    e.preventDefault();
+                    this.useHotbarSlot(hotbarSlot);
+                }
+                
                 // Debug: F2 key for tileset coordinate testing
                 if (e.code === 'F2') {
                     e.preventDefault();
                     this.testTilesetCoordinates();
                 }
-                // E key armor cycling removed - armor must be found in the world
+                // Armor must be found in the world (or bought) before 3 can switch to it
             }
         });
         
@@ -460,29 +695,141 @@ class ZeldaGame {
         // Start render loop to show title screen
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop();
         
+        // Play-testing skips the title screen
+        if (this.isPlaytest) {
+            this.startNewGame();
+            return;
+        }
+        
         console.log('🎮 Title screen ready! Press ENTER or SPACE to start');
     }
     
+    /**
+     * Play-test mode: use the room the map editor left in localStorage
+     * The room replaces any room file with the same name and new games start in it.
+     * @returns {object|null} The editor's room definition, or null when not play-testing
+     */
+    loadPlaytestRoom() {
+        if (new URLSearchParams(window.location.search).get('room') !== 'editor') return null;
+        
+        try {
+            const definition = JSON.parse(localStorage.getItem(RoomManager.PLAYTEST_KEY));
+            const errors = DataRoom.validate(definition);
+            if (errors.length > 0) {
+                throw new Error(DataRoom.formatErrors(definition, errors));
+            }
+            
+            RoomManager.definitions.set(definition.name, definition);
+            this.startRoom = definition.name;
+            this.isPlaytest = true;
+            console.log(`🧪 Play-testing editor room '${definition.name}'`);
+            return definition;
+        } catch (error) {
+            console.error('❌ Could not load the editor room:', error.message);
+            this.showMessage('Editor room could not be loaded - check the console (F12)', 5000);
+            return null;
+        }
+    }
+    
+    /**
+     * Load the adventure's objectives (free play when play-testing or when the file is broken)
+     * @param {function} callback - Called once the adventure is set
+     */
+    loadAdventure(callback) {
+        if (this.isPlaytest) {
+            callback();
+            return;
+        }
+        
+        ObjectiveTracker.fetchDefinition(ZeldaGame.ADVENTURE).then((adventure) => {
+            this.adventure = adventure;
+            console.log(`🎯 Adventure '${adventure.name}' loaded with ${adventure.objectives.length} objectives`);
+        }).catch((error) => {
+            console.error('❌ Could not load the adventure - playing without objectives:', error.message);
+        }).then(callback);
+    }
+    
     gameLoop(currentTime = performance.now()) {
         if (!this.isRunning) return;
         
-        const deltaTime = currentTime - this.lastTime;
+        // Clamp long gaps (tab in the background, debugger pause) so the game doesn't
+        // try to catch up all at once and push things through walls
+        const frameTime = Math.max(0, Math.min(currentTime - this.lastTime, ZeldaGame.MAX_FRAME_TIME));
         this.lastTime = currentTime;
         
         // Update FPS counter
-        this.updateFPS(deltaTime);
-        
-        // Update game objects
-        this.update(deltaTime);
+        this.updateFPS(frameTime);
+        
+        // Update game objects in fixed steps - the same speed at 30, 60 or 144 frames per second
+        this.accumulator += frameTime;
+        while (this.accumulator >= ZeldaGame.FIXED_TIMESTEP) {
+            this.storePreviousPositions();
+            this.update(ZeldaGame.FIXED_TIMESTEP);
+            this.accumulator -= ZeldaGame.FIXED_TIMESTEP;
+        }
         
-        // Render everything
+        // Render everything, blended between the last two steps
+        this.renderAlpha = this.accumulator / ZeldaGame.FIXED_TIMESTEP;
         this.render();
         
         // Continue loop
         requestAnimationFrame((time) => this.gameLoop(time));
     }
+    
+    // =====================================================
+    // RENDER INTERPOLATION
+    // =====================================================
+    
+    // Everything that moves and is drawn at an interpolated position
+    getMovingEntities() {
+        const entities = this.player ? [this.player] : [];
+        if (this.gameMap && this.gameMap.animals) {
+            entities.push(...this.gameMap.animals);
+        }
+        if (this.gameMap && this.gameMap.drops) {
+            entities.push(...this.gameMap.drops);
+        }
+        return entities.concat(this.enemies, this.projectiles);
+    }
+    
+    storePreviousPositions() {
+        for (const entity of this.getMovingEntities()) {
+            entity.previousX = entity.x;
+            entity.previousY = entity.y;
+        }
+    }
+    
+    /**
+     * Move entities to their interpolated positions for drawing
+     * @returns {Array} Simulation positions to put back with restoreSimulationPositions()
+     */
+    applyRenderPositions() {
+        const saved = [];
+        for (const entity of this.getMovingEntities()) {
+            if (entity.previousX === undefined) continue;
+            
+            const dx = entity.x - entity.previousX;
+            const dy = entity.y - entity.previousY;
+            
+            // Room changes and respawns jump - draw them where they landed
+            if (Math.abs(dx) > ZeldaGame.MAX_INTERPOLATION_DISTANCE || Math.abs(dy) > ZeldaGame.MAX_INTERPOLATION_DISTANCE) continue;
+            
+            saved.push({ entity: entity, x: entity.x, y: entity.y });
+            entity.x = entity.previousX + dx * this.renderAlpha;
+            entity.y = entity.previousY + dy * this.renderAlpha;
+        }
+        return saved;
+    }
+    
+    restoreSimulationPositions(saved) {
+        for (const position of saved) {
+            position.entity.x = position.x;
+            position.entity.y = position.y;
+        }
+    }
 
     updateFPS(deltaTime) {
         this.frameCount++;
@@ -498,7 +845,10 @@ class ZeldaGame {
     update(deltaTime) {
         // Only update game logic when playing
         if (this.gameState === 'playing' && this.player && this.gameMap) {
-            this.player.update(deltaTime, this.gameMap);
+            // The player stands still while a boss is introduced
+            if (!this.isBossCutscene()) {
+                this.player.update(deltaTime, this.gameMap);
+            }
             
             // Check for room transitions using new room system
             if (this.roomManager) {
@@ -509,6 +859,10 @@ class ZeldaGame {
                         this.player.x = newSpawn.x;
                         this.player.y = newSpawn.y;
                         this.gameMap = this.roomManager.getCurrentRoom(); // Update current room reference
+                        this.currentRoom = this.gameMap.roomName;
+                        this.updateRoomMusic(this.gameMap);
+                        this.spellEffects = []; // Wards stay in the room they were cast in
+                        this.notify('roomEntered', { room: this.currentRoom });
                     }
                 }
             } else {
@@ -524,24 +878,49 @@ class ZeldaGame {
             if (collectedItem) {
                 this.collectItem(collectedItem);
             }
+            
+            // Walking over a checkpoint makes it the respawn point
+            const checkpoint = this.gameMap.findCheckpointAt ? this.gameMap.findCheckpointAt(this.player.x, this.player.y) : null;
+            if (checkpoint && !this.isCheckpoint(checkpoint)) {
+                this.setCheckpoint(checkpoint);
+                this.showMessage(`Checkpoint reached: ${checkpoint.name}`, 2000);
+            }
         }
         
         // Update projectiles and fire tiles only when playing
         if (this.gameState === 'playing') {
             this.updateProjectiles(deltaTime);
+            this.updateSpellEffects(deltaTime);
             this.updateEnemies(deltaTime);
             
             // Update animals if room supports them
             this.updateAnimals(deltaTime);
+            // Also fires for a boss beaten in a loaded save - objectives already done ignore it
+            if (this.gameMap && this.gameMap.updateBossEncounter && this.gameMap.updateBossEncounter(deltaTime, this.player)) {
+                const boss = this.gameMap.bossEncounter.boss;
+                this.notify('bossDefeated', { type: boss.spawnType, room: this.gameMap.roomName });
+            }
+            
+            if (this.inventory) {
+                this.inventory.updateCooldowns(deltaTime);
+            }
+            
+            // Loot on the ground: magnet pull towards the player and despawning
+            if (this.gameMap && this.gameMap.updateDrops) {
+                this.gameMap.updateDrops(deltaTime, this.player);
+            }
             
             this.checkCombat();
             
-            // Check for win condition (all wolves defeated)
-            this.checkWinCondition();
+            // Play time for survive objectives and time limits, then check for a win or loss
+            if (this.objectives) {
+                this.showCompletedObjectives(this.objectives.update(deltaTime));
+            }
+            this.checkObjectives();
             
-            // Update fire tiles (remove expired ones)
+            // Update fire tiles (burn, spread and expire)
             if (this.gameMap && this.gameMap.updateFireTiles) {
-                this.gameMap.updateFireTiles(deltaTime);
+                this.gameMap.updateFireTiles(deltaTime, this.player);
             }
         }
         
@@ -568,9 +947,10 @@ class ZeldaGame {
             const projectile = this.projectiles[i];
             const explosionData = projectile.update(deltaTime, this.gameMap);
             
-            // Handle explosion effects
+            // Handle explosion effects (charged fireball hit a wall)
             if (explosionData && explosionData.createFireTiles) {
                 this.gameMap.createFireTiles(explosionData.x, explosionData.y, explosionData.radius);
+                this.createExplosion(explosionData.x, explosionData.y, explosionData.radius);
             }
             
             // Remove inactive projectiles
@@ -580,6 +960,16 @@ class ZeldaGame {
         }
     }
 
+    updateSpellEffects(deltaTime) {
+        for (let i = this.spellEffects.length - 1; i >= 0; i--) {
+            const effect = this.spellEffects[i];
+            effect.update(deltaTime, this);
+            if (!effect.active) {
+                this.spellEffects.splice(i, 1);
+            }
+        }
+    }
+
     updateEnemies(deltaTime) {
         // Enemies are now managed by the room via updateAnimals()
         // This method is kept for backward compatibility but does nothing
@@ -589,21 +979,135 @@ class ZeldaGame {
     updateAnimals(deltaTime) {
         // Update animals if current room has them
         if (this.gameMap && this.gameMap.updateAnimals && typeof this.gameMap.updateAnimals === 'function') {
-            this.gameMap.updateAnimals(deltaTime, this.player);
+            const defeated = this.gameMap.updateAnimals(deltaTime, this.player) || [];
+            for (const animal of defeated) {
+                this.notify('enemyDefeated', { type: animal.spawnType, room: this.gameMap.roomName });
+            }
         }
     }
     
-    checkWinCondition() {
-        // Check if all wolves are defeated
-        if (this.gameMap && this.gameMap.animals) {
-            const remainingWolves = this.gameMap.animals.filter(animal => !animal.isDead);
-            if (remainingWolves.length === 0) {
-                console.log('🎉 All wolves defeated! You win!');
-                this.gameState = 'win';
-            }
+    // =====================================================
+    // OBJECTIVES (see ObjectiveTracker)
+    // =====================================================
+    
+    /**
+     * Report a game event to the adventure's objectives
+     * @param {string} type - 'enemyDefeated', 'bossDefeated', 'itemCollected', 'roomEntered' or 'playerDied'
+     * @param {object} data - Event details (see ObjectiveTracker.handleEvent)
+     */
+    notify(type, data = {}) {
+        if (!this.objectives) return;
+        
+        this.showCompletedObjectives(this.objectives.handleEvent(type, data));
+        this.checkObjectives();
+    }
+    
+    showCompletedObjectives(completed) {
+        if (completed.length > 0) {
+            this.showMessage(`✔ ${completed[completed.length - 1].label}`, 3000);
         }
     }
     
+    // Win once every required objective is done, game over once the adventure is lost
+    checkObjectives() {
+        if (!this.objectives || this.gameState !== 'playing') return;
+        
+        if (this.objectives.isLost()) {
+            this.gameOverReason = this.objectives.loseReason;
+            this.gameState = 'gameover';
+        } else if (this.objectives.isWon()) {
+            console.log(`🎉 Adventure '${this.adventure.name}' complete! You win!`);
+            this.gameState = 'win';
+        }
+    }
+    
+    // =====================================================
+    // CHECKPOINTS
+    // =====================================================
+    
+    /**
+     * Where Continue respawns the player after a death
+     * @param {object} checkpoint - { room, x, y (pixels), name } - a room's checkpoint or a spawn point
+     */
+    setCheckpoint(checkpoint) {
+        this.checkpoint = checkpoint;
+        console.log(`🚩 Checkpoint set: ${checkpoint.name || checkpoint.room} (${Math.round(checkpoint.x)}, ${Math.round(checkpoint.y)})`);
+    }
+    
+    // Is this the checkpoint Continue would respawn at?
+    isCheckpoint(checkpoint) {
+        return !!this.checkpoint && this.checkpoint.room === checkpoint.room &&
+            this.checkpoint.x === checkpoint.x && this.checkpoint.y === checkpoint.y;
+    }
+    
+    /**
+     * Game over screen's Continue: respawn at the last checkpoint with full health,
+     * keeping everything collected and done since, minus the death penalty
+     */
+    continueFromCheckpoint() {
+        if (!this.objectives || !this.objectives.revive()) return;
+        
+        // A boss fight the player fell in starts over
+        const encounter = this.getBossEncounter();
+        if (encounter) {
+            encounter.reset();
+        }
+        
+        const lost = this.applyDeathPenalty();
+        
+        // A fresh player (no knockback, charge or status effects left over) with the same progress
+        const checkpoint = this.checkpoint;
+        const data = Object.assign(this.player.getSaveData(), { x: checkpoint.x, y: checkpoint.y });
+        data.currentHealth = data.maxHealth;
+        data.currentStamina = data.maxStamina;
+        data.currentMana = data.maxMana;
+        this.player = new ZeldaPlayer(checkpoint.x, checkpoint.y, this.spriteLoader, this);
+        this.player.loadSaveData(data);
+        this.player.inventory = this.inventory;
+        
+        this.currentRoom = checkpoint.room;
+        this.gameMap = this.roomManager.switchToRoom(checkpoint.room);
+        this.updateRoomMusic(this.gameMap);
+        this.projectiles = [];
+        this.spellEffects = [];
+        this.gameOverReason = '';
+        this.gameState = 'playing';
+        this.notify('roomEntered', { room: this.currentRoom });
+        
+        const penalty = [lost.coins > 0 ? `-${lost.coins} coins` : '', lost.xp > 0 ? `-${lost.xp} XP` : ''].filter(Boolean).join(', ');
+        this.showMessage(`Respawned at ${checkpoint.name || 'the start'}${penalty ? ` (${penalty})` : ''}`, 3000);
+        console.log(`🚩 Continued from ${checkpoint.name || checkpoint.room}${penalty ? ` - lost ${penalty}` : ''}`);
+    }
+    
+    // Share of coins and of XP towards the next level a death costs
+    getDeathPenalty() {
+        return Object.assign({}, ZeldaGame.DEATH_PENALTY, this.adventure.deathPenalty);
+    }
+    
+    /**
+     * Take the death penalty from the (dead) player's wallet and XP - levels are never lost
+     * @returns {object} { coins, xp } taken
+     */
+    applyDeathPenalty() {
+        const penalty = this.getDeathPenalty();
+        const coins = Math.floor(this.inventory.coins * penalty.coins);
+        const xp = Math.floor(this.player.xp * penalty.xp);
+        
+        this.inventory.spendCoins(coins);
+        this.player.xp -= xp;
+        return { coins: coins, xp: xp };
+    }
+
+    // Boss fight in the current room, if it has one
+    getBossEncounter() {
+        return (this.gameMap && this.gameMap.bossEncounter) || null;
+    }
+
+    isBossCutscene() {
+        const encounter = this.getBossEncounter();
+        return !!(encounter && encounter.isCutscene());
+    }
+    
     renderAnimals(camera) {
         // Render animals if current room has them
         if (this.gameMap && this.gameMap.renderAnimals && typeof this.gameMap.renderAnimals === 'function') {
@@ -615,68 +1119,13 @@ class ZeldaGame {
         if (!this.player) return;
         
         // === SWORD COMBAT ===
-        if (this.player.isSwinging && !this.player.hasHitThisSwing) {
-            const currentWeapon = this.inventory ? this.inventory.getCurrentWeapon() : null;
-            
-            // Get enemies from room's animals array
-            const allEnemies = (this.gameMap && this.gameMap.animals) ? this.gameMap.animals : [];
-            
-            console.log('⚔️ Checking sword combat - Weapon:', currentWeapon ? currentWeapon.id : 'none', 'Total enemies:', allEnemies.length);
-            const swordReach = 4 * 24; // Sword reach: 4 tiles (96 pixels)
-            
-            for (let i = allEnemies.length - 1; i >= 0; i--) {
-                const enemy = allEnemies[i];
-                if (enemy.isDead) continue;
-                
-                // Calculate distance to enemy
-                const dx = enemy.x - this.player.x;
-                const dy = enemy.y - this.player.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                console.log(`🎯 Checking enemy ${i}: Distance ${distance.toFixed(1)}, dx: ${dx.toFixed(1)}, dy: ${dy.toFixed(1)}`);
-                
-                // Check if enemy is in sword range
-                if (distance <= swordReach) {
-                    console.log(`📏 Enemy in range! Distance: ${distance.toFixed(1)}, Direction: ${this.player.direction}, dx: ${dx.toFixed(1)}, dy: ${dy.toFixed(1)}`);
-                    // Simplified: if in range, you can hit them regardless of direction
-                    let inRange = true; // Hit anything within sword reach
-                    
-                    // Optional: Still check if generally in front (very lenient)
-                    // const threshold = 200; // Very wide angle threshold
-                    // switch (this.player.direction) {
-                    //     case 'up':
-                    //         inRange = dy < threshold;
-                    //         break;
-                    //     case 'down':
-                    //         inRange = dy > -threshold;
-                    //         break;
-                    //     case 'left':
-                    //         inRange = dx < threshold;
-                    //         break;
-                    //     case 'right':
-                    //         inRange = dx > -threshold;
-                    //         break;
-                    // }
-                    
-                    if (inRange) {
-                        // Deal damage based on enemy type
-                        console.log(`⚔️ SWORD HIT! Enemy: ${enemy.constructor.name} at (${enemy.x}, ${enemy.y}), Distance: ${distance.toFixed(1)}`);
-                        console.log(`   Health before: ${enemy.health}, isDead: ${enemy.isDead}`);
-                        console.log(`   Has takeSwordHit: ${!!enemy.takeSwordHit}, Has takeDamage: ${!!enemy.takeDamage}`);
-                        
-                        if (enemy.takeSwordHit) {
-                            enemy.takeSwordHit(this.player);
-                        } else if (enemy.takeDamage) {
-                            enemy.takeDamage(30, this.player.x, this.player.y);
-                        }
-                        
-                        console.log(`   Health after: ${enemy.health}, isDead: ${enemy.isDead}`);
-                        
-                        // Mark that we hit an enemy this swing
-                        this.player.hasHitThisSwing = true;
-                        break;
-                    }
-                }
+        // Everything inside the swept arc is hit, once per swing
+        const hitbox = this.player.swordHitbox;
+        if (hitbox) {
+            for (const target of this.hittables.queryArc(hitbox, this.player.swordHitTargets)) {
+                console.log(`⚔️ SWORD HIT! Enemy: ${target.constructor.name} at (${Math.round(target.x)}, ${Math.round(target.y)})`);
+                this.applySwordHit(target, hitbox.attack);
+                this.player.swordHitTargets.add(target);
             }
         }
         
@@ -685,61 +1134,80 @@ class ZeldaGame {
             const projectile = this.projectiles[i];
             if (!projectile.active) continue;
             
-            for (let j = 0; j < this.enemies.length; j++) {
-                const enemy = this.enemies[j];
-                if (enemy.isDead) continue;
-                
-                // Check collision between projectile and enemy
-                if (projectile.checkCollision && projectile.checkCollision(enemy)) {
-                    console.log(`🔥 ${projectile.isCharged ? 'CHARGED' : 'Normal'} fireball hit enemy!`);
-                    
-                    // Deal fireball damage to enemy
-                    if (enemy.takeFireballHit) {
-                        enemy.takeFireballHit(this.player, projectile.isCharged);
-                    } else if (enemy.takeDamage) {
-                        const damage = projectile.isCharged ? 48 : 21;
-                        enemy.takeDamage(damage, projectile.x, projectile.y);
-                    }
-                    
-                    // Remove projectile
-                    projectile.active = false;
-                    
-                    // Create explosion if charged fireball
-                    if (projectile.isCharged) {
-                        this.createExplosion(projectile.x, projectile.y, projectile.explosionRadius);
-                        
-                        // Damage other nearby enemies
-                        for (let k = 0; k < this.enemies.length; k++) {
-                            if (k === j) continue; // Skip the enemy already hit
-                            
-                            const otherEnemy = this.enemies[k];
-                            if (otherEnemy.isDead) continue;
-                            
-                            const distance = Math.sqrt(
-                                Math.pow(otherEnemy.x - projectile.x, 2) + 
-                                Math.pow(otherEnemy.y - projectile.y, 2)
-                            );
-                            
-                            if (distance <= projectile.explosionRadius) {
-                                if (otherEnemy.takeFireballHit) {
-                                    otherEnemy.takeFireballHit(this.player, true);
-                                } else if (otherEnemy.takeDamage) {
-                                    otherEnemy.takeDamage(48, projectile.x, projectile.y);
-                                }
-                                console.log(`💥 Explosion damaged nearby enemy!`);
-                            }
-                        }
-                    }
-                    
-                    break; // Projectile can only hit one enemy directly
+            // Projectile can only hit one enemy directly
+            const target = this.hittables.findProjectileTarget(projectile);
+            if (!target) continue;
+            
+            if (projectile.type === 'ice_bolt') {
+                console.log(`❄️ Ice bolt hit ${target.constructor.name}!`);
+                this.applyIceBoltHit(target, projectile);
+            } else {
+                console.log(`🔥 ${projectile.isCharged ? 'CHARGED' : 'Normal'} fireball hit ${target.constructor.name}!`);
+                this.applyFireballHit(target, projectile.isCharged, projectile.x, projectile.y);
+            }
+            
+            // Remove projectile
+            projectile.active = false;
+            
+            // Charged fireballs explode, splashing everything nearby
+            if (projectile.isCharged) {
+                this.createExplosion(projectile.x, projectile.y, projectile.explosionRadius, target);
+                if (this.gameMap && this.gameMap.createFireTiles) {
+                    this.gameMap.createFireTiles(projectile.x, projectile.y, projectile.explosionRadius);
                 }
             }
         }
     }
+    
+    /**
+     * Deal sword damage to a hittable entity
+     * @param {object} attack - Combo stage from player.swordAttacks ({ damage, knockback } multipliers)
+     */
+    applySwordHit(target, attack = {}) {
+        if (target.takeSwordHit) {
+            target.takeSwordHit(this.player, attack);
+        } else if (target.takeDamage) {
+            target.takeDamage(Math.floor(30 * (attack.damage || 1)), this.player.x, this.player.y);
+        }
+    }
+    
+    // Deal fireball damage to a hittable entity
+    applyFireballHit(target, isCharged, sourceX, sourceY) {
+        if (target.takeFireballHit) {
+            target.takeFireballHit(this.player, isCharged, sourceX, sourceY);
+        } else if (target.takeDamage) {
+            const damage = isCharged ? 48 : 21;
+            target.takeDamage(damage, sourceX, sourceY);
+        }
+    }
 
-    createExplosion(x, y, radius) {
-        // Visual feedback
+    /**
+     * Charged fireball explosion - damages every hittable entity in the radius
+     * @param {object} exclude - Entity already hit directly by the projectile
+     */
+    createExplosion(x, y, radius, exclude = null) {
         console.log(`💥 Explosion at (${Math.round(x)}, ${Math.round(y)}) with radius ${radius}`);
+        
+        for (const target of this.hittables.queryRadius(x, y, radius, exclude)) {
+            this.applyFireballHit(target, true, x, y);
+            console.log(`💥 Explosion damaged nearby ${target.constructor.name}!`);
+        }
+        
+        // Loud - animals well outside the blast come to investigate
+        this.makeNoise(x, y, radius * 4);
+    }
+
+    /**
+     * Let every animal in the room hear a noise (see Enemy.hearNoise)
+     * @param {number} radius - How far the noise carries (pixels)
+     */
+    makeNoise(x, y, radius) {
+        const animals = (this.gameMap && this.gameMap.animals) ? this.gameMap.animals : [];
+        for (const animal of animals.concat(this.enemies)) {
+            if (animal.hearNoise) {
+                animal.hearNoise(x, y, radius);
+            }
+        }
     }
 
     render() {
@@ -762,6 +1230,22 @@ class ZeldaGame {
                 this.renderGameWorld();
                 this.renderPauseMenu();
                 return;
+            } else if (this.gameState === 'slots') {
+                if (this.slotMenu && this.slotMenu.returnState === 'title') {
+                    this.renderTitleScreen();
+                } else {
+                    this.renderGameWorld();
+                }
+                this.renderSlotMenu();
+                return;
+            } else if (this.gameState === 'shop') {
+                this.renderGameWorld();
+                this.renderShopMenu();
+                return;
+            } else if (this.gameState === 'inventory') {
+                this.renderGameWorld();
+                this.inventoryScreen.render(this.ctx);
+                return;
             } else if (this.gameState === 'gameover') {
                 this.renderGameOverScreen();
                 return;
@@ -783,6 +1267,16 @@ class ZeldaGame {
     }
     
     renderGameWorld() {
+        // Draw moving things between simulation steps, then put them back
+        const simulationPositions = this.applyRenderPositions();
+        try {
+            this.drawGameWorld();
+        } finally {
+            this.restoreSimulationPositions(simulationPositions);
+        }
+    }
+    
+    drawGameWorld() {
         // Apply zoom transformation
         this.ctx.save();
         this.ctx.scale(this.zoom, this.zoom);
@@ -797,9 +1291,26 @@ class ZeldaGame {
             this.gameMap.render(this.ctx);
         }
         
-        // Render animals (behind player but above ground)
+        // Barred exits during a boss fight
+        const encounter = this.getBossEncounter();
+        if (encounter) {
+            encounter.render(this.ctx);
+        }
+        
+        // Checkpoint runes on the ground
+        if (this.gameMap && this.gameMap.renderCheckpoints) {
+            this.gameMap.renderCheckpoints(this.ctx, (checkpoint) => this.isCheckpoint(checkpoint));
+        }
+        
+        // Render merchants and animals (behind player but above ground)
+        if (this.gameMap && this.gameMap.renderNpcs) {
+            this.gameMap.renderNpcs(this.ctx, this.player);
+        }
         this.renderAnimals(camera);
         
+        // Spell effects on the ground (healing wards) go under the player
+        this.renderSpellEffects('ground');
+        
         // Render player
         if (this.player) {
             this.player.render(this.ctx);
@@ -814,6 +1325,7 @@ class ZeldaGame {
         this.projectiles.forEach(projectile => {
             projectile.render(this.ctx);
         });
+        this.renderSpellEffects('air');
         
         // Render mouse target indicator (debug/aiming aid)
         if (this.player && this.inventory) {
@@ -865,6 +1377,9 @@ class ZeldaGame {
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = '24px Arial';
         this.ctx.fillText('Press ENTER or SPACE to Start New Game', this.canvas.width / 2, 380);
+        if (this.hasSaves) {
+            this.ctx.fillText('Press L to Load Saved Game', this.canvas.width / 2, 420);
+        }
         
         // Game info
         this.ctx.fillStyle = '#888888';
@@ -908,12 +1423,68 @@ class ZeldaGame {
         this.ctx.font = '20px Arial';
         this.ctx.fillStyle = '#ecf0f1';
         this.ctx.fillText('ESC - Resume Game', this.canvas.width / 2, menuY + 120);
-        this.ctx.fillText('Q - Quit to Title', this.canvas.width / 2, menuY + 160);
+        this.ctx.fillText('S - Save Game', this.canvas.width / 2, menuY + 160);
+        this.ctx.fillText('Q - Quit to Title', this.canvas.width / 2, menuY + 200);
         
         // Instructions
         this.ctx.font = '14px Arial';
         this.ctx.fillStyle = '#bdc3c7';
-        this.ctx.fillText('Press the corresponding key to select an option', this.canvas.width / 2, menuY + 200);
+        this.ctx.fillText('Press the corresponding key to select an option', this.canvas.width / 2, menuY + 240);
+    }
+    
+    renderSlotMenu() {
+        if (!this.slotMenu) return;
+        
+        // Semi-transparent overlay
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Menu background
+        const menuWidth = 500;
+        const menuHeight = 340;
+        const menuX = (this.canvas.width - menuWidth) / 2;
+        const menuY = (this.canvas.height - menuHeight) / 2;
+        
+        this.ctx.fillStyle = '#2c3e50';
+        this.ctx.fillRect(menuX, menuY, menuWidth, menuHeight);
+        this.ctx.strokeStyle = '#34495e';
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeRect(menuX, menuY, menuWidth, menuHeight);
+        
+        // Menu title
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 32px Arial';
+        const title = this.slotMenu.mode === 'save' ? 'SAVE GAME' : 'LOAD GAME';
+        this.ctx.fillText(title, this.canvas.width / 2, menuY + 55);
+        
+        // One line per slot with a short summary
+        this.ctx.font = '18px Arial';
+        this.saveManager.slotNames.forEach((slotName, index) => {
+            const summary = this.slotSummaries[index];
+            let description = 'Empty';
+            if (summary && summary.corrupted) {
+                description = 'Corrupted save';
+            } else if (summary) {
+                const savedAt = summary.savedAt ? new Date(summary.savedAt).toLocaleString() : 'unknown date';
+                description = `${summary.currentRoom} • Level ${summary.level} • ${savedAt}`;
+            }
+            
+            this.ctx.fillStyle = summary ? '#ecf0f1' : '#7f8c8d';
+            this.ctx.fillText(`${index + 1} - ${slotName}: ${description}`, this.canvas.width / 2, menuY + 120 + index * 45);
+        });
+        
+        // Status line (e.g. "Slot is empty")
+        if (this.slotMenu.status) {
+            this.ctx.fillStyle = '#f39c12';
+            this.ctx.font = 'bold 16px Arial';
+            this.ctx.fillText(this.slotMenu.status, this.canvas.width / 2, menuY + 270);
+        }
+        
+        // Instructions
+        this.ctx.font = '14px Arial';
+        this.ctx.fillStyle = '#bdc3c7';
+        this.ctx.fillText('Press 1-3 to choose a slot, ESC to go back', this.canvas.width / 2, menuY + 310);
     }
     
     renderGameOverScreen() {
@@ -948,34 +1519,34 @@ class ZeldaGame {
         this.ctx.strokeText('GAME OVER', this.canvas.width / 2, panelY + 80);
         this.ctx.fillText('GAME OVER', this.canvas.width / 2, panelY + 80);
         
-        // Death message
+        // Why the adventure ended (death or a time limit)
         this.ctx.fillStyle = '#ffcccc';
         this.ctx.font = 'italic 24px Arial';
-        this.ctx.fillText('The Llama Knight has fallen...', this.canvas.width / 2, panelY + 130);
+        this.ctx.fillText(this.gameOverReason || 'The Llama Knight has fallen...', this.canvas.width / 2, panelY + 130);
         
-        // Options
+        // Options - a time limit running out can't be continued
+        const canContinue = this.objectives && this.objectives.canContinue;
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = 'bold 22px Arial';
-        this.ctx.fillText('Press ANY KEY to return to Title Screen', this.canvas.width / 2, panelY + 190);
-        
-        // Instructions
-        this.ctx.fillStyle = '#999999';
-        this.ctx.font = '18px Arial';
-        this.ctx.fillText('You can start a new adventure from the main menu', this.canvas.width / 2, panelY + 230);
-        
-        // Auto-return countdown
-        if (!this.gameOverStartTime) {
-            this.gameOverStartTime = Date.now();
+        if (canContinue) {
+            this.ctx.fillText('ENTER - Continue from checkpoint', this.canvas.width / 2, panelY + 200);
         }
-        const timeLeft = Math.max(0, 10 - Math.floor((Date.now() - this.gameOverStartTime) / 1000));
-        
-        this.ctx.fillStyle = '#cccccc';
-        this.ctx.font = '16px Arial';
-        this.ctx.fillText(`Automatically returning to title in ${timeLeft} seconds...`, this.canvas.width / 2, panelY + 280);
-        
-        // Auto-return after 10 seconds
-        if (timeLeft <= 0) {
-            this.quitToTitle();
+        this.ctx.fillText('ESC - Return to Title Screen', this.canvas.width / 2, panelY + 240);
+        
+        // What continuing costs
+        if (canContinue) {
+            const penalty = this.getDeathPenalty();
+            const costs = [
+                penalty.coins > 0 ? `${Math.round(penalty.coins * 100)}% of your coins` : '',
+                penalty.xp > 0 ? `${Math.round(penalty.xp * 100)}% of your XP` : ''
+            ].filter(Boolean).join(' and ');
+            const checkpointName = this.checkpoint && this.checkpoint.name ? this.checkpoint.name : 'the start';
+            this.ctx.fillStyle = '#999999';
+            this.ctx.font = '16px Arial';
+            this.ctx.fillText(`Respawn at ${checkpointName} with everything you found`, this.canvas.width / 2, panelY + 285);
+            if (costs) {
+                this.ctx.fillText(`...but drop ${costs}`, this.canvas.width / 2, panelY + 308);
+            }
         }
     }
     
@@ -984,9 +1555,10 @@ class ZeldaGame {
         this.ctx.fillStyle = 'rgba(50, 40, 0, 0.8)';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Victory panel
+        // Victory panel - taller for each objective listed
+        const entries = this.objectives ? this.objectives.getEntries() : [];
         const panelWidth = 600;
-        const panelHeight = 400;
+        const panelHeight = 400 + entries.length * 26;
         const panelX = (this.canvas.width - panelWidth) / 2;
         const panelY = (this.canvas.height - panelHeight) / 2;
         
@@ -1011,28 +1583,37 @@ class ZeldaGame {
         this.ctx.strokeText('VICTORY!', this.canvas.width / 2, panelY + 90);
         this.ctx.fillText('VICTORY!', this.canvas.width / 2, panelY + 90);
         
-        // Victory message
+        // Victory message from the adventure
         this.ctx.fillStyle = '#d9f99d';
         this.ctx.font = 'italic 26px Arial';
-        this.ctx.fillText('All wolves have been defeated!', this.canvas.width / 2, panelY + 150);
+        this.ctx.fillText(this.adventure.victory || 'Every objective is complete!', this.canvas.width / 2, panelY + 150);
         
         // Success message
         this.ctx.fillStyle = '#a3e635';
         this.ctx.font = 'bold 22px Arial';
         this.ctx.fillText('The Llama Knight stands victorious!', this.canvas.width / 2, panelY + 200);
         
+        // Objectives - optional ones that were skipped are greyed out
+        entries.forEach((entry, index) => {
+            const progress = entry.progressText ? ` (${entry.progressText})` : '';
+            this.ctx.fillStyle = entry.done ? '#bef264' : '#8a8a8a';
+            this.ctx.font = '18px Arial';
+            this.ctx.fillText(`${entry.done ? '✔' : '✘'} ${entry.label}${progress}${entry.optional ? ' - optional' : ''}`, this.canvas.width / 2, panelY + 240 + index * 26);
+        });
+        const statsY = panelY + 250 + entries.length * 26;
+        
         // Player stats
         if (this.player) {
             this.ctx.fillStyle = '#ffffff';
             this.ctx.font = '20px Arial';
-            this.ctx.fillText(`Final Level: ${this.player.level}`, this.canvas.width / 2, panelY + 250);
-            this.ctx.fillText(`Total XP: ${this.player.xp}`, this.canvas.width / 2, panelY + 280);
+            this.ctx.fillText(`Final Level: ${this.player.level}`, this.canvas.width / 2, statsY);
+            this.ctx.fillText(`Total XP: ${this.player.xp}`, this.canvas.width / 2, statsY + 30);
         }
         
         // Return instruction
         this.ctx.fillStyle = '#fde047';
         this.ctx.font = 'bold 22px Arial';
-        this.ctx.fillText('Press ANY KEY to return to Title Screen', this.canvas.width / 2, panelY + 340);
+        this.ctx.fillText('Press ANY KEY to return to Title Screen', this.canvas.width / 2, statsY + 90);
     }
     
     renderMouseTarget(ctx) {
@@ -1122,6 +1703,30 @@ class ZeldaGame {
         // Render health bar
         this.renderHealthBar();
         
+        // Render mana bar (next to stamina)
+        this.renderManaBar();
+        
+        // Render coin count
+        this.renderCoins();
+        
+        // Render equipped weapon and armor
+        this.renderEquipmentSlots();
+        
+        // Render burn, poison and other status effects on the player
+        this.renderStatusEffects();
+        
+        // Render consumable hotbar
+        this.renderHotbar();
+        
+        // Objective list and time limit (top right)
+        this.renderObjectives();
+        
+        // Boss health bar, title card and outro text
+        const encounter = this.getBossEncounter();
+        if (encounter) {
+            encounter.renderHud(this.ctx, this.canvas);
+        }
+        
         // Render message notifications
         if (this.messageText && this.messageTimer > 0) {
             const messageY = 100;
@@ -1226,7 +1831,7 @@ class ZeldaGame {
         }
         
         // Flash when hurt
-        if (this.player.hurtTimer > 0) {
+        if (this.player.hitReaction.isFlashing()) {
             fillColor = '#ffffff'; // Flash white when taking damage
         }
         
@@ -1246,6 +1851,171 @@ class ZeldaGame {
         this.ctx.fillText(`${Math.ceil(this.player.currentHealth)}/${this.player.maxHealth}`, barX + barWidth, barY - 5);
     }
 
+    renderManaBar() {
+        if (!this.player) return;
+        
+        // Same size as the stamina bar, beside it
+        const barWidth = 200;
+        const barHeight = 12;
+        const barX = 240;
+        const barY = 50;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(barX, barY, barWidth, barHeight);
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(barX, barY, barWidth, barHeight);
+        
+        const fillWidth = barWidth * (this.player.currentMana / this.player.maxMana);
+        
+        // Flash when a spell couldn't be afforded
+        let fillColor = '#3a7bd5';
+        if (this.player.isManaFlashing()) {
+            fillColor = Math.floor(Date.now() / 80) % 2 === 0 ? '#ffffff' : '#ff4444';
+        }
+        
+        this.ctx.fillStyle = fillColor;
+        this.ctx.fillRect(barX + 1, barY + 1, Math.max(0, fillWidth - 2), barHeight - 2);
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText('MANA', barX, barY - 5);
+        
+        this.ctx.font = '10px Arial';
+        this.ctx.fillStyle = '#cccccc';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`${Math.floor(this.player.currentMana)}/${this.player.maxMana}`, barX + barWidth, barY - 5);
+    }
+
+    renderObjectives() {
+        if (!this.objectives) return;
+        
+        const entries = this.objectives.getEntries();
+        const timeLeft = this.objectives.getTimeLeft();
+        if (entries.length === 0 && timeLeft === null) return;
+        
+        const width = 240;
+        const lineHeight = 18;
+        const x = this.canvas.width - width - 20;
+        const y = 20;
+        const height = 30 + entries.length * lineHeight + (timeLeft !== null ? lineHeight : 0);
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(x, y, width, height);
+        
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.fillText(this.adventure.title ? `OBJECTIVES - ${this.adventure.title}` : 'OBJECTIVES', x + 8, y + 16);
+        
+        entries.forEach((entry, index) => {
+            const lineY = y + 34 + index * lineHeight;
+            this.ctx.fillStyle = entry.done ? '#7bd36b' : (entry.optional ? '#b0b0b0' : '#ffffff');
+            this.ctx.font = entry.optional ? 'italic 11px Arial' : '11px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${entry.done ? '✔' : '•'} ${entry.label}`, x + 8, lineY);
+            if (entry.progressText && !entry.done) {
+                this.ctx.textAlign = 'right';
+                this.ctx.fillText(entry.progressText, x + width - 8, lineY);
+            }
+        });
+        
+        // Time limit - turns red in the last minute
+        if (timeLeft !== null) {
+            const lineY = y + 34 + entries.length * lineHeight;
+            this.ctx.fillStyle = timeLeft < 60000 ? '#ff5555' : '#ffffff';
+            this.ctx.font = 'bold 11px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`⏳ Time left: ${ObjectiveTracker.formatTime(timeLeft)}`, x + 8, lineY);
+        }
+    }
+    
+    renderCoins() {
+        if (!this.inventory) return;
+        
+        const x = 20;
+        const y = 80; // Below stamina bar
+        
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.beginPath();
+        this.ctx.arc(x + 6, y, 6, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#b8860b';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`${this.inventory.coins}`, x + 18, y + 4);
+    }
+
+    renderEquipmentSlots() {
+        if (!this.inventory) return;
+        
+        const slotSize = 36;
+        const slotY = 100; // Below coin count
+        const slots = [
+            { label: 'WEAPON', item: this.inventory.getCurrentWeapon() },
+            { label: 'ARMOR', item: this.inventory.getCurrentArmor() },
+            { label: 'SHIELD', item: this.inventory.getCurrentShield() },
+            { label: 'SPELL (Q)', item: this.inventory.getCurrentSpell() }
+        ];
+        
+        slots.forEach((slot, index) => {
+            const slotX = 20 + index * (slotSize + 12);
+            
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillRect(slotX, slotY, slotSize, slotSize);
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(slotX, slotY, slotSize, slotSize);
+            
+            ItemRegistry.draw(this.ctx, slot.item, this.spriteLoader, slotX + 2, slotY + 2, slotSize - 4);
+            
+            this.ctx.fillStyle = '#cccccc';
+            this.ctx.font = '9px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(slot.label, slotX + slotSize / 2, slotY + slotSize + 11);
+        });
+        
+        // Armor stats next to the slots
+        const armor = this.inventory.getCurrentArmor();
+        const textX = 20 + slots.length * (slotSize + 12);
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = '12px Arial';
+        this.ctx.fillText(armor.name, textX, slotY + 14);
+        this.ctx.fillStyle = '#cccccc';
+        this.ctx.font = '10px Arial';
+        this.ctx.fillText(`Defense ${Math.round((armor.stats.defense || 0) * 100)}% • Speed ${Math.round((armor.stats.speed || 1) * 100)}%`, textX, slotY + 30);
+        
+        // Open window for a counterattack after a parry
+        if (this.player && this.player.counterTimer > 0) {
+            this.ctx.fillStyle = '#ffd700';
+            this.ctx.font = 'bold 11px Arial';
+            this.ctx.fillText('COUNTER!', textX, slotY + 46);
+        }
+    }
+    
+    // Player's active status effects under the equipment slots, with seconds left
+    renderStatusEffects() {
+        if (!this.player || !this.player.statusEffects) return;
+        
+        const size = StatusEffects.HUD_ICON_SIZE;
+        const y = 158; // Below the equipment slot labels
+        this.player.statusEffects.getActive().forEach((effect, index) => {
+            const x = 20 + index * (size + 8);
+            StatusEffects.drawIcon(this.ctx, effect, x, y, size);
+            
+            this.ctx.fillStyle = '#cccccc';
+            this.ctx.font = '9px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`${Math.ceil(Math.max(0, effect.remaining) / 1000)}s`, x + size / 2, y + size + 10);
+        });
+    }
+    
     // Public methods for game control
     pause() {
         this.isRunning = false;
@@ -1256,6 +2026,7 @@ class ZeldaGame {
         if (!this.isRunning) {
             this.isRunning = true;
             this.lastTime = performance.now();
+            this.accumulator = 0;
             this.gameLoop();
             console.log('▶️ Game resumed');
         }
@@ -1279,27 +2050,54 @@ class ZeldaGame {
         }
     }
 
+    /**
+     * Pick up a room item, loot drop or shop purchase - what happens is the
+     * item's pickup behaviour in the ItemRegistry
+     * @param {object} item - { type: item id, amount (defaults to 1) }
+     */
     collectItem(item) {
-        console.log(`? Collected ${item.type}!`);
-        
-        if (item.type === 'magic_staff' || item.type === 'staff') {
-            this.inventory.addItem('staff');
-            this.inventory.currentWeaponIndex = this.inventory.weapons.findIndex(w => w.id === 'staff');
-            this.player.equipMagicStaff();
-            console.log('?? Magic Staff added to inventory!');
-        } else if (item.type === 'sword') {
-            this.inventory.addItem('sword');
-            this.inventory.currentWeaponIndex = this.inventory.weapons.findIndex(w => w.id === 'sword');
-            this.player.equipSword();
-            console.log('?? Sword added to inventory!');
+        const definition = ItemRegistry.get(item.type);
+        if (!definition) {
+            console.warn(`⚠️ Unknown item "${item.type}" - add it to the ItemRegistry`);
+            return;
         }
+        const amount = item.amount || 1;
+        console.log(`🎒 Collected ${definition.name}${amount > 1 ? ` x${amount}` : ''}`);
+        
+        if (definition.pickup === 'equip') {
+            // Found weapons and armor are put on straight away
+            this.inventory.addItem(definition.id);
+            this.inventory.equipItem(definition.id);
+            this.showMessage(`${definition.name} equipped!`, 3000);
+        } else if (definition.pickup === 'bag') {
+            const added = this.inventory.addConsumable(definition.id, amount);
+            if (added < amount) {
+                this.showMessage(`Can't carry more ${definition.name}s`, 2000);
+            }
+        } else if (definition.pickup === 'instant') {
+            const stats = definition.stats;
+            if (stats.heal) this.player.heal(stats.heal * amount);
+            if (stats.stamina) this.player.restoreStamina(stats.stamina * amount);
+            if (stats.mana) this.player.restoreMana(stats.mana * amount);
+            if (stats.coins) this.inventory.addCoins(stats.coins * amount);
+        } else if (definition.pickup === 'learn') {
+            const spell = SpellRegistry.get(definition.stats.spell);
+            if (this.inventory.addItem(definition.id)) {
+                this.inventory.selectSpell(spell.id);
+                this.showMessage(`Learned ${spell.name}! Q to switch spells`, 3000);
+            } else {
+                this.showMessage(`You already know ${spell.name}`, 2000);
+            }
+        }
+        
+        this.notify('itemCollected', { type: definition.id, amount: amount });
     }
     
     spawnEnemies() {
         // Don't spawn enemies here - let the room handle it via animals array
         this.enemies = []; // Clear existing enemies
         
-        // Enemies are now spawned by the room classes (MainRoom, ForestRoom, etc.)
+        // Enemies are now spawned by the rooms (the "animals" list in assets/rooms/*.json)
         // and accessed via this.gameMap.animals
         console.log('📍 Enemies will be managed by room.animals array');
         
@@ -1321,8 +2119,8 @@ class ZeldaGame {
         }
         
         try {
-            // Initialize a fresh game - start in main room
-            this.currentRoom = 'main';
+            // Initialize a fresh game - start in main room (or the room being play-tested)
+            this.currentRoom = this.startRoom;
             
             // Always recreate rooms to reset items and state
             console.log('📍 Creating fresh rooms...');
@@ -1333,8 +2131,9 @@ class ZeldaGame {
 
             // Use the room manager as the single source of rooms
             console.log('?? Using room system for new game...');
-            this.roomManager = new RoomManager(this.spriteLoader);
+            this.roomManager = new RoomManager(this.spriteLoader, this.startRoom);
             this.gameMap = this.roomManager.getCurrentRoom();
+            this.updateRoomMusic(this.gameMap);
             
             // Create fresh player at spawn position
             const spawnPos = this.roomManager ? this.roomManager.getSpawnPosition() : this.gameMap.getSpawnPosition();
@@ -1348,34 +2147,158 @@ class ZeldaGame {
             
             // Clear projectiles and spawn enemies
             this.projectiles = [];
+            this.spellEffects = [];
             this.spawnEnemies();
             
+            // Fresh objectives - the starting room counts as reached
+            this.objectives = new ObjectiveTracker(this.adventure);
+            this.notify('roomEntered', { room: this.currentRoom });
+            
+            // Until a checkpoint is reached, Continue goes back to the spawn point
+            this.setCheckpoint({ room: this.currentRoom, x: spawnPos.x, y: spawnPos.y, name: null });
+            
             console.log('🌟 New game started!');
             this.showMessage('New Adventure Begins!', 3000);
             
         } catch (error) {
             console.error('❌ Error starting new game:', error);
             this.gameState = 'title';
+            this.refreshSaveSlots();
             this.showMessage('Failed to start game!', 3000);
         }
     }
     
+    // =====================================================
+    // SAVE / LOAD
+    // =====================================================
+    
+    /**
+     * Re-read the save slot summaries. Slots only change when the game saves,
+     * so menus use this cached copy instead of reading localStorage every frame.
+     */
+    refreshSaveSlots() {
+        this.slotSummaries = this.saveManager.slotNames.map(slotName => this.saveManager.getSlotSummary(slotName));
+        this.hasSaves = this.slotSummaries.some(summary => summary !== null);
+    }
+    
+    openSlotMenu(mode) {
+        if (!this.saveManager.isAvailable()) {
+            this.showMessage('Saving is not available in this browser', 3000);
+            return;
+        }
+        
+        this.refreshSaveSlots();
+        this.slotMenu = { mode: mode, returnState: this.gameState, status: '' };
+        this.gameState = 'slots';
+    }
+    
+    closeSlotMenu() {
+        if (!this.slotMenu) return;
+        this.gameState = this.slotMenu.returnState;
+        this.slotMenu = null;
+    }
+    
+    handleSlotMenuKey(code) {
+        if (code === 'Escape') {
+            this.closeSlotMenu();
+            return;
+        }
+        
+        const slotKeys = ['Digit1', 'Digit2', 'Digit3'];
+        const slotIndex = slotKeys.indexOf(code);
+        const slotName = this.saveManager.slotNames[slotIndex];
+        if (!slotName) return;
+        
+        if (this.slotMenu.mode === 'save') {
+            if (this.saveManager.save(slotName, this)) {
+                this.refreshSaveSlots();
+                this.closeSlotMenu();
+                this.showMessage(`Saved to ${slotName}`, 2000);
+            } else {
+                this.slotMenu.status = 'Save failed - check the console (F12)';
+            }
+        } else {
+            const data = this.saveManager.load(slotName);
+            if (!data) {
+                this.slotMenu.status = `${slotName} is empty or unreadable`;
+                return;
+            }
+            this.slotMenu = null;
+            this.loadGameFromSave(data);
+        }
+    }
+    
+    /**
+     * Rebuild the world from save data
+     * Rooms are created through RoomManager.getRoom() as usual, then the saved
+     * state (collected items, defeated animals) is applied on top of them.
+     */
+    loadGameFromSave(data) {
+        try {
+            if (typeof RoomManager === 'undefined') {
+                throw new Error('RoomManager not available');
+            }
+            
+            console.log('📂 Restoring saved game...');
+            this.roomManager = new RoomManager(this.spriteLoader);
+            
+            // Restore every room that had been visited when the game was saved
+            for (const [roomName, roomState] of Object.entries(data.rooms || {})) {
+                this.roomManager.getRoom(roomName).applySaveState(roomState);
+            }
+            
+            this.currentRoom = data.currentRoom || 'main';
+            this.gameMap = this.roomManager.switchToRoom(this.currentRoom);
+            this.updateRoomMusic(this.gameMap);
+            
+            // Recreate player and inventory, then overwrite with saved values
+            this.player = new ZeldaPlayer(data.player.x, data.player.y, this.spriteLoader, this);
+            this.player.loadSaveData(data.player);
+            
+            this.inventory = new ZeldaInventory(this.spriteLoader);
+            this.inventory.loadSaveData(data.inventory);
+            this.player.inventory = this.inventory;
+            
+            this.projectiles = [];
+            this.spellEffects = [];
+            this.spawnEnemies();
+            
+            this.objectives = new ObjectiveTracker(this.adventure);
+            this.objectives.loadSaveData(data.objectives);
+            
+            // Saves from before checkpoints respawn where they were saved
+            this.setCheckpoint(data.checkpoint || { room: this.currentRoom, x: this.player.x, y: this.player.y, name: null });
+            
+            this.gameState = 'playing';
+            this.notify('roomEntered', { room: this.currentRoom });
+            console.log('✅ Saved game restored');
+            this.showMessage('Adventure Restored!', 3000);
+        } catch (error) {
+            console.error('❌ Error loading saved game:', error);
+            this.quitToTitle();
+            this.showMessage('Failed to load game!', 3000);
+        }
+    }
+    
     quitToTitle() {
         this.gameState = 'title';
+        this.refreshSaveSlots();
         
         // Reset game objects but preserve sprite assets and rooms
         this.player = null;
         this.gameMap = null;
         this.inventory = null;
         this.projectiles = [];
+        this.spellEffects = [];
         this.currentRoom = 'main'; // Reset to main room for next game
+        this.slotMenu = null;
+        this.shopMenu = null;
+        this.objectives = null;
+        this.checkpoint = null;
         
         // Don't clear rooms - reuse them for performance
         // this.rooms = {}; // REMOVED - keep rooms for next game
         
-        // Reset game over timer
-        this.gameOverStartTime = null;
-        
         console.log('🏠 Returned to title screen');
     }
     
@@ -1450,6 +2373,261 @@ class ZeldaGame {
         }, duration);
     }
     
+    // =====================================================
+    // CONSUMABLES (quick-use hotbar)
+    // =====================================================
+    
+    useHotbarSlot(slot) {
+        const itemId = this.inventory.hotbar[slot];
+        if (itemId) {
+            this.useConsumable(itemId);
+        }
+    }
+    
+    /**
+     * Use one consumable - nothing is used up while it's cooling down or would have no effect
+     * @returns {boolean} True if it was used
+     */
+    useConsumable(itemId) {
+        const item = this.inventory.getConsumable(itemId);
+        if (!item || !this.player) return false;
+        
+        if (this.inventory.getConsumableCount(itemId) <= 0) {
+            this.showMessage(`No ${item.name}s left`, 1500);
+            return false;
+        }
+        if (this.inventory.isOnCooldown(itemId)) return false;
+        
+        const reason = this.player.applyConsumable(item);
+        if (reason) {
+            this.showMessage(reason, 1500);
+            return false;
+        }
+        
+        this.inventory.takeConsumable(itemId);
+        console.log(`🧪 Used ${item.name} (${this.inventory.getConsumableCount(itemId)} left)`);
+        return true;
+    }
+    
+    renderHotbar() {
+        if (!this.inventory) return;
+        
+        const slotSize = 40;
+        const gap = 8;
+        const hotbar = this.inventory.hotbar;
+        const startX = (this.canvas.width - (hotbar.length * slotSize + (hotbar.length - 1) * gap)) / 2;
+        const slotY = this.canvas.height - slotSize - 20;
+        
+        hotbar.forEach((itemId, index) => {
+            const item = this.inventory.getConsumable(itemId);
+            const count = this.inventory.getConsumableCount(itemId);
+            const slotX = startX + index * (slotSize + gap);
+            
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillRect(slotX, slotY, slotSize, slotSize);
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(slotX, slotY, slotSize, slotSize);
+            
+            if (item) {
+                this.ctx.save();
+                this.ctx.globalAlpha = count > 0 ? 1 : 0.3;
+                ItemRegistry.draw(this.ctx, item, this.spriteLoader, slotX + 4, slotY + 4, slotSize - 8);
+                this.ctx.restore();
+                
+                // Cooldown shade drains from the top
+                const cooldown = this.inventory.getCooldownFraction(itemId);
+                if (cooldown > 0) {
+                    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                    this.ctx.fillRect(slotX, slotY, slotSize, slotSize * cooldown);
+                }
+                
+                this.ctx.fillStyle = '#ffffff';
+                this.ctx.font = 'bold 11px Arial';
+                this.ctx.textAlign = 'right';
+                this.ctx.fillText(`${count}`, slotX + slotSize - 3, slotY + slotSize - 4);
+            }
+            
+            // Key label
+            this.ctx.fillStyle = '#cccccc';
+            this.ctx.font = '9px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(ZeldaInventory.HOTBAR_KEYS[index].replace('Key', ''), slotX + 3, slotY + 10);
+        });
+    }
+    
+    // =====================================================
+    // INVENTORY SCREEN
+    // =====================================================
+    
+    openInventoryScreen() {
+        // Let go of whatever was held so the llama doesn't keep walking afterwards
+        if (this.player) this.player.keys = {};
+        this.inventoryScreen.open();
+        this.gameState = 'inventory';
+        console.log('🎒 Inventory opened');
+    }
+    
+    closeInventoryScreen() {
+        this.gameState = 'playing';
+    }
+    
+    // =====================================================
+    // SHOP (buying and selling with merchants)
+    // =====================================================
+    
+    openShop(merchant) {
+        // Let go of whatever was held - keyup is ignored while the shop is open
+        if (this.player) this.player.keys = {};
+        this.shopMenu = { merchant: merchant, tab: 'buy', selected: 0, status: '' };
+        this.gameState = 'shop';
+        console.log(`🛒 Trading with ${merchant.name}`);
+    }
+    
+    closeShop() {
+        this.shopMenu = null;
+        this.gameState = 'playing';
+    }
+    
+    // Rows shown on the current tab
+    getShopEntries() {
+        const merchant = this.shopMenu.merchant;
+        return this.shopMenu.tab === 'buy'
+            ? merchant.getBuyList(this.inventory, this.player)
+            : merchant.getSellList(this.inventory, this.player);
+    }
+    
+    handleShopKey(code) {
+        const menu = this.shopMenu;
+        if (code === 'Escape') {
+            this.closeShop();
+            return;
+        }
+        
+        // Left/right (or Tab) switches between buying and selling
+        if (['ArrowLeft', 'ArrowRight', 'KeyA', 'KeyD', 'Tab'].includes(code)) {
+            menu.tab = menu.tab === 'buy' ? 'sell' : 'buy';
+            menu.selected = 0;
+            menu.status = '';
+            return;
+        }
+        
+        const entries = this.getShopEntries();
+        if (code === 'ArrowUp' || code === 'KeyW') {
+            menu.selected = Math.max(0, menu.selected - 1);
+        } else if (code === 'ArrowDown' || code === 'KeyS') {
+            menu.selected = Math.min(Math.max(0, entries.length - 1), menu.selected + 1);
+        } else if (code === 'Enter' || code === 'Space' || code === 'KeyE') {
+            const entry = entries[menu.selected];
+            if (!entry) return;
+            
+            menu.status = menu.tab === 'buy'
+                ? menu.merchant.buy(entry, this)
+                : menu.merchant.sell(entry, this);
+            
+            // Selling can shorten the list
+            const remaining = this.getShopEntries().length;
+            menu.selected = Math.min(menu.selected, Math.max(0, remaining - 1));
+        }
+    }
+    
+    renderShopMenu() {
+        const menu = this.shopMenu;
+        const ctx = this.ctx;
+        
+        // Semi-transparent overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Menu background - tall enough for every row plus the status lines below them
+        const entries = this.getShopEntries();
+        const rowHeight = 42;
+        const menuWidth = 560;
+        const menuHeight = Math.max(440, 110 + entries.length * rowHeight + 90);
+        const menuX = (this.canvas.width - menuWidth) / 2;
+        const menuY = (this.canvas.height - menuHeight) / 2;
+        
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillRect(menuX, menuY, menuWidth, menuHeight);
+        ctx.strokeStyle = '#34495e';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(menuX, menuY, menuWidth, menuHeight);
+        
+        // Merchant name and wallet
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 26px Arial';
+        ctx.fillText(menu.merchant.name.toUpperCase(), menuX + 25, menuY + 45);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#ffd700';
+        ctx.font = 'bold 18px Arial';
+        ctx.fillText(`${this.inventory.coins} coins`, menuX + menuWidth - 25, menuY + 45);
+        
+        // Tabs
+        ['buy', 'sell'].forEach((tab, index) => {
+            const tabX = menuX + 25 + index * 110;
+            const isActive = menu.tab === tab;
+            ctx.fillStyle = isActive ? '#f39c12' : '#34495e';
+            ctx.fillRect(tabX, menuY + 65, 100, 28);
+            ctx.fillStyle = isActive ? '#2c3e50' : '#bdc3c7';
+            ctx.font = 'bold 16px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(tab.toUpperCase(), tabX + 50, menuY + 85);
+        });
+        
+        // One row per item: name, what it does, price
+        const listY = menuY + 110;
+        if (entries.length === 0) {
+            ctx.fillStyle = '#7f8c8d';
+            ctx.font = '16px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(menu.tab === 'buy' ? 'Nothing for sale' : 'Nothing this merchant wants to buy', this.canvas.width / 2, listY + 30);
+        }
+        entries.forEach((entry, index) => {
+            const rowY = listY + index * rowHeight;
+            if (index === menu.selected) {
+                ctx.fillStyle = 'rgba(243, 156, 18, 0.25)';
+                ctx.fillRect(menuX + 15, rowY, menuWidth - 30, rowHeight - 4);
+            }
+            
+            ctx.textAlign = 'left';
+            ctx.fillStyle = entry.unavailable ? '#7f8c8d' : '#ecf0f1';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText(entry.name, menuX + 30, rowY + 18);
+            ctx.font = '12px Arial';
+            ctx.fillStyle = '#bdc3c7';
+            ctx.fillText(entry.unavailable || entry.description, menuX + 30, rowY + 33);
+            
+            ctx.textAlign = 'right';
+            ctx.fillStyle = entry.unavailable ? '#7f8c8d' : '#ffd700';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText(`${entry.price}`, menuX + menuWidth - 30, rowY + 24);
+        });
+        
+        // Status line (e.g. "Bought Heart")
+        ctx.textAlign = 'center';
+        if (menu.status) {
+            ctx.fillStyle = '#f39c12';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText(menu.status, this.canvas.width / 2, menuY + menuHeight - 75);
+        }
+        
+        // Most recent trade from the transaction log
+        const last = this.inventory.transactions[this.inventory.transactions.length - 1];
+        if (last) {
+            const name = ItemRegistry.has(last.item) ? ItemRegistry.get(last.item).name : last.item;
+            ctx.fillStyle = '#95a5a6';
+            ctx.font = '12px Arial';
+            ctx.fillText(`Last trade: ${last.type === 'buy' ? 'bought' : 'sold'} ${name} for ${last.price} coins at ${last.shop}`,
+                this.canvas.width / 2, menuY + menuHeight - 50);
+        }
+        
+        // Instructions
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#bdc3c7';
+        ctx.fillText('W/S or arrows to choose, ENTER to trade, A/D or TAB to switch, ESC to leave', this.canvas.width / 2, menuY + menuHeight - 20);
+    }
+    
     // =====================================================
     // AUDIO SYSTEM
     // =====================================================
@@ -1459,7 +2637,7 @@ class ZeldaGame {
         
         try {
             // Create audio element for background music
-            this.backgroundMusic = new Audio('assets/audio/video game music for luke - 9_25_25, 22.43.m4a');
+            this.backgroundMusic = new Audio(this.musicPath);
             this.backgroundMusic.loop = true;
             this.backgroundMusic.volume = this.musicVolume;
             
@@ -1504,6 +2682,24 @@ class ZeldaGame {
         }
     }
     
+    /**
+     * Switch to a room's own track, if it has one
+     * Rooms without "music" keep whatever is already playing.
+     */
+    updateRoomMusic(room) {
+        if (!this.backgroundMusic || !room || !room.music || room.music === this.musicPath) return;
+        
+        const wasPlaying = !this.backgroundMusic.paused;
+        this.backgroundMusic.pause();
+        this.backgroundMusic.src = room.music;
+        this.musicPath = room.music;
+        console.log(`🎵 Room music: ${room.music}`);
+        
+        if (wasPlaying) {
+            this.startBackgroundMusic();
+        }
+    }
+    
     toggleMusic() {
         this.isMusicEnabled = !this.isMusicEnabled;
         
@@ -1527,3 +2723,13 @@ class ZeldaGame {
         console.log(`🔊 Music volume set to ${Math.round(this.musicVolume * 100)}%`);
     }
 }
+
+// Simulation runs at a fixed 60 steps per second whatever the monitor's refresh rate
+ZeldaGame.FIXED_TIMESTEP = 1000 / 60;
+ZeldaGame.MAX_FRAME_TIME = 250;                 // Longest frame simulated (ms) - anything longer is dropped
+ZeldaGame.MAX_INTERPOLATION_DISTANCE = 64;      // Moves bigger than this in one step are teleports (pixels)
+ZeldaGame.ADVENTURE = 'main';                   // assets/adventures/<name>.json played by New Game
+
+// Share of the coins and of the XP towards the next level that Continue costs
+// (an adventure's "deathPenalty" overrides either)
+ZeldaGame.DEATH_PENALTY = { coins: 0.25, xp: 0.5 };
@@ -0,0 +1,166 @@
+/**
+ * Hit Reaction Component
+ *
+ * The physical side of getting hit, shared by the player and every enemy:
+ * - Knockback: an impulse away from the hit that slows down over a few
+ *   frames, moved through the room's collision so nobody ends up in a tree
+ * - Hit-stun: a short window where the owner can't act
+ * - Invulnerability: the same blow can't land twice
+ * - A white flash over the owner's sprite
+ *
+ * Owners create one in their constructor, call hit() when they take damage
+ * and update() every step with a collision check for their own box.
+ */
+class HitReaction {
+    /**
+     * @param {object} owner - Entity with x/y that gets pushed around
+     * @param {object} options - { invulnerability, stun, flash } in ms, knockbackResistance 0-1
+     */
+    constructor(owner, options = {}) {
+        this.owner = owner;
+        this.invulnerabilityDuration = options.invulnerability || 0;
+        this.stunDuration = options.stun || 0;
+        this.flashDuration = options.flash || 150;
+        this.knockbackResistance = options.knockbackResistance || 0;   // 0 = full knockback, 1 = can't be moved
+
+        this.velocityX = 0;                 // Knockback velocity (pixels per second)
+        this.velocityY = 0;
+        this.invulnerabilityTimer = 0;      // Milliseconds left of each effect
+        this.stunTimer = 0;
+        this.flashTimer = 0;
+    }
+
+    isInvulnerable() {
+        return this.invulnerabilityTimer > 0;
+    }
+
+    isStunned() {
+        return this.stunTimer > 0;
+    }
+
+    isFlashing() {
+        return this.flashTimer > 0;
+    }
+
+    /**
+     * Register a hit - starts invulnerability, stun and flash and pushes the owner away
+     * @param {number} sourceX - Where the hit came from (world pixels)
+     * @param {number} sourceY
+     * @param {object} options - { knockback: starting speed in px/s, stun: ms to override stunDuration }
+     * @returns {boolean} False if the owner is still invulnerable and the hit should be ignored
+     */
+    hit(sourceX, sourceY, options = {}) {
+        if (this.isInvulnerable()) return false;
+
+        this.invulnerabilityTimer = this.invulnerabilityDuration;
+        this.stunTimer = options.stun !== undefined ? options.stun : this.stunDuration;
+        this.flash();
+
+        if (options.knockback) {
+            this.applyKnockback(sourceX, sourceY, options.knockback);
+        }
+        return true;
+    }
+
+    // Stun without invulnerability (a parried attacker can still be hit) - never shortens a longer stun
+    stun(duration) {
+        this.stunTimer = Math.max(this.stunTimer, duration);
+    }
+
+    // Flash without the rest of the reaction (burning, poison ticks)
+    flash() {
+        this.flashTimer = this.flashDuration;
+    }
+
+    applyKnockback(sourceX, sourceY, force) {
+        const dx = this.owner.x - sourceX;
+        const dy = this.owner.y - sourceY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) return;
+
+        const speed = force * (1 - this.knockbackResistance);
+        this.velocityX = (dx / distance) * speed;
+        this.velocityY = (dy / distance) * speed;
+    }
+
+    /**
+     * Count down the timers and slide the owner along its knockback
+     * @param {function} canMoveTo - (x, y) => true when the owner fits at that position
+     */
+    update(deltaTime, canMoveTo) {
+        this.invulnerabilityTimer = Math.max(0, this.invulnerabilityTimer - deltaTime);
+        this.stunTimer = Math.max(0, this.stunTimer - deltaTime);
+        this.flashTimer = Math.max(0, this.flashTimer - deltaTime);
+
+        if (this.velocityX === 0 && this.velocityY === 0) return;
+
+        // One axis at a time so a glancing blow slides along walls instead of stopping dead
+        const stepX = this.velocityX * deltaTime / 1000;
+        const stepY = this.velocityY * deltaTime / 1000;
+        if (stepX !== 0 && canMoveTo(this.owner.x + stepX, this.owner.y)) {
+            this.owner.x += stepX;
+        } else {
+            this.velocityX = 0;
+        }
+        if (stepY !== 0 && canMoveTo(this.owner.x, this.owner.y + stepY)) {
+            this.owner.y += stepY;
+        } else {
+            this.velocityY = 0;
+        }
+
+        const decay = Math.exp(-HitReaction.KNOCKBACK_DECAY * deltaTime / 1000);
+        this.velocityX *= decay;
+        this.velocityY *= decay;
+        if (Math.abs(this.velocityX) < HitReaction.MIN_SPEED && Math.abs(this.velocityY) < HitReaction.MIN_SPEED) {
+            this.velocityX = 0;
+            this.velocityY = 0;
+        }
+    }
+
+    /**
+     * Draw a white silhouette over a sprite frame while flashing, fading out
+     * Takes the same arguments as the 9-argument ctx.drawImage()
+     */
+    renderFlash(ctx, image, sx, sy, sw, sh, dx, dy, dw, dh) {
+        if (!this.isFlashing() || !image) return;
+
+        const width = Math.ceil(Math.abs(dw));
+        const height = Math.ceil(Math.abs(dh));
+        const canvas = HitReaction.getFlashCanvas(width, height);
+        const flashCtx = canvas.getContext('2d');
+
+        // Sprite shape filled with white
+        flashCtx.clearRect(0, 0, width, height);
+        flashCtx.imageSmoothingEnabled = false;
+        flashCtx.drawImage(image, sx, sy, sw, sh, 0, 0, width, height);
+        flashCtx.globalCompositeOperation = 'source-atop';
+        flashCtx.fillStyle = '#ffffff';
+        flashCtx.fillRect(0, 0, width, height);
+        flashCtx.globalCompositeOperation = 'source-over';
+
+        ctx.save();
+        ctx.globalAlpha = 0.8 * (this.flashTimer / this.flashDuration);
+        ctx.drawImage(canvas, 0, 0, width, height, dx, dy, dw, dh);
+        ctx.restore();
+    }
+
+    // One scratch canvas shared by every flash, grown as needed
+    static getFlashCanvas(width, height) {
+        if (!HitReaction.flashCanvas) {
+            HitReaction.flashCanvas = document.createElement('canvas');
+            HitReaction.flashCanvas.width = 0;
+            HitReaction.flashCanvas.height = 0;
+        }
+
+        const canvas = HitReaction.flashCanvas;
+        if (canvas.width < width || canvas.height < height) {
+            canvas.width = Math.max(canvas.width, width);
+            canvas.height = Math.max(canvas.height, height);
+        }
+        return canvas;
+    }
+}
+
+HitReaction.KNOCKBACK_DECAY = 13;       // How quickly knockback dies away (per second)
+HitReaction.MIN_SPEED = 6;              // Knockback slower than this (px/s) stops
+HitReaction.flashCanvas = null;
@@ -0,0 +1,97 @@
+/**
+ * Hittable Entity Registry
+ *
+ * Single place that combat code asks "what can be hit right now?".
+ * Sword swings, projectiles and explosions all query this registry instead of
+ * reaching into room.animals or game.enemies directly.
+ *
+ * Entities come from named sources (functions returning arrays), so rooms can
+ * swap out their animals without anyone re-registering individual entities.
+ */
+class HittableRegistry {
+    constructor() {
+        this.sources = new Map();           // name -> () => array of entities
+    }
+
+    /**
+     * Register a source of hittable entities
+     * @param {string} name - Unique source name (e.g. 'room', 'enemies')
+     * @param {function} provider - Returns an array of entities (may be empty)
+     */
+    registerSource(name, provider) {
+        this.sources.set(name, provider);
+    }
+
+    unregisterSource(name) {
+        this.sources.delete(name);
+    }
+
+    /**
+     * Every living entity from every source
+     * @returns {Array} Entities that are not dead (hidden entities like ambushing snakes are skipped)
+     */
+    getAll() {
+        const entities = [];
+        for (const provider of this.sources.values()) {
+            const list = provider() || [];
+            for (const entity of list) {
+                if (entity && !entity.isDead && !entity.isHidden) {
+                    entities.push(entity);
+                }
+            }
+        }
+        return entities;
+    }
+
+    /**
+     * Living entities whose center lies within a circle
+     * @param {number} x - Circle center X (world pixels)
+     * @param {number} y - Circle center Y (world pixels)
+     * @param {number} radius - Circle radius in pixels
+     * @param {object} exclude - Optional entity to skip (e.g. the one already hit)
+     */
+    queryRadius(x, y, radius, exclude = null) {
+        return this.getAll().filter(entity => {
+            if (entity === exclude) return false;
+            const dx = entity.x - x;
+            const dy = entity.y - y;
+            return Math.sqrt(dx * dx + dy * dy) <= radius;
+        });
+    }
+
+    /**
+     * Living entities inside a pie-slice (e.g. the area a sword has swept)
+     * Entities count as circles, so big animals are hit by their edge rather than their center.
+     * @param {object} arc - { x, y, radius, startAngle, endAngle } - angles in radians, startAngle <= endAngle
+     * @param {Set} exclude - Optional entities to skip (e.g. already hit this swing)
+     */
+    queryArc(arc, exclude = null) {
+        return this.getAll().filter(entity => {
+            if (exclude && exclude.has(entity)) return false;
+
+            const dx = entity.x - arc.x;
+            const dy = entity.y - arc.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const entityRadius = (entity.collisionSize || 16) / 2;
+            if (distance > arc.radius + entityRadius) return false;
+            if (distance <= entityRadius) return true;   // Overlapping the swing's origin
+
+            // Widen the slice by the angle the entity's radius covers at this distance
+            const padding = Math.asin(Math.min(1, entityRadius / distance));
+            const middle = (arc.startAngle + arc.endAngle) / 2;
+            const halfWidth = (arc.endAngle - arc.startAngle) / 2 + padding;
+            const angle = Math.atan2(dy, dx) - middle;
+            return Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle))) <= halfWidth;
+        });
+    }
+
+    /**
+     * First living entity a projectile overlaps
+     * @param {ZeldaProjectile} projectile - Projectile with checkCollision(target)
+     * @returns {object|null} Entity hit, or null
+     */
+    findProjectileTarget(projectile) {
+        if (!projectile.checkCollision) return null;
+        return this.getAll().find(entity => projectile.checkCollision(entity)) || null;
+    }
+}
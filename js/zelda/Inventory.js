@@ -3,44 +3,222 @@ class ZeldaInventory {
     constructor(spriteLoader) {
         this.spriteLoader = spriteLoader;
         
-        // Available equipment
-        this.weapons = [
-            { id: 'none', name: 'None', sprite: null },
-            { id: 'sword', name: 'Sword', sprite: 'steel_weapons' },
-            { id: 'staff', name: 'Magic Staff', sprite: 'magic_staff' }
-        ];
-        
-        this.armor = [
-            { id: 'none', name: 'No Armor', sprite: 'llama_base' },
-            { id: 'knight', name: 'Knight Armor', sprite: 'llama_knight' }
-        ];
+        // Everything that can be carried comes from the ItemRegistry; index 0 is the empty slot
+        this.weapons = [ZeldaInventory.NO_WEAPON].concat(ItemRegistry.getByCategory('weapon'));
+        this.armor = [ZeldaInventory.NO_ARMOR].concat(ItemRegistry.getByCategory('armor'));
+        this.shields = [ZeldaInventory.NO_SHIELD].concat(ItemRegistry.getByCategory('shield'));
+        this.consumables = ItemRegistry.getByCategory('consumable');
         
         // Current equipped items
         this.currentWeaponIndex = 0; // Start with no weapon
         this.currentArmorIndex = 0;  // Start with no armor
+        this.currentShieldIndex = 0; // Start with no shield
         
         // Collected items (what's available in inventory)
         this.collectedWeapons = new Set(['none', 'sword', 'staff']); // Start with all weapons available
         this.collectedArmor = new Set(['none']);   // Start with no armor - must find it!
+        this.collectedShields = new Set(['none']); // Shields are found or bought too
+        this.consumableCounts = {};         // Consumable id -> how many are carried
+        this.cooldowns = {};                // Consumable id -> ms until it can be used again
+        
+        // Hotbar - the consumable used by each of ZeldaInventory.HOTBAR_KEYS
+        this.hotbar = ['health_potion', 'stamina_tonic', 'antidote', 'fire_resist_elixir', 'mana_potion'];
+        
+        // Spells the staff can cast (SpellRegistry ids) - the fireball comes with it, the rest from tomes
+        this.knownSpells = ['fireball'];
+        this.currentSpell = 'fireball';
+        
+        // Coin wallet - every purchase and sale goes into the transaction log
+        this.coins = 0;
+        this.transactions = [];             // Oldest first: { type: 'buy'|'sell', item, price, shop, level }
     }
     
-    // Add item to inventory when collected
+    // Add item to inventory when collected - consumables go on their stack
     addItem(itemId) {
-        // Check if it's a weapon
-        const weapon = this.weapons.find(w => w.id === itemId);
-        if (weapon) {
-            this.collectedWeapons.add(itemId);
+        const item = ItemRegistry.get(itemId);
+        if (!item) return false;
+        
+        if (item.category === 'weapon') {
+            this.collectedWeapons.add(item.id);
+            return true;
+        }
+        if (item.category === 'armor') {
+            this.collectedArmor.add(item.id);
             return true;
         }
+        if (item.category === 'shield') {
+            this.collectedShields.add(item.id);
+            return true;
+        }
+        if (item.category === 'consumable') {
+            return this.addConsumable(item.id) > 0;
+        }
+        if (item.pickup === 'learn') {
+            return this.learnSpell(item.stats.spell);
+        }
+        return false;
+    }
+    
+    // Put on a collected weapon or armor, in whichever slot its registry entry names
+    equipItem(itemId) {
+        const item = ItemRegistry.get(itemId);
+        if (!item || !item.equip) return false;
+        
+        if (item.equip.slot === 'weapon') {
+            this.selectWeapon(item.id);
+        } else if (item.equip.slot === 'armor') {
+            this.selectArmor(item.id);
+        } else if (item.equip.slot === 'shield') {
+            this.selectShield(item.id);
+        }
+        return true;
+    }
+    
+    // Check if player has an item (weapons, armor, shields and consumables) - a tome counts once its spell is known
+    hasItem(itemId) {
+        const item = ItemRegistry.get(itemId);
+        if (item && item.pickup === 'learn') return this.knowsSpell(item.stats.spell);
+        return itemId !== 'none' && (this.collectedWeapons.has(itemId) || this.collectedArmor.has(itemId) ||
+            this.collectedShields.has(itemId) || this.getConsumableCount(itemId) > 0);
+    }
+    
+    // Remove a weapon, armor or shield (sold) - unequips it if it was in use. Consumables go one at a time.
+    // Learnt spells can't be given back.
+    removeItem(itemId) {
+        if (!this.hasItem(itemId)) return false;
+        if (ItemRegistry.get(itemId).pickup === 'learn') return false;
         
-        // Check if it's armor
-        const armor = this.armor.find(a => a.id === itemId);
-        if (armor) {
-            this.collectedArmor.add(itemId);
+        if (this.getConsumable(itemId)) {
+            this.consumableCounts[itemId]--;
             return true;
         }
+        if (this.collectedWeapons.delete(itemId) && this.getCurrentWeapon().id === itemId) {
+            this.currentWeaponIndex = 0;
+        }
+        if (this.collectedArmor.delete(itemId) && this.getCurrentArmor().id === itemId) {
+            this.currentArmorIndex = 0;
+        }
+        if (this.collectedShields.delete(itemId) && this.getCurrentShield().id === itemId) {
+            this.currentShieldIndex = 0;
+        }
+        return true;
+    }
+    
+    // =====================================================
+    // WALLET
+    // =====================================================
+    
+    addCoins(amount) {
+        this.coins += amount;
+    }
+    
+    canAfford(amount) {
+        return this.coins >= amount;
+    }
+    
+    // Take coins out of the wallet - nothing is spent if there aren't enough
+    spendCoins(amount) {
+        if (!this.canAfford(amount)) return false;
+        this.coins -= amount;
+        return true;
+    }
+    
+    // Remember a shop transaction (only the most recent MAX_TRANSACTIONS are kept)
+    logTransaction(transaction) {
+        this.transactions.push(transaction);
+        if (this.transactions.length > ZeldaInventory.MAX_TRANSACTIONS) {
+            this.transactions.splice(0, this.transactions.length - ZeldaInventory.MAX_TRANSACTIONS);
+        }
+    }
+    
+    // =====================================================
+    // CONSUMABLES
+    // =====================================================
+    
+    getConsumable(itemId) {
+        const item = ItemRegistry.get(itemId);
+        return item && item.category === 'consumable' ? item : null;
+    }
+    
+    getConsumableCount(itemId) {
+        return this.consumableCounts[itemId] || 0;
+    }
+    
+    /**
+     * Put consumables in the bag - stacks stop at MAX_STACK
+     * @returns {number} How many actually fit
+     */
+    addConsumable(itemId, amount = 1) {
+        if (!this.getConsumable(itemId)) return 0;
         
-        return false;
+        const count = this.getConsumableCount(itemId);
+        const added = Math.max(0, Math.min(amount, ZeldaInventory.MAX_STACK - count));
+        this.consumableCounts[itemId] = count + added;
+        return added;
+    }
+    
+    // Use one up and start its cooldown
+    takeConsumable(itemId) {
+        if (this.getConsumableCount(itemId) <= 0) return false;
+        
+        this.consumableCounts[itemId]--;
+        this.cooldowns[itemId] = this.getConsumable(itemId).stats.cooldown || 0;
+        return true;
+    }
+    
+    isOnCooldown(itemId) {
+        return (this.cooldowns[itemId] || 0) > 0;
+    }
+    
+    // Share of the cooldown still to go, 1 just after use down to 0 when ready (for the HUD)
+    getCooldownFraction(itemId) {
+        const consumable = this.getConsumable(itemId);
+        if (!consumable || !consumable.stats.cooldown) return 0;
+        return Math.max(0, (this.cooldowns[itemId] || 0) / consumable.stats.cooldown);
+    }
+    
+    updateCooldowns(deltaTime) {
+        for (const itemId in this.cooldowns) {
+            this.cooldowns[itemId] = Math.max(0, this.cooldowns[itemId] - deltaTime);
+        }
+    }
+    
+    // =====================================================
+    // SPELLS
+    // =====================================================
+    
+    knowsSpell(spellId) {
+        return this.knownSpells.includes(spellId);
+    }
+    
+    // Learn a spell from a tome - false if it's already known (or doesn't exist)
+    learnSpell(spellId) {
+        if (!SpellRegistry.has(spellId) || this.knowsSpell(spellId)) return false;
+        this.knownSpells.push(spellId);
+        return true;
+    }
+    
+    // Known spells in the order they were learnt
+    getKnownSpells() {
+        return this.knownSpells.map(id => SpellRegistry.get(id));
+    }
+    
+    getCurrentSpell() {
+        return SpellRegistry.get(this.currentSpell);
+    }
+    
+    selectSpell(spellId) {
+        if (!this.knowsSpell(spellId)) return false;
+        this.currentSpell = spellId;
+        return true;
+    }
+    
+    // Step through known spells (Q) - returns the newly selected spell
+    cycleSpell(direction = 1) {
+        const index = this.knownSpells.indexOf(this.currentSpell);
+        const count = this.knownSpells.length;
+        this.currentSpell = this.knownSpells[(index + direction + count) % count];
+        return this.getCurrentSpell();
     }
     
     // Select specific weapon by ID
@@ -57,6 +235,32 @@ class ZeldaInventory {
         }
     }
     
+    // Select specific armor by ID
+    selectArmor(armorId) {
+        if (!this.collectedArmor.has(armorId)) {
+            console.log(`Armor '${armorId}' not available in inventory`);
+            return;
+        }
+        
+        const armorIndex = this.armor.findIndex(a => a.id === armorId);
+        if (armorIndex !== -1) {
+            this.currentArmorIndex = armorIndex;
+        }
+    }
+    
+    // Select specific shield by ID ('none' puts it away)
+    selectShield(shieldId) {
+        if (!this.collectedShields.has(shieldId)) {
+            console.log(`Shield '${shieldId}' not available in inventory`);
+            return;
+        }
+        
+        const shieldIndex = this.shields.findIndex(s => s.id === shieldId);
+        if (shieldIndex !== -1) {
+            this.currentShieldIndex = shieldIndex;
+        }
+    }
+    
     // Cycle to next available weapon
     cycleWeapon() {
         const availableWeapons = this.weapons.filter(w => this.collectedWeapons.has(w.id));
@@ -89,4 +293,67 @@ class ZeldaInventory {
     getCurrentArmor() {
         return this.armor[this.currentArmorIndex];
     }
-}
\ No newline at end of file
+    
+    getCurrentShield() {
+        return this.shields[this.currentShieldIndex];
+    }
+
+    // Describe collected and equipped items for save games
+    getSaveData() {
+        return {
+            collectedWeapons: Array.from(this.collectedWeapons),
+            collectedArmor: Array.from(this.collectedArmor),
+            collectedShields: Array.from(this.collectedShields),
+            currentWeapon: this.getCurrentWeapon().id,
+            currentArmor: this.getCurrentArmor().id,
+            currentShield: this.getCurrentShield().id,
+            coins: this.coins,
+            transactions: this.transactions.slice(),
+            consumables: Object.assign({}, this.consumableCounts),
+            knownSpells: this.knownSpells.slice(),
+            currentSpell: this.currentSpell
+        };
+    }
+
+    // Restore collected and equipped items from a save game
+    loadSaveData(data) {
+        if (!data) return;
+
+        // Items that have left the registry since the save was made are dropped
+        const known = (ids, list) => new Set(['none'].concat((ids || []).filter(id => list.some(item => item.id === id))));
+        this.collectedWeapons = known(data.collectedWeapons, this.weapons);
+        this.collectedArmor = known(data.collectedArmor, this.armor);
+        this.collectedShields = known(data.collectedShields, this.shields);
+
+        this.currentWeaponIndex = 0;
+        this.currentArmorIndex = 0;
+        this.currentShieldIndex = 0;
+        if (data.currentWeapon) this.selectWeapon(data.currentWeapon);
+        if (data.currentArmor) this.selectArmor(data.currentArmor);
+        if (data.currentShield) this.selectShield(data.currentShield);
+        this.coins = data.coins || 0;
+        this.transactions = Array.isArray(data.transactions) ? data.transactions.slice() : [];
+        
+        // Only known consumables, with counts kept inside a stack
+        this.consumableCounts = {};
+        this.cooldowns = {};
+        for (const itemId in (data.consumables || {})) {
+            this.addConsumable(itemId, Number(data.consumables[itemId]) || 0);
+        }
+        
+        // The fireball is always known, spells that no longer exist are forgotten
+        this.knownSpells = ['fireball'];
+        (data.knownSpells || []).forEach(spellId => this.learnSpell(spellId));
+        this.currentSpell = 'fireball';
+        if (data.currentSpell) this.selectSpell(data.currentSpell);
+    }
+}
+
+// Empty slots - what's "equipped" with no weapon, armor or shield on
+ZeldaInventory.NO_WEAPON = { id: 'none', name: 'None', stats: { damage: 0 } };
+ZeldaInventory.NO_ARMOR = { id: 'none', name: 'No Armor', equip: { slot: 'armor', sprite: 'llama_base' }, stats: { defense: 0, speed: 1 } };
+ZeldaInventory.NO_SHIELD = { id: 'none', name: 'No Shield', equip: { slot: 'shield' }, stats: { block: 0, blockCost: 0, parryWindow: 0 } };
+
+ZeldaInventory.MAX_TRANSACTIONS = 50;
+ZeldaInventory.MAX_STACK = 9;               // Most of one consumable the bag holds
+ZeldaInventory.HOTBAR_KEYS = ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB'];
\ No newline at end of file
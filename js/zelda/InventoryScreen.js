@@ -0,0 +1,410 @@
+/**
+ * Inventory Screen
+ *
+ * Full-screen overlay behind the I key. Everything the player has collected
+ * is laid out as icons, one row per section (weapons, armor, shields,
+ * spells, consumables). The selected item gets a tooltip with its stats
+ * and, for gear, a comparison against what is equipped right now.
+ *
+ * Keyboard: arrows/WASD to move, ENTER/SPACE/E to equip or unequip (use a
+ * consumable, ready a spell), I or ESC to close. Mouse: hover to select, click to equip.
+ *
+ * The game stays frozen while the screen is open ('inventory' game state).
+ */
+class InventoryScreen {
+    constructor(game) {
+        this.game = game;
+        this.row = 0;                       // Selected section
+        this.column = 0;                    // Selected item within the section
+        this.status = '';                   // Last equip/unequip message
+        this.slotRects = [];                // Where each icon was drawn, for mouse hit-testing
+    }
+
+    open() {
+        this.row = 0;
+        this.column = 0;
+        this.status = '';
+        this.selectFirstItem();
+    }
+
+    /**
+     * Sections shown on the screen, top to bottom
+     * @returns {Array} [{ title, kind: 'weapon'|'armor'|'shield'|'spell'|'consumable', items }]
+     */
+    getSections() {
+        const inventory = this.game.inventory;
+        return [
+            { title: 'WEAPONS', kind: 'weapon', items: inventory.weapons.filter(w => w.id !== 'none' && inventory.collectedWeapons.has(w.id)) },
+            { title: 'ARMOR', kind: 'armor', items: inventory.armor.filter(a => a.id !== 'none' && inventory.collectedArmor.has(a.id)) },
+            { title: 'SHIELDS', kind: 'shield', items: inventory.shields.filter(s => s.id !== 'none' && inventory.collectedShields.has(s.id)) },
+            { title: 'SPELLS', kind: 'spell', items: inventory.getKnownSpells() },
+            { title: 'CONSUMABLES', kind: 'consumable', items: inventory.consumables.filter(c => inventory.getConsumableCount(c.id) > 0) }
+        ];
+    }
+
+    // Selected { section, item } or null when there's nothing to select
+    getSelected() {
+        const section = this.getSections()[this.row];
+        if (!section || !section.items[this.column]) return null;
+        return { section: section, item: section.items[this.column] };
+    }
+
+    selectFirstItem() {
+        const sections = this.getSections();
+        const first = sections.findIndex(section => section.items.length > 0);
+        this.row = Math.max(0, first);
+        this.column = 0;
+    }
+
+    // Move to the next section with something in it (direction -1 up, 1 down)
+    moveRow(direction) {
+        const sections = this.getSections();
+        for (let row = this.row + direction; row >= 0 && row < sections.length; row += direction) {
+            if (sections[row].items.length > 0) {
+                this.row = row;
+                this.column = Math.min(this.column, sections[row].items.length - 1);
+                return;
+            }
+        }
+    }
+
+    moveColumn(direction) {
+        const section = this.getSections()[this.row];
+        if (!section || section.items.length === 0) return;
+        this.column = Math.max(0, Math.min(section.items.length - 1, this.column + direction));
+    }
+
+    isEquipped(kind, item) {
+        const inventory = this.game.inventory;
+        if (kind === 'weapon') return inventory.getCurrentWeapon().id === item.id;
+        if (kind === 'armor') return inventory.getCurrentArmor().id === item.id;
+        if (kind === 'shield') return inventory.getCurrentShield().id === item.id;
+        if (kind === 'spell') return inventory.getCurrentSpell().id === item.id;
+        return false;
+    }
+
+    // Equip the selected gear, or take it off if it's already on. Consumables get used.
+    toggleEquip() {
+        const selected = this.getSelected();
+        if (!selected) return;
+
+        const inventory = this.game.inventory;
+        const { section, item } = selected;
+        const equipped = this.isEquipped(section.kind, item);
+
+        if (section.kind === 'consumable') {
+            this.useConsumable(item);
+            return;
+        }
+
+        // A spell is always readied - there's no casting nothing
+        if (section.kind === 'spell') {
+            inventory.selectSpell(item.id);
+            this.status = `Selected ${item.name}`;
+            console.log(`🔮 ${this.status}`);
+            return;
+        }
+
+        if (section.kind === 'weapon') {
+            inventory.selectWeapon(equipped ? 'none' : item.id);
+        } else if (section.kind === 'armor') {
+            inventory.selectArmor(equipped ? 'none' : item.id);
+        } else if (section.kind === 'shield') {
+            inventory.selectShield(equipped ? 'none' : item.id);
+        } else {
+            return;
+        }
+
+        this.status = equipped ? `Unequipped ${item.name}` : `Equipped ${item.name}`;
+        console.log(`🎒 ${this.status}`);
+    }
+
+    useConsumable(item) {
+        if (this.game.inventory.isOnCooldown(item.id)) {
+            this.status = `${item.name} isn't ready yet`;
+            return;
+        }
+
+        const used = this.game.useConsumable(item.id);
+        this.status = used ? `Used ${item.name}` : (this.game.messageText || `Can't use ${item.name}`);
+
+        // The last one is gone - keep the selection inside what's left
+        const section = this.getSections()[this.row];
+        if (section.items.length === 0) {
+            this.selectFirstItem();
+        } else {
+            this.column = Math.min(this.column, section.items.length - 1);
+        }
+    }
+
+    handleKey(code) {
+        if (code === 'Escape' || code === 'KeyI') {
+            this.game.closeInventoryScreen();
+        } else if (code === 'ArrowUp' || code === 'KeyW') {
+            this.moveRow(-1);
+        } else if (code === 'ArrowDown' || code === 'KeyS') {
+            this.moveRow(1);
+        } else if (code === 'ArrowLeft' || code === 'KeyA') {
+            this.moveColumn(-1);
+        } else if (code === 'ArrowRight' || code === 'KeyD') {
+            this.moveColumn(1);
+        } else if (code === 'Enter' || code === 'Space' || code === 'KeyE') {
+            this.toggleEquip();
+        }
+    }
+
+    // Icon under a canvas position (from the last render)
+    findSlotAt(x, y) {
+        return this.slotRects.find(rect =>
+            x >= rect.x && x < rect.x + rect.size && y >= rect.y && y < rect.y + rect.size) || null;
+    }
+
+    handleMouseMove(x, y) {
+        const slot = this.findSlotAt(x, y);
+        if (slot) {
+            this.row = slot.row;
+            this.column = slot.column;
+        }
+    }
+
+    handleClick(x, y) {
+        const slot = this.findSlotAt(x, y);
+        if (!slot) return;
+        this.row = slot.row;
+        this.column = slot.column;
+        this.toggleEquip();
+    }
+
+    /**
+     * Numbers shown in the tooltip - for gear, bigger is better unless lowerIsBetter is set
+     * @returns {Array} [{ label, value, suffix, lowerIsBetter }]
+     */
+    getStats(kind, item) {
+        if (kind === 'weapon') {
+            return [{ label: 'Damage', value: item.stats.damage || 0, suffix: '' }];
+        }
+        if (kind === 'armor') {
+            return [
+                { label: 'Defense', value: Math.round((item.stats.defense || 0) * 100), suffix: '%' },
+                { label: 'Speed', value: Math.round((item.stats.speed || 1) * 100), suffix: '%' }
+            ];
+        }
+        if (kind === 'shield') {
+            return [
+                { label: 'Block', value: Math.round((item.stats.block || 0) * 100), suffix: '%' },
+                { label: 'Stamina', value: item.stats.blockCost || 0, suffix: '', lowerIsBetter: true },
+                { label: 'Parry', value: item.stats.parryWindow || 0, suffix: 'ms' }
+            ];
+        }
+        if (kind === 'spell') {
+            const cost = item.cost === item.fullCost ? `${item.cost}` : `${item.cost}-${item.fullCost}`;
+            return [
+                { label: 'Mana', value: cost, suffix: '' },
+                { label: 'Full charge', value: item.chargeTime / 1000, suffix: 's' }
+            ];
+        }
+        if (kind === 'consumable') {
+            return [
+                { label: 'Carrying', value: this.game.inventory.getConsumableCount(item.id), suffix: '' },
+                { label: 'Cooldown', value: (item.stats.cooldown || 0) / 1000, suffix: 's' }
+            ];
+        }
+        return [];
+    }
+
+    getEquipped(kind) {
+        const inventory = this.game.inventory;
+        if (kind === 'weapon') return inventory.getCurrentWeapon();
+        if (kind === 'armor') return inventory.getCurrentArmor();
+        if (kind === 'shield') return inventory.getCurrentShield();
+        return null;
+    }
+
+    render(ctx) {
+        const canvas = this.game.canvas;
+
+        // Semi-transparent overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const menuWidth = 700;
+        const menuHeight = 660;
+        const menuX = (canvas.width - menuWidth) / 2;
+        const menuY = (canvas.height - menuHeight) / 2;
+
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillRect(menuX, menuY, menuWidth, menuHeight);
+        ctx.strokeStyle = '#34495e';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(menuX, menuY, menuWidth, menuHeight);
+
+        // Title and wallet
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 26px Arial';
+        ctx.fillText('INVENTORY', menuX + 25, menuY + 45);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#ffd700';
+        ctx.font = 'bold 18px Arial';
+        ctx.fillText(`${this.game.inventory.coins} coins`, menuX + menuWidth - 25, menuY + 45);
+
+        this.renderSections(ctx, menuX + 25, menuY + 75);
+        this.renderDetails(ctx, menuX + 400, menuY + 75, menuWidth - 425, menuHeight - 140);
+
+        ctx.textAlign = 'center';
+        if (this.status) {
+            ctx.fillStyle = '#f39c12';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText(this.status, canvas.width / 2, menuY + menuHeight - 45);
+        }
+
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#bdc3c7';
+        ctx.fillText('Arrows/WASD or mouse to choose, ENTER or click to equip/unequip or use, I or ESC to close', canvas.width / 2, menuY + menuHeight - 20);
+    }
+
+    // One row of icons per section
+    renderSections(ctx, x, y) {
+        const slotSize = InventoryScreen.SLOT_SIZE;
+        const sectionHeight = slotSize + 38;
+        this.slotRects = [];
+
+        this.getSections().forEach((section, row) => {
+            const sectionY = y + row * sectionHeight;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#bdc3c7';
+            ctx.font = 'bold 13px Arial';
+            ctx.fillText(section.title, x, sectionY + 12);
+
+            if (section.items.length === 0) {
+                ctx.fillStyle = '#7f8c8d';
+                ctx.font = 'italic 13px Arial';
+                ctx.fillText('Nothing yet', x, sectionY + 20 + slotSize / 2 + 4);
+                return;
+            }
+
+            section.items.forEach((item, column) => {
+                const slotX = x + column * (slotSize + 10);
+                const slotY = sectionY + 20;
+                const isSelected = row === this.row && column === this.column;
+                this.slotRects.push({ x: slotX, y: slotY, size: slotSize, row: row, column: column });
+
+                ctx.fillStyle = isSelected ? 'rgba(243, 156, 18, 0.35)' : 'rgba(0, 0, 0, 0.4)';
+                ctx.fillRect(slotX, slotY, slotSize, slotSize);
+                ctx.strokeStyle = isSelected ? '#f39c12' : '#7f8c8d';
+                ctx.lineWidth = isSelected ? 2 : 1;
+                ctx.strokeRect(slotX, slotY, slotSize, slotSize);
+
+                ItemRegistry.draw(ctx, item, this.game.spriteLoader, slotX + 4, slotY + 4, slotSize - 8);
+                if (section.kind === 'consumable') {
+                    ctx.fillStyle = '#ffffff';
+                    ctx.font = 'bold 12px Arial';
+                    ctx.textAlign = 'right';
+                    ctx.fillText(`${this.game.inventory.getConsumableCount(item.id)}`, slotX + slotSize - 4, slotY + slotSize - 4);
+                }
+
+                // Equipped marker in the corner
+                if (this.isEquipped(section.kind, item)) {
+                    ctx.fillStyle = '#2ecc71';
+                    ctx.fillRect(slotX + slotSize - 14, slotY + 2, 12, 12);
+                    ctx.fillStyle = '#2c3e50';
+                    ctx.font = 'bold 10px Arial';
+                    ctx.textAlign = 'center';
+                    ctx.fillText('E', slotX + slotSize - 8, slotY + 12);
+                }
+            });
+        });
+    }
+
+    // Tooltip for the selected item plus the comparison with equipped gear
+    renderDetails(ctx, x, y, width, height) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(x, y, width, height);
+
+        const selected = this.getSelected();
+        ctx.textAlign = 'left';
+        if (!selected) {
+            ctx.fillStyle = '#7f8c8d';
+            ctx.font = '14px Arial';
+            ctx.fillText('Nothing collected yet', x + 15, y + 30);
+            return;
+        }
+
+        const { section, item } = selected;
+        const equipped = this.isEquipped(section.kind, item);
+        let lineY = y + 30;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText(item.name, x + 15, lineY);
+        lineY += 20;
+        ctx.fillStyle = equipped ? '#2ecc71' : '#95a5a6';
+        ctx.font = '12px Arial';
+        ctx.fillText(equipped ? `${section.title} • EQUIPPED` : section.title, x + 15, lineY);
+        lineY += 26;
+
+        if (item.description) {
+            ctx.fillStyle = '#ecf0f1';
+            ctx.font = '13px Arial';
+            lineY = this.wrapText(ctx, item.description, x + 15, lineY, width - 30, 17) + 10;
+        }
+
+        const stats = this.getStats(section.kind, item);
+        ctx.font = '14px Arial';
+        stats.forEach(stat => {
+            ctx.fillStyle = '#bdc3c7';
+            ctx.fillText(stat.label, x + 15, lineY);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`${stat.value}${stat.suffix}`, x + 110, lineY);
+            lineY += 20;
+        });
+
+        // Comparison against what's worn right now
+        const current = this.getEquipped(section.kind);
+        if (!current || stats.length === 0) return;
+
+        lineY += 14;
+        ctx.fillStyle = '#95a5a6';
+        ctx.font = 'bold 12px Arial';
+        if (equipped) {
+            ctx.fillText('Currently equipped', x + 15, lineY);
+            return;
+        }
+        ctx.fillText(`COMPARED WITH ${current.name.toUpperCase()}`, x + 15, lineY);
+        lineY += 22;
+
+        const currentStats = this.getStats(section.kind, current);
+        ctx.font = '14px Arial';
+        stats.forEach((stat, index) => {
+            const difference = stat.value - currentStats[index].value;
+            const better = stat.lowerIsBetter ? difference < 0 : difference > 0;
+            ctx.fillStyle = '#bdc3c7';
+            ctx.fillText(stat.label, x + 15, lineY);
+            ctx.fillStyle = difference === 0 ? '#95a5a6' : (better ? '#2ecc71' : '#e74c3c');
+            ctx.fillText(difference === 0 ? 'same' : `${difference > 0 ? '+' : ''}${difference}${stat.suffix}`, x + 110, lineY);
+            lineY += 20;
+        });
+    }
+
+    // Draw text over several lines, returns the y below the last line
+    wrapText(ctx, text, x, y, maxWidth, lineHeight) {
+        let line = '';
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                ctx.fillText(line, x, y);
+                y += lineHeight;
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) {
+            ctx.fillText(line, x, y);
+            y += lineHeight;
+        }
+        return y;
+    }
+}
+
+InventoryScreen.SLOT_SIZE = 48;             // Icon slot size in pixels
@@ -0,0 +1,432 @@
+/**
+ * Item Registry
+ *
+ * Every item in the game, defined once. Room files, loot tables, merchants,
+ * the inventory and save games all refer to items by id and look up the rest
+ * here - name, how the item is drawn, what happens when it's picked up, how
+ * it's equipped and its stats.
+ *
+ *   ItemRegistry.register({
+ *       id: 'health_potion',
+ *       category: 'consumable',           // weapon | armor | shield | consumable | pickup | tome
+ *       name: 'Health Potion',
+ *       description: 'Restores 50 health',
+ *       sprite: { shape: 'potion' },      // Sprite source, see below
+ *       color: '#e74c3c',                 // Shape color, and the fallback before sprites load
+ *       pickup: 'bag',                    // What touching it does, see below
+ *       stats: { heal: 50, cooldown: 2000 }
+ *   });
+ *
+ * Sprite sources:
+ *   { sheet: 'llama_knight', x: 0, y: 0, width: 48, height: 48 }   Rectangle of a loaded sprite
+ *   { sheet: 'magic_staff', cols: 2, rows: 3, frame: 0 }           Frame of an evenly split sheet
+ *   { tileset: { x: 8, y: 1 } }                                    Tile from the tileset
+ *   { shape: 'heart' | 'orb' | 'coin' | 'potion' | 'book' | 'shield' }  Drawn in the item's color
+ *
+ * Pickup behaviours:
+ *   equip    Into the inventory and equipped straight away (weapons, armor, shields)
+ *   bag      Stacked in the inventory for later (consumables)
+ *   instant  Takes effect on the spot (hearts, stamina and mana orbs, coins)
+ *   learn    Teaches the staff a spell (tomes) - see SpellRegistry
+ *
+ * Weapons, armor and shields also say how they're worn: equip: { slot: 'weapon' },
+ * equip: { slot: 'shield' } or equip: { slot: 'armor', sprite: 'llama_knight' } -
+ * the llama sheet drawn while wearing it.
+ *
+ * Stats by category:
+ *   weapon      damage (base hit at level 1 - see Enemy.takeSwordHit/takeFireballHit)
+ *   armor       defense (share of damage blocked), speed (walking speed multiplier)
+ *   shield      block (share of a blocked hit stopped), blockCost (stamina per blocked hit),
+ *               parryWindow (ms after raising it that a block is a parry) - see ZeldaPlayer.blockHit
+ *   consumable  heal, stamina, mana, curePoison, fireResist (ms), cooldown (ms) - see ZeldaPlayer.applyConsumable
+ *   pickup      heal, stamina, mana, coins (per item picked up)
+ *   tome        spell (SpellRegistry id)
+ */
+class ItemRegistry {
+    /**
+     * Add an item definition - invalid ones are warned about and skipped
+     * @returns {boolean} True if the item was registered
+     */
+    static register(definition) {
+        if (!definition || typeof definition.id !== 'string') {
+            console.warn('⚠️ Item needs a string id:', definition);
+            return false;
+        }
+        if (!ItemRegistry.CATEGORIES.includes(definition.category)) {
+            console.warn(`⚠️ Item "${definition.id}" has unknown category "${definition.category}"`);
+            return false;
+        }
+        if (!ItemRegistry.PICKUPS.includes(definition.pickup)) {
+            console.warn(`⚠️ Item "${definition.id}" has unknown pickup "${definition.pickup}"`);
+            return false;
+        }
+
+        const item = Object.assign({ description: '', color: '#ffd700', stats: {}, equip: null, aliases: [] }, definition);
+        ItemRegistry.items.set(item.id, item);
+        for (const alias of item.aliases) {
+            ItemRegistry.aliases.set(alias, item.id);
+        }
+        return true;
+    }
+
+    // Definition for an id (or an old alias), null if there's no such item
+    static get(id) {
+        return ItemRegistry.items.get(id) || ItemRegistry.items.get(ItemRegistry.aliases.get(id)) || null;
+    }
+
+    static has(id) {
+        return ItemRegistry.get(id) !== null;
+    }
+
+    // Items of one category, in the order they were registered
+    static getByCategory(category) {
+        return Array.from(ItemRegistry.items.values()).filter(item => item.category === category);
+    }
+
+    /**
+     * Image and source rectangle for an item's sprite
+     * @returns {object|null} { image, sx, sy, sw, sh } - null for shapes or sprites that aren't loaded
+     */
+    static getIcon(item, spriteLoader) {
+        const sprite = item && item.sprite;
+        if (!sprite || !spriteLoader) return null;
+
+        if (sprite.tileset) {
+            const tile = spriteLoader.getTileFromTileset(sprite.tileset.x, sprite.tileset.y);
+            return tile ? { image: tile, sx: 0, sy: 0, sw: tile.width, sh: tile.height } : null;
+        }
+
+        const image = sprite.sheet ? spriteLoader.get(sprite.sheet) : null;
+        if (!image) return null;
+
+        if (sprite.cols) {
+            const frameWidth = image.width / sprite.cols;
+            const frameHeight = image.height / sprite.rows;
+            const frame = sprite.frame || 0;
+            return {
+                image: image,
+                sx: (frame % sprite.cols) * frameWidth,
+                sy: Math.floor(frame / sprite.cols) * frameHeight,
+                sw: frameWidth,
+                sh: frameHeight
+            };
+        }
+        return { image: image, sx: sprite.x || 0, sy: sprite.y || 0, sw: sprite.width || image.width, sh: sprite.height || image.height };
+    }
+
+    /**
+     * Draw an item into a square - its sprite if it has one, otherwise its shape.
+     * Items without any sprite (the inventory's empty slots) draw nothing.
+     * @param {number} x - Left of the square (canvas or world pixels)
+     * @param {number} y - Top of the square
+     * @param {number} size - Width and height of the square
+     */
+    static draw(ctx, item, spriteLoader, x, y, size) {
+        if (item && !item.sprite) return;
+
+        const icon = ItemRegistry.getIcon(item, spriteLoader);
+        if (icon) {
+            ctx.drawImage(icon.image, icon.sx, icon.sy, icon.sw, icon.sh, x, y, size, size);
+            return;
+        }
+
+        const shape = item && item.sprite ? item.sprite.shape : null;
+        const centerX = x + size / 2;
+        const centerY = y + size / 2;
+        const unit = size / 8;
+        ctx.fillStyle = item ? item.color : '#ffd700';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 1;
+
+        switch (shape) {
+            case 'heart':
+                ctx.beginPath();
+                ctx.moveTo(centerX, centerY + unit * 3);
+                ctx.lineTo(centerX - unit * 3, centerY);
+                ctx.arc(centerX - unit * 1.5, centerY - unit, unit * 1.5, Math.PI * 0.75, Math.PI * 1.75);
+                ctx.arc(centerX + unit * 1.5, centerY - unit, unit * 1.5, Math.PI * 1.25, Math.PI * 0.25);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+                break;
+            case 'orb':
+            case 'coin':
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, unit * (shape === 'coin' ? 2.5 : 3.2), 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                break;
+            case 'book':
+                // Cover in the item's color with pale pages and a rune
+                ctx.fillRect(x + unit * 1.5, y + unit, unit * 5, unit * 6);
+                ctx.strokeRect(x + unit * 1.5, y + unit, unit * 5, unit * 6);
+                ctx.fillStyle = '#f4ecd8';
+                ctx.fillRect(x + unit * 5.5, y + unit * 1.5, unit, unit * 5);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.fillRect(x + unit * 3.2, y + unit * 2.5, unit * 1.2, unit * 3);
+                break;
+            case 'shield':
+                // Kite shield with a boss in the middle
+                ctx.beginPath();
+                ctx.moveTo(x + unit * 1.5, y + unit);
+                ctx.lineTo(x + unit * 6.5, y + unit);
+                ctx.lineTo(x + unit * 6.5, y + unit * 4);
+                ctx.quadraticCurveTo(x + unit * 6.5, y + unit * 6, centerX, y + unit * 7.5);
+                ctx.quadraticCurveTo(x + unit * 1.5, y + unit * 6, x + unit * 1.5, y + unit * 4);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.beginPath();
+                ctx.arc(centerX, y + unit * 3.5, unit * 0.9, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'potion':
+                // Bottle with a cork and a glint
+                ctx.fillRect(x + unit * 2, y + unit * 3, unit * 4, unit * 4);
+                ctx.fillRect(x + unit * 3, y + unit * 1.5, unit * 2, unit * 1.5);
+                ctx.fillStyle = '#8b5a2b';
+                ctx.fillRect(x + unit * 3, y + unit * 0.5, unit * 2, unit);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+                ctx.fillRect(x + unit * 2.5, y + unit * 3.5, unit, unit * 2);
+                break;
+            default:
+                // Sprite not loaded yet (or unknown item) - a plain square
+                ctx.fillRect(x + unit, y + unit, unit * 6, unit * 6);
+                break;
+        }
+    }
+}
+
+ItemRegistry.CATEGORIES = ['weapon', 'armor', 'shield', 'consumable', 'pickup', 'tome'];
+ItemRegistry.PICKUPS = ['equip', 'bag', 'instant', 'learn'];
+ItemRegistry.items = new Map();                 // id -> definition
+ItemRegistry.aliases = new Map();               // Old id -> id
+
+// =====================================================
+// WEAPONS
+// =====================================================
+
+ItemRegistry.register({
+    id: 'sword',
+    category: 'weapon',
+    name: 'Sword',
+    description: 'Three-hit combo - the stab hits twice as hard',
+    sprite: { sheet: 'steel_weapons', x: 0, y: 0, width: 16, height: 16 },
+    color: '#c0c0c0',
+    pickup: 'equip',
+    equip: { slot: 'weapon' },
+    stats: { damage: 30 }
+});
+
+ItemRegistry.register({
+    id: 'staff',
+    aliases: ['magic_staff'],
+    category: 'weapon',
+    name: 'Magic Staff',
+    description: 'Fireballs - hold to charge one that hits for 48 and sets the ground alight',
+    sprite: { sheet: 'magic_staff', cols: 2, rows: 3, frame: 0 },
+    color: '#4169e1',
+    pickup: 'equip',
+    equip: { slot: 'weapon' },
+    stats: { damage: 21 }
+});
+
+// =====================================================
+// ARMOR
+// =====================================================
+
+ItemRegistry.register({
+    id: 'knight',
+    category: 'armor',
+    name: 'Knight Armor',
+    description: 'Heavy plate - blocks blows but slows you down',
+    sprite: { sheet: 'llama_knight', x: 0, y: 0, width: 48, height: 48 },
+    color: '#b0c4de',
+    pickup: 'equip',
+    equip: { slot: 'armor', sprite: 'llama_knight' },
+    stats: { defense: 0.3, speed: 0.9 }
+});
+
+// =====================================================
+// SHIELDS (held up with the right mouse button)
+// =====================================================
+
+ItemRegistry.register({
+    id: 'wooden_shield',
+    category: 'shield',
+    name: 'Wooden Shield',
+    description: 'Planks and a leather strap - takes the edge off a bite',
+    sprite: { shape: 'shield' },
+    color: '#a0703c',
+    pickup: 'equip',
+    equip: { slot: 'shield' },
+    stats: { block: 0.6, blockCost: 20, parryWindow: 150 }
+});
+
+ItemRegistry.register({
+    id: 'knight_shield',
+    category: 'shield',
+    name: 'Knight Shield',
+    description: 'Steel-faced - stops nearly everything and gives more time to parry',
+    sprite: { shape: 'shield' },
+    color: '#9fb3c8',
+    pickup: 'equip',
+    equip: { slot: 'shield' },
+    stats: { block: 0.85, blockCost: 15, parryWindow: 220 }
+});
+
+// =====================================================
+// CONSUMABLES (used from the hotbar)
+// =====================================================
+
+ItemRegistry.register({
+    id: 'health_potion',
+    category: 'consumable',
+    name: 'Health Potion',
+    description: 'Restores 50 health',
+    sprite: { shape: 'potion' },
+    color: '#e74c3c',
+    pickup: 'bag',
+    stats: { heal: 50, cooldown: 2000 }
+});
+
+ItemRegistry.register({
+    id: 'stamina_tonic',
+    category: 'consumable',
+    name: 'Stamina Tonic',
+    description: 'Restores 100 stamina',
+    sprite: { shape: 'potion' },
+    color: '#2ecc71',
+    pickup: 'bag',
+    stats: { stamina: 100, cooldown: 2000 }
+});
+
+ItemRegistry.register({
+    id: 'mana_potion',
+    category: 'consumable',
+    name: 'Mana Potion',
+    description: 'Restores 60 mana',
+    sprite: { shape: 'potion' },
+    color: '#3a7bd5',
+    pickup: 'bag',
+    stats: { mana: 60, cooldown: 2000 }
+});
+
+ItemRegistry.register({
+    id: 'antidote',
+    category: 'consumable',
+    name: 'Antidote',
+    description: 'Cures poison',
+    sprite: { shape: 'potion' },
+    color: '#9b59b6',
+    pickup: 'bag',
+    stats: { curePoison: true, cooldown: 1000 }
+});
+
+ItemRegistry.register({
+    id: 'fire_resist_elixir',
+    category: 'consumable',
+    name: 'Fire-Resist Elixir',
+    description: 'Walk through fire unharmed for 30 seconds',
+    sprite: { shape: 'potion' },
+    color: '#e67e22',
+    pickup: 'bag',
+    stats: { fireResist: 30000, cooldown: 5000 }
+});
+
+// =====================================================
+// PICKUPS (loot that takes effect straight away)
+// =====================================================
+
+ItemRegistry.register({
+    id: 'heart',
+    category: 'pickup',
+    name: 'Heart',
+    description: 'Restores 20 health',
+    sprite: { shape: 'heart' },
+    color: '#ff3355',
+    pickup: 'instant',
+    stats: { heal: 20 }
+});
+
+ItemRegistry.register({
+    id: 'stamina_orb',
+    category: 'pickup',
+    name: 'Stamina Orb',
+    description: 'Restores 40 stamina',
+    sprite: { shape: 'orb' },
+    color: '#00ff88',
+    pickup: 'instant',
+    stats: { stamina: 40 }
+});
+
+ItemRegistry.register({
+    id: 'mana_orb',
+    category: 'pickup',
+    name: 'Mana Orb',
+    description: 'Restores 25 mana',
+    sprite: { shape: 'orb' },
+    color: '#4da3ff',
+    pickup: 'instant',
+    stats: { mana: 25 }
+});
+
+ItemRegistry.register({
+    id: 'coin',
+    category: 'pickup',
+    name: 'Coin',
+    description: 'Money for the merchant',
+    sprite: { shape: 'coin' },
+    color: '#ffd700',
+    pickup: 'instant',
+    stats: { coins: 1 }
+});
+
+// =====================================================
+// TOMES (each teaches the staff one spell)
+// =====================================================
+
+ItemRegistry.register({
+    id: 'tome_ice_bolt',
+    category: 'tome',
+    name: 'Tome of Ice Bolt',
+    description: 'Teaches Ice Bolt - slows what it hits, a full charge freezes it',
+    sprite: { shape: 'book' },
+    color: '#3a8fd6',
+    pickup: 'learn',
+    stats: { spell: 'ice_bolt' }
+});
+
+ItemRegistry.register({
+    id: 'tome_chain_lightning',
+    category: 'tome',
+    name: 'Tome of Chain Lightning',
+    description: 'Teaches Chain Lightning - jumps from animal to animal',
+    sprite: { shape: 'book' },
+    color: '#c9b92a',
+    pickup: 'learn',
+    stats: { spell: 'chain_lightning' }
+});
+
+ItemRegistry.register({
+    id: 'tome_healing_ward',
+    category: 'tome',
+    name: 'Tome of Healing Ward',
+    description: 'Teaches Healing Ward - a circle that heals you while you stand in it',
+    sprite: { shape: 'book' },
+    color: '#3fae6a',
+    pickup: 'learn',
+    stats: { spell: 'healing_ward' }
+});
+
+ItemRegistry.register({
+    id: 'tome_shield',
+    category: 'tome',
+    name: 'Tome of Arcane Shield',
+    description: 'Teaches Arcane Shield - a barrier that soaks up damage',
+    sprite: { shape: 'book' },
+    color: '#6a55d8',
+    pickup: 'learn',
+    stats: { spell: 'shield' }
+});
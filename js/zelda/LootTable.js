@@ -0,0 +1,73 @@
+/**
+ * Loot Table
+ *
+ * Weighted drop list for a defeated enemy. Each enemy class lists its loot in
+ * its behaviour (see Wolf.js), and room files can override it per spawn with
+ * options.loot:
+ *
+ *   loot: {
+ *       rolls: 1,                                          // Picks per defeat
+ *       entries: [
+ *           { type: 'coin', weight: 40, amount: [1, 3] },  // 1-3 coins
+ *           { type: 'heart', weight: 25 },
+ *           { type: null, weight: 35 }                     // Nothing
+ *       ]
+ *   }
+ *
+ * Types are ItemRegistry ids. Weights are relative, so the entries above
+ * drop coins 40% of the time. Rolls use LootTable.random unless given
+ * another SeededRandom - seed it to get the same drops every time.
+ */
+class LootTable {
+    constructor(definition = {}) {
+        this.rolls = definition.rolls || 1;
+        this.entries = (definition.entries || []).filter(entry => LootTable.isValidEntry(entry));
+        this.totalWeight = this.entries.reduce((total, entry) => total + entry.weight, 0);
+    }
+
+    static isValidEntry(entry) {
+        if (!entry || typeof entry.weight !== 'number' || entry.weight <= 0) {
+            console.warn('⚠️ Loot entry needs a positive weight:', entry);
+            return false;
+        }
+        if (entry.type !== null && !ItemRegistry.has(entry.type)) {
+            console.warn(`⚠️ Unknown loot type "${entry.type}" - not in the ItemRegistry`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Roll the table
+     * @param {SeededRandom} random - Number source (defaults to LootTable.random)
+     * @returns {Array} Drops [{ type, amount }] - rolls that land on nothing are left out
+     */
+    roll(random = LootTable.random) {
+        const drops = [];
+        if (this.totalWeight <= 0) return drops;
+
+        for (let i = 0; i < this.rolls; i++) {
+            const entry = this.pickEntry(random);
+            if (!entry.type) continue;
+
+            const amount = Array.isArray(entry.amount)
+                ? random.nextInt(entry.amount[0], entry.amount[1])
+                : (entry.amount || 1);
+            drops.push({ type: entry.type, amount: amount });
+        }
+        return drops;
+    }
+
+    pickEntry(random) {
+        let pick = random.next() * this.totalWeight;
+        for (const entry of this.entries) {
+            pick -= entry.weight;
+            if (pick < 0) return entry;
+        }
+        return this.entries[this.entries.length - 1];
+    }
+}
+
+// Shared number source for every drop in the game
+LootTable.random = new SeededRandom();
+
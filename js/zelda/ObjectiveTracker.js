@@ -0,0 +1,340 @@
+/**
+ * Objective Tracker
+ *
+ * Keeps score of an adventure's goals. Adventures are JSON files in
+ * assets/adventures/ (the game plays main.json):
+ *
+ *   {
+ *       "name": "main",
+ *       "title": "The Alpha Wolf",
+ *       "victory": "The Alpha Wolf has been defeated!",
+ *       "objectives": [
+ *           { "type": "collect", "item": "staff", "label": "Find the Magic Staff" },
+ *           { "type": "defeat", "target": "wolf", "count": 5, "optional": true },
+ *           { "type": "reach", "room": "wolf_den" },
+ *           { "type": "boss", "target": "alpha_wolf" },
+ *           { "type": "survive", "seconds": 120 }
+ *       ],
+ *       "lose": [{ "type": "timeLimit", "seconds": 1200 }],
+ *       "deathPenalty": { "coins": 0.25, "xp": 0.5 }
+ *   }
+ *
+ * Objective types:
+ * - defeat: kill `count` animals of a room-file type (optionally only in `room`)
+ * - boss: beat a boss fight (counts once its outro has played)
+ * - collect: pick up or buy `count` of an item (coins count by amount)
+ * - reach: walk into a room
+ * - survive: stay alive for `seconds` of play
+ *
+ * The adventure is won when every objective not marked `optional` is done.
+ * Dying loses until the player continues from a checkpoint, paying the
+ * `deathPenalty` (the share of coins and of XP towards the next level they
+ * drop). `lose` can add a time limit, which can't be continued.
+ *
+ * ZeldaGame feeds the tracker events (handleEvent) and play time (update) -
+ * the tracker never looks at the game itself.
+ */
+class ObjectiveTracker {
+    /**
+     * @param {object} adventure - Validated adventure definition
+     */
+    constructor(adventure) {
+        this.adventure = adventure;
+        this.objectives = (adventure.objectives || []).map(objective => ({
+            definition: objective,
+            label: objective.label || ObjectiveTracker.describe(objective),
+            goal: ObjectiveTracker.getGoal(objective),
+            progress: 0
+        }));
+        this.timeLimit = (adventure.lose || []).find(condition => condition.type === 'timeLimit') || null;
+        this.elapsed = 0;                   // Play time so far (ms)
+        this.loseReason = null;             // Set once the adventure is lost
+        this.canContinue = false;           // Lost by dying - Continue on the game over screen brings it back
+    }
+
+    // =====================================================
+    // DEFINITIONS
+    // =====================================================
+
+    /**
+     * Check an adventure definition
+     * @returns {string[]} Problems found - empty when it's valid
+     */
+    static validate(adventure) {
+        const errors = [];
+        const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+        if (!adventure || typeof adventure !== 'object' || Array.isArray(adventure)) {
+            return ['adventure must be a JSON object'];
+        }
+        if (typeof adventure.name !== 'string' || adventure.name === '') {
+            errors.push('"name" must be a non-empty string');
+        }
+        if (!Array.isArray(adventure.objectives)) {
+            errors.push('"objectives" must be a list');
+        } else {
+            adventure.objectives.forEach((objective, index) => {
+                const label = `objectives[${index}]`;
+                if (!objective || !(objective.type in ObjectiveTracker.TYPES)) {
+                    errors.push(`${label}: unknown type ${JSON.stringify(objective && objective.type)} (expected one of ${Object.keys(ObjectiveTracker.TYPES).join(', ')})`);
+                    return;
+                }
+                for (const key of ObjectiveTracker.TYPES[objective.type]) {
+                    if (typeof objective[key] !== 'string' || objective[key] === '') errors.push(`${label}: "${key}" is required`);
+                }
+                if (objective.type === 'collect' && typeof objective.item === 'string' && !ItemRegistry.has(objective.item)) {
+                    errors.push(`${label}: unknown item "${objective.item}" (not in the ItemRegistry)`);
+                }
+                if (objective.type === 'survive' && !isPositive(objective.seconds)) {
+                    errors.push(`${label}: "seconds" must be a positive number`);
+                }
+                if (objective.count !== undefined && !(Number.isInteger(objective.count) && objective.count > 0)) {
+                    errors.push(`${label}: "count" must be a positive whole number`);
+                }
+            });
+        }
+        if (adventure.lose !== undefined) {
+            if (!Array.isArray(adventure.lose)) {
+                errors.push('"lose" must be a list');
+            } else {
+                adventure.lose.forEach((condition, index) => {
+                    if (!condition || condition.type !== 'timeLimit' || !isPositive(condition.seconds)) {
+                        errors.push(`lose[${index}] must look like { "type": "timeLimit", "seconds": 600 }`);
+                    }
+                });
+            }
+        }
+        const penalty = adventure.deathPenalty;
+        if (penalty !== undefined && (!penalty || typeof penalty !== 'object' ||
+            Object.entries(penalty).some(([key, share]) => !['coins', 'xp'].includes(key) || typeof share !== 'number' || share < 0 || share > 1))) {
+            errors.push('"deathPenalty" must give the share of "coins" and "xp" lost, between 0 and 1, e.g. { "coins": 0.25 }');
+        }
+        return errors;
+    }
+
+    /**
+     * Fetch and validate assets/adventures/<name>.json
+     * @returns {Promise<object>} The adventure definition
+     */
+    static fetchDefinition(name) {
+        const path = `${ObjectiveTracker.ADVENTURE_PATH}${name}.json`;
+
+        return fetch(path).then((response) => {
+            if (!response.ok) {
+                throw new Error(`${path} returned ${response.status}`);
+            }
+            return response.json();
+        }).then((adventure) => {
+            const errors = ObjectiveTracker.validate(adventure);
+            if (errors.length > 0) {
+                throw new Error(`Invalid adventure '${name}':\n - ${errors.join('\n - ')}`);
+            }
+            return adventure;
+        });
+    }
+
+    // Amount of progress that completes an objective
+    static getGoal(objective) {
+        if (objective.type === 'survive') return objective.seconds * 1000;
+        return objective.count || 1;
+    }
+
+    // HUD text for objectives that don't bring their own label
+    static describe(objective) {
+        const times = objective.count > 1 ? ` x${objective.count}` : '';
+        const name = (id) => id.replace(/_/g, ' ');
+        switch (objective.type) {
+            case 'defeat':
+                return `Defeat ${name(objective.target)}${times}`;
+            case 'boss':
+                return `Defeat the ${name(objective.target)}`;
+            case 'collect': {
+                const item = ItemRegistry.get(objective.item);
+                return `Collect ${item ? item.name : name(objective.item)}${times}`;
+            }
+            case 'reach':
+                return `Find the ${name(objective.room)}`;
+            case 'survive':
+                return `Survive ${ObjectiveTracker.formatTime(objective.seconds * 1000)}`;
+        }
+        return objective.type;
+    }
+
+    static formatTime(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // =====================================================
+    // EVENTS
+    // =====================================================
+
+    /**
+     * Count a game event towards the objectives
+     * @param {string} type - 'enemyDefeated', 'bossDefeated', 'itemCollected', 'roomEntered' or 'playerDied'
+     * @param {object} data - { type, room } for defeats, { type, amount } for items, { room } for rooms
+     * @returns {Array} Objectives this event completed
+     */
+    handleEvent(type, data = {}) {
+        if (type === 'playerDied') {
+            this.lose(data.cause || 'The Llama Knight has fallen...', true);
+            return [];
+        }
+
+        const completed = [];
+        for (const objective of this.objectives) {
+            if (this.isComplete(objective)) continue;
+
+            const amount = this.getProgressFor(objective.definition, type, data);
+            if (amount > 0) {
+                objective.progress = Math.min(objective.goal, objective.progress + amount);
+                if (this.isComplete(objective)) {
+                    completed.push(objective);
+                    console.log(`🎯 Objective complete: ${objective.label}`);
+                }
+            }
+        }
+        return completed;
+    }
+
+    // How far an event moves one objective on (0 when it doesn't count)
+    getProgressFor(objective, type, data) {
+        const inRoom = !objective.room || objective.room === data.room;
+        switch (objective.type) {
+            case 'defeat':
+                return type === 'enemyDefeated' && data.type === objective.target && inRoom ? 1 : 0;
+            case 'boss':
+                return type === 'bossDefeated' && data.type === objective.target ? 1 : 0;
+            case 'collect':
+                return type === 'itemCollected' && data.type === objective.item ? (data.amount || 1) : 0;
+            case 'reach':
+                return type === 'roomEntered' && data.room === objective.room ? 1 : 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Advance play time - survive objectives and the time limit
+     * @returns {Array} Objectives completed by this update
+     */
+    update(deltaTime) {
+        if (this.loseReason) return [];
+
+        this.elapsed += deltaTime;
+        if (this.timeLimit && this.elapsed >= this.timeLimit.seconds * 1000) {
+            this.lose('Time ran out...');
+            return [];
+        }
+
+        const completed = [];
+        for (const objective of this.objectives) {
+            if (objective.definition.type !== 'survive' || this.isComplete(objective)) continue;
+
+            objective.progress = Math.min(objective.goal, this.elapsed);
+            if (this.isComplete(objective)) {
+                completed.push(objective);
+                console.log(`🎯 Objective complete: ${objective.label}`);
+            }
+        }
+        return completed;
+    }
+
+    /**
+     * @param {string} reason - Shown on the game over screen
+     * @param {boolean} canContinue - True for a death the player can come back from
+     */
+    lose(reason, canContinue = false) {
+        if (this.loseReason) return;
+        this.loseReason = reason;
+        this.canContinue = canContinue;
+        console.log(`☠️ Adventure lost: ${reason}`);
+    }
+
+    // Back in the game after a death - false if the loss can't be undone
+    revive() {
+        if (!this.canContinue) return false;
+        this.loseReason = null;
+        this.canContinue = false;
+        return true;
+    }
+
+    // =====================================================
+    // STATE
+    // =====================================================
+
+    isComplete(objective) {
+        return objective.progress >= objective.goal;
+    }
+
+    // Won once every required objective is done (an adventure with none can't be won)
+    isWon() {
+        const required = this.objectives.filter(objective => !objective.definition.optional);
+        return !this.loseReason && required.length > 0 && required.every(objective => this.isComplete(objective));
+    }
+
+    isLost() {
+        return this.loseReason !== null;
+    }
+
+    // Ms left before the time limit runs out (null without one)
+    getTimeLeft() {
+        return this.timeLimit ? Math.max(0, this.timeLimit.seconds * 1000 - this.elapsed) : null;
+    }
+
+    /**
+     * What the HUD and win screen list
+     * @returns {Array} [{ label, done, optional, progressText }]
+     */
+    getEntries() {
+        return this.objectives.map(objective => {
+            let progressText = '';
+            if (objective.definition.type === 'survive') {
+                progressText = `${ObjectiveTracker.formatTime(objective.progress)}/${ObjectiveTracker.formatTime(objective.goal)}`;
+            } else if (objective.goal > 1) {
+                progressText = `${objective.progress}/${objective.goal}`;
+            }
+            return {
+                label: objective.label,
+                done: this.isComplete(objective),
+                optional: !!objective.definition.optional,
+                progressText: progressText
+            };
+        });
+    }
+
+    getSaveData() {
+        return {
+            adventure: this.adventure.name,
+            progress: this.objectives.map(objective => objective.progress),
+            elapsed: this.elapsed
+        };
+    }
+
+    // Progress lines up by index - a save from another adventure starts it fresh
+    loadSaveData(data) {
+        if (!data || data.adventure !== this.adventure.name) return;
+
+        (data.progress || []).forEach((progress, index) => {
+            if (this.objectives[index]) {
+                this.objectives[index].progress = Math.min(this.objectives[index].goal, progress);
+            }
+        });
+        this.elapsed = data.elapsed || 0;
+    }
+}
+
+// Adventure files live in assets/adventures/<name>.json
+ObjectiveTracker.ADVENTURE_PATH = 'assets/adventures/';
+
+// Objective types and the fields each one needs
+ObjectiveTracker.TYPES = {
+    defeat: ['target'],
+    boss: ['target'],
+    collect: ['item'],
+    reach: ['room'],
+    survive: []
+};
+
+// Played when no adventure file could be loaded, and while play-testing an
+// editor room - nothing to win, just explore
+ObjectiveTracker.FREE_PLAY = { name: 'free_play', title: 'Free Play', objectives: [] };
@@ -0,0 +1,250 @@
+/**
+ * Grid Pathfinder (A*)
+ *
+ * Finds walkable routes through a room around trees, bushes, fountains and
+ * water. Every room owns one (see BaseRoom.getPathfinder()) and any moving
+ * thing can ask it for a path - enemies use it through Enemy.moveToward().
+ *
+ * Positions are the same x/y an entity passes to room.canMoveTo(): the
+ * top-left of a size x size box. Nodes sit on tile corners, so a node is
+ * walkable when a box of that size fits there.
+ *
+ * Paths are cached per start/goal tile and agent size. The room bumps its
+ * collisionVersion whenever a tile or overlay changes (a bush burns down,
+ * the editor paints a tree), which throws away every cached path and
+ * walkability lookup.
+ */
+class Pathfinder {
+    constructor(room) {
+        this.room = room;
+        this.maxSearchNodes = 2000;         // Give up after expanding this many nodes
+        this.maxCacheSize = 200;            // Cached paths kept before the cache is cleared
+        this.cache = new Map();             // "size:margin:sx,sy>gx,gy" -> path
+        this.walkable = new Map();          // "size:margin" -> Uint8Array (0 unknown, 1 open, 2 blocked)
+        this.cacheVersion = room.collisionVersion;
+    }
+
+    /**
+     * Find a path between two positions
+     * @param {number} startX - Start X (world pixels, canMoveTo convention)
+     * @param {number} startY - Start Y
+     * @param {number} goalX - Goal X
+     * @param {number} goalY - Goal Y
+     * @param {object} options - { size: collision box in pixels, margin: keep-out border in pixels }
+     * @returns {Array|null} Waypoints [{ x, y }] ending at (or as close as possible to) the goal,
+     *                       or null when the start itself is boxed in
+     */
+    findPath(startX, startY, goalX, goalY, options = {}) {
+        const size = options.size || this.room.tileSize;
+        const margin = options.margin || 0;
+        this.checkVersion();
+
+        const start = this.findStartNode(startX, startY, size, margin);
+        if (!start) return null;
+
+        const goal = this.toNode(goalX, goalY);
+        const key = `${size}:${margin}:${start.x},${start.y}>${goal.x},${goal.y}`;
+
+        if (!this.cache.has(key)) {
+            if (this.cache.size >= this.maxCacheSize) {
+                this.cache.clear();
+            }
+            this.cache.set(key, this.search(start, goal, size, margin));
+        }
+
+        // Entities are usually a few pixels off the start node - step onto it first
+        // unless the first waypoint can be walked to directly from here
+        const path = this.copyPath(this.cache.get(key));
+        if (path.length > 0 && !this.hasClearLine(startX, startY, path[0].x, path[0].y, size)) {
+            path.unshift({ x: start.x * this.room.tileSize, y: start.y * this.room.tileSize });
+        }
+        return path;
+    }
+
+    /**
+     * Is there a straight, unobstructed line between two positions?
+     * Sampled every few pixels - good enough for entities that move a few pixels per update.
+     */
+    hasClearLine(fromX, fromY, toX, toY, size) {
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / 4);
+
+        for (let i = 1; i <= steps; i++) {
+            const x = fromX + (dx * i) / steps;
+            const y = fromY + (dy * i) / steps;
+            if (!this.room.canMoveTo(x, y, size, size)) return false;
+        }
+        return true;
+    }
+
+    // Drop everything cached if the room's collision changed
+    checkVersion() {
+        if (this.cacheVersion !== this.room.collisionVersion) {
+            this.cache.clear();
+            this.walkable.clear();
+            this.cacheVersion = this.room.collisionVersion;
+        }
+    }
+
+    toNode(x, y) {
+        const tileSize = this.room.tileSize;
+        return {
+            x: Math.max(0, Math.min(this.room.width - 1, Math.round(x / tileSize))),
+            y: Math.max(0, Math.min(this.room.height - 1, Math.round(y / tileSize)))
+        };
+    }
+
+    // Entities rarely stand exactly on a node - start from the closest open corner around them
+    findStartNode(x, y, size, margin) {
+        const tileSize = this.room.tileSize;
+        const left = Math.floor(x / tileSize);
+        const top = Math.floor(y / tileSize);
+        const corners = [
+            { x: left, y: top }, { x: left + 1, y: top },
+            { x: left, y: top + 1 }, { x: left + 1, y: top + 1 }
+        ];
+        corners.sort((a, b) =>
+            Math.hypot(a.x * tileSize - x, a.y * tileSize - y) - Math.hypot(b.x * tileSize - x, b.y * tileSize - y));
+
+        return corners.find(node => this.isWalkable(node.x, node.y, size, margin)) || null;
+    }
+
+    isWalkable(nodeX, nodeY, size, margin) {
+        const room = this.room;
+        if (nodeX < 0 || nodeY < 0 || nodeX >= room.width || nodeY >= room.height) return false;
+
+        const gridKey = `${size}:${margin}`;
+        let grid = this.walkable.get(gridKey);
+        if (!grid) {
+            grid = new Uint8Array(room.width * room.height);
+            this.walkable.set(gridKey, grid);
+        }
+
+        const index = nodeY * room.width + nodeX;
+        if (grid[index] === 0) {
+            const x = nodeX * room.tileSize;
+            const y = nodeY * room.tileSize;
+            const insideMargin = x >= margin && y >= margin &&
+                x <= room.width * room.tileSize - margin && y <= room.height * room.tileSize - margin;
+            grid[index] = insideMargin && room.canMoveTo(x, y, size, size) ? 1 : 2;
+        }
+        return grid[index] === 1;
+    }
+
+    /**
+     * A* over tile corners with 8-way movement (no cutting corners past obstacles)
+     * When the goal can't be reached, the path leads to the closest reachable node instead.
+     */
+    search(start, goal, size, margin) {
+        const width = this.room.width;
+        const startIndex = start.y * width + start.x;
+        const goalIndex = goal.y * width + goal.x;
+        const cameFrom = new Map();
+        const costs = new Map([[startIndex, 0]]);
+        const closed = new Set();
+        const open = [{ index: startIndex, f: this.heuristic(start.x, start.y, goal) }];
+
+        let best = startIndex;
+        let bestDistance = this.heuristic(start.x, start.y, goal);
+        let expanded = 0;
+
+        while (open.length > 0 && expanded < this.maxSearchNodes) {
+            const current = this.popLowest(open).index;
+            if (current === goalIndex) {
+                best = current;
+                break;
+            }
+            if (closed.has(current)) continue;
+            closed.add(current);
+            expanded++;
+
+            const cx = current % width;
+            const cy = Math.floor(current / width);
+            const distance = this.heuristic(cx, cy, goal);
+            if (distance < bestDistance) {
+                best = current;
+                bestDistance = distance;
+            }
+
+            for (const [dx, dy] of Pathfinder.DIRECTIONS) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                if (!this.isWalkable(nx, ny, size, margin)) continue;
+
+                // Diagonals need both side steps open so boxes don't clip corners
+                if (dx !== 0 && dy !== 0 &&
+                    (!this.isWalkable(cx + dx, cy, size, margin) || !this.isWalkable(cx, cy + dy, size, margin))) {
+                    continue;
+                }
+
+                const next = ny * width + nx;
+                const cost = costs.get(current) + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                if (closed.has(next) || cost >= (costs.has(next) ? costs.get(next) : Infinity)) continue;
+
+                costs.set(next, cost);
+                cameFrom.set(next, current);
+                open.push({ index: next, f: cost + this.heuristic(nx, ny, goal) });
+            }
+        }
+
+        return this.smoothPath(this.buildPath(cameFrom, best), size);
+    }
+
+    // Octile distance - exact for 8-way movement on an empty grid
+    heuristic(x, y, goal) {
+        const dx = Math.abs(x - goal.x);
+        const dy = Math.abs(y - goal.y);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+
+    // Open lists stay small on 40x32 rooms, so a linear scan beats keeping a heap
+    popLowest(open) {
+        let lowest = 0;
+        for (let i = 1; i < open.length; i++) {
+            if (open[i].f < open[lowest].f) lowest = i;
+        }
+        const node = open[lowest];
+        open[lowest] = open[open.length - 1];
+        open.pop();
+        return node;
+    }
+
+    buildPath(cameFrom, endIndex) {
+        const width = this.room.width;
+        const tileSize = this.room.tileSize;
+        const path = [];
+
+        for (let index = endIndex; index !== undefined; index = cameFrom.get(index)) {
+            path.unshift({ x: (index % width) * tileSize, y: Math.floor(index / width) * tileSize });
+        }
+        path.shift(); // Start node - the entity is already there
+        return path;
+    }
+
+    // Skip waypoints that can be walked past in a straight line
+    smoothPath(path, size) {
+        if (path.length <= 2) return path;
+
+        const smoothed = [path[0]];
+        let anchor = path[0];
+        for (let i = 1; i < path.length - 1; i++) {
+            if (!this.hasClearLine(anchor.x, anchor.y, path[i + 1].x, path[i + 1].y, size)) {
+                anchor = path[i];
+                smoothed.push(anchor);
+            }
+        }
+        smoothed.push(path[path.length - 1]);
+        return smoothed;
+    }
+
+    copyPath(path) {
+        return path ? path.map(point => ({ x: point.x, y: point.y })) : null;
+    }
+}
+
+// Neighbour offsets - orthogonal first so ties prefer straight moves
+Pathfinder.DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
@@ -3,7 +3,7 @@
  * 
  * This class handles all player functionality including:
  * - Movement and collision detection
- * - Health and stamina systems
+ * - Health, stamina and mana systems
  * - Visual effects (damage flashing, animations)
  * - Combat mechanics (dash attacks, magic staff)
  * - Input handling (keyboard controls)
@@ -24,32 +24,52 @@ class ZeldaPlayer {
         // MOVEMENT SYSTEM
         // =====================================================
         // Movement properties - scaled for 24px tiles (2x smaller than original 48px)
-        this.speed = 1;                     // Pixels per frame movement speed (reduced 2x for smaller tiles)
+        this.speed = 60;                    // Movement speed in pixels per second
         this.direction = 'down';            // Current facing direction: 'down', 'up', 'left', 'right'
         this.facingDirection = 'right';     // Horizontal facing memory: 'left' or 'right' (for sprite consistency)
         this.isMoving = false;              // Boolean: true when player is actively moving
         this.moveX = 0;                     // Movement vector X component (-1 to 1 for smooth diagonal movement)
         this.moveY = 0;                     // Movement vector Y component (-1 to 1 for smooth diagonal movement)
+        this.magnetRadius = 40;             // Loot drops this close fly to the player (pixels)
         
         // =====================================================
-        // STAMINA SYSTEM (for dash attacks and special abilities)
+        // STAMINA SYSTEM (for dash attacks)
         // =====================================================
         this.maxStamina = 100;              // Maximum stamina points
         this.currentStamina = 100;          // Current stamina (decreases with dash/abilities)
         this.staminaRegenRate = 50;         // Stamina points recovered per second (increased from 20)
         this.staminaRegenDelay = 500;       // Milliseconds to wait before stamina starts regenerating (reduced from 1000)
-        this.lastStaminaUse = 0;            // Timestamp of when stamina was last used (for regen delay)
+        this.timeSinceStaminaUse = this.staminaRegenDelay; // Milliseconds since stamina was last used (for regen delay)
         this.isStaminaExhausted = false;    // True when stamina hits 0, false when fully regenerated
         
+        // =====================================================
+        // MANA SYSTEM (for staff spells)
+        // =====================================================
+        // Slower to come back than stamina, but never locks you out - any spell you can afford can be cast
+        this.maxMana = 100;                 // Maximum mana points
+        this.currentMana = 100;             // Current mana (decreases with spells)
+        this.manaRegenRate = 8;             // Mana points recovered per second
+        this.manaRegenDelay = 1500;         // Milliseconds after casting before mana starts regenerating
+        this.timeSinceManaUse = this.manaRegenDelay; // Milliseconds since mana was last used (for regen delay)
+        this.manaPerLevel = 10;             // Max mana gained with every level up
+        this.manaFlashTimer = 0;            // Timer for the HUD mana bar's not-enough-mana flash
+        this.manaFlashDuration = 400;       // How long that flash lasts (ms)
+        
         // =====================================================
         // HEALTH AND DAMAGE SYSTEM
         // =====================================================
         this.maxHealth = 100;               // Maximum health points
         this.currentHealth = 100;           // Current health (decreases when taking damage)
-        this.isInvulnerable = false;        // Temporary invulnerability after taking damage
-        this.invulnerabilityDuration = 1000;// How long invulnerability lasts (1 second in milliseconds)
-        this.invulnerabilityTimer = 0;      // Countdown timer for invulnerability
-        this.hurtTimer = 0;                 // Timer for hurt animation effects
+        // Knockback, brief stun, 1 second of invulnerability and a white flash when hurt
+        this.hitReaction = new HitReaction(this, { invulnerability: 1000, stun: 150, flash: 200 });
+        // Burn, poison, slow, freeze and regen - ticks go straight to health, past invulnerability
+        this.statusEffects = new StatusEffects(this, {
+            onDamage: (amount, effect) => this.takeEffectDamage(amount, effect),
+            onHeal: (amount) => this.heal(amount),
+            isImmune: (type) => type === 'burn' && this.isFireResistant()
+        });
+        this.fireResistTimer = 0;           // Milliseconds left of fire resistance (fire-resist elixir)
+        this.magicShield = null;            // Arcane Shield spell: { absorb, maxAbsorb, timeLeft } while it's up
         
         // =====================================================
         // LEVEL AND XP SYSTEM
@@ -64,8 +84,6 @@ class ZeldaPlayer {
         // =====================================================
         this.lowHealthFlashTimer = 0;       // Timer for low health warning flash
         this.lowHealthFlashDuration = 500;  // How often to flash when health is low (every 500ms)
-        this.damageFlashTimer = 0;          // Timer for brief flash when taking damage
-        this.damageFlashDuration = 200;     // How long damage flash lasts (200ms)
         this.lowHealthThreshold = 30;       // Health level below which player flashes red
         
         // =====================================================
@@ -124,7 +142,16 @@ class ZeldaPlayer {
         this.comboResetTimer = 0;           // Timer to reset combo after inactivity
         this.comboResetDelay = 3000;        // 3 seconds before combo resets
         this.swordHoldTimer = 0;            // Timer for holding sword in down position
-        this.hasHitThisSwing = false;       // Track if sword hit an enemy this swing
+        this.swordHitTargets = new Set();   // Everything already hit this swing (each target is hit once)
+        this.swordHitbox = null;            // Area swept so far this swing - see getSwordHitbox()
+        
+        // Hitbox and strength of each combo stage. Angles are degrees from the facing
+        // direction (negative = above when facing right), swept from arcStart to arcEnd.
+        this.swordAttacks = {
+            swinging_down: { reach: 36, arcStart: -90, arcEnd: 90, sweep: true, damage: 1.0, knockback: 1.0 },
+            swinging_up: { reach: 36, arcStart: 90, arcEnd: 0, sweep: true, damage: 1.25, knockback: 1.5 },
+            stabbing: { reach: 56, arcStart: -20, arcEnd: 20, sweep: false, damage: 2.0, knockback: 2.5 }
+        };
         this.comboCount = 0;                // Number of consecutive attacks (0-3)
         this.comboResetTimer = 0;           // Timer to reset combo after inactivity
         this.comboResetDelay = 3000;        // 3 seconds before combo resets
@@ -146,13 +173,14 @@ class ZeldaPlayer {
         this.dashDuration = 150; // milliseconds - slightly faster for snappier feel
         this.dashCooldown = 800; // milliseconds between dashes - reduced for more responsive gameplay
         this.isDashing = false;
-        this.dashStartTime = 0;
-        this.lastDashTime = 0;
+        this.dashTimer = 0;                 // Milliseconds into the current dash
+        this.dashCooldownTimer = 0;         // Milliseconds until the next dash is allowed
         this.dashStartX = 0;
         this.dashStartY = 0;
         this.dashTargetX = 0;
         this.dashTargetY = 0;
         this.dashStaminaCost = 15; // Stamina cost for dashing - reduced slightly
+        this.dashNoiseRadius = 80;          // Animals within 5 tiles hear the dash
         
         // =====================================================
         // DASH VISUAL EFFECTS (trail that follows player during dash)
@@ -160,7 +188,7 @@ class ZeldaPlayer {
         this.dashTrails = [];               // Array to store trail positions for visual effect
         this.maxTrailLength = 8;            // Maximum number of trail segments to display
         this.trailUpdateInterval = 10;      // Update trail every 10ms during dash
-        this.lastTrailUpdate = 0;           // Timer for trail updates
+        this.trailTimer = 0;                // Time since the last trail update
         
         // =====================================================
         // INPUT SYSTEM (keyboard state tracking)
@@ -168,13 +196,29 @@ class ZeldaPlayer {
         this.keys = {};                     // Object to track which keys are currently pressed
         
         // =====================================================
-        // CHARGING SYSTEM (for future charged attacks)
+        // CHARGING SYSTEM (staff spells)
         // =====================================================
         this.isCharging = false;            // Boolean: true when player is charging an attack
         this.chargeTime = 0;                // How long current charge has been held (milliseconds)
-        this.maxChargeTime = 2000;          // Maximum charge time: 2 seconds
+        this.maxChargeTime = 2000;          // Full charge time of the spell being charged (SpellRegistry chargeTime)
+        this.chargingSpell = null;          // SpellRegistry definition being charged
         this.chargeStartTime = 0;           // Timestamp when charging started
-        
+
+        // =====================================================
+        // SHIELD BLOCKING SYSTEM (right mouse button held)
+        // =====================================================
+        this.isBlocking = false;            // True while the shield is raised
+        this.blockTimer = 0;                // Milliseconds the shield has been up (parries land early on)
+        this.blockSpeedMultiplier = 0.5;    // Walking speed behind a raised shield
+        this.blockFrontAngle = 60;          // Degrees either side of facing that count as a blow from the front
+        this.blockSideAngle = 110;          // ...and from the side (half blocked) - anything further is behind
+        this.counterTimer = 0;              // Milliseconds left to start a counterattack after a parry
+        this.counterWindow = 1500;
+        this.counterDamageBonus = 1.5;      // Sword damage multiplier for a counterattack
+        this.counterSwing = false;          // The current swing was started as a counterattack
+        this.parryFlashTimer = 0;           // Spark on the shield after a parry
+        this.parryFlashDuration = 250;
+
         // Note: Input setup is handled by Game class to avoid conflicts
         // this.setupInput();
     }
@@ -219,8 +263,11 @@ class ZeldaPlayer {
         this.updateCharging(deltaTime);     // Update charging system for special attacks
         this.updateSwordSwing(deltaTime);   // Update sword swing animation and timing
         this.updateStamina(deltaTime);      // Handle stamina regeneration over time
+        this.updateMana(deltaTime);         // Handle mana regeneration over time
+        this.updateBlocking(deltaTime);     // Parry window and counterattack timers
         this.updateHealth(deltaTime);       // Update health timers and damage effects
         this.updateDash(deltaTime, gameMap);// Handle dash movement and collision
+        this.hitReaction.update(deltaTime, (x, y) => this.canMoveTo(x, y, gameMap)); // Knockback and hit timers
         
         // =====================================================
         // MOVEMENT AND COLLISION DETECTION
@@ -229,11 +276,13 @@ class ZeldaPlayer {
         const oldX = this.x;
         const oldY = this.y;
         
-        // Apply movement (only if not dashing - dash has its own movement system)
-        if (this.isMoving && !this.isDashing) {
+        // Apply movement (only if not dashing - dash has its own movement system - or reeling from a hit)
+        if (this.isMoving && !this.isDashing && !this.hitReaction.isStunned()) {
             // Calculate new position using movement vector for smooth diagonal movement
-            const newX = this.x + (this.moveX * this.speed);
-            const newY = this.y + (this.moveY * this.speed);
+            const blockSlow = this.isBlocking ? this.blockSpeedMultiplier : 1;
+            const step = this.speed * this.getArmorStats().speed * this.statusEffects.getSpeedMultiplier() * blockSlow * deltaTime / 1000;
+            const newX = this.x + (this.moveX * step);
+            const newY = this.y + (this.moveY * step);
             
             // Check if new position would cause collision with map boundaries or obstacles
             if (this.canMoveTo(newX, newY, gameMap)) {
@@ -243,8 +292,8 @@ class ZeldaPlayer {
             } else {
                 // Collision detected - try moving in just one direction
                 // This allows player to "slide" along walls when moving diagonally
-                const onlyX = this.x + (this.moveX * this.speed);  // Try X movement only
-                const onlyY = this.y + (this.moveY * this.speed);  // Try Y movement only
+                const onlyX = this.x + (this.moveX * step);  // Try X movement only
+                const onlyY = this.y + (this.moveY * step);  // Try Y movement only
                 
                 if (this.canMoveTo(onlyX, this.y, gameMap)) {
                     // Can move horizontally - slide along vertical wall
@@ -338,15 +387,13 @@ class ZeldaPlayer {
             this.startDash();
         } else if (!this.canDash()) {
             // Debug why dash can't start and trigger flash if stamina issue
-            const now = Date.now();
-            const cooldownPassed = (now - this.lastDashTime) >= this.dashCooldown;
+            const cooldownPassed = this.dashCooldownTimer <= 0;
             const hasStamina = this.canUseStamina(this.dashStaminaCost);
             
             if (this.isDashing) {
                 console.log('❌ Can\'t dash: already dashing');
             } else if (!cooldownPassed) {
-                const remainingCooldown = this.dashCooldown - (now - this.lastDashTime);
-                console.log(`❌ Can't dash: cooldown (${remainingCooldown}ms remaining)`);
+                console.log(`❌ Can't dash: cooldown (${Math.ceil(this.dashCooldownTimer)}ms remaining)`);
             } else if (!hasStamina) {
                 console.log(`❌ Can't dash: insufficient stamina (${this.currentStamina}/${this.dashStaminaCost}) exhausted:${this.isStaminaExhausted}`);
                 this.triggerStaminaFlash(); // Flash stamina bar when insufficient
@@ -406,10 +453,16 @@ class ZeldaPlayer {
         }
         
         // Handle active swing animations
-        if (!this.isSwinging) return;
+        if (!this.isSwinging) {
+            this.swordHitbox = null;
+            return;
+        }
         
         this.swingTimer += deltaTime;
         
+        // Work out the hitbox before the swing ends so the last slice of the arc still hits
+        this.swordHitbox = this.getSwordHitbox();
+        
         if (this.swingTimer >= this.swingDuration) {
             // Swing animation completed
             this.isSwinging = false;
@@ -509,20 +562,23 @@ class ZeldaPlayer {
         
         if (shouldFlip) {
             ctx.scale(-1, 1);
-            ctx.drawImage(
-                sprite,
-                frameX, frameY, this.spriteWidth, this.spriteHeight,
-                -(this.x + this.renderWidth / 2), this.y - this.renderHeight / 2 + this.bobOffset,
-                this.renderWidth, this.renderHeight
-            );
-        } else {
-            ctx.drawImage(
-                sprite,
-                frameX, frameY, this.spriteWidth, this.spriteHeight,
-                this.x - this.renderWidth / 2, this.y - this.renderHeight / 2 + this.bobOffset,
-                this.renderWidth, this.renderHeight
-            );
         }
+        const drawX = shouldFlip ? -(this.x + this.renderWidth / 2) : this.x - this.renderWidth / 2;
+        const drawY = this.y - this.renderHeight / 2 + this.bobOffset;
+        ctx.drawImage(
+            sprite,
+            frameX, frameY, this.spriteWidth, this.spriteHeight,
+            drawX, drawY,
+            this.renderWidth, this.renderHeight
+        );
+        
+        // White flash when hurt
+        this.hitReaction.renderFlash(
+            ctx, sprite,
+            frameX, frameY, this.spriteWidth, this.spriteHeight,
+            drawX, drawY,
+            this.renderWidth, this.renderHeight
+        );
         
         ctx.restore();
         
@@ -550,6 +606,17 @@ class ZeldaPlayer {
                 this.hitboxHeight
             );
             
+            // Debug: Show the sword's active hitbox
+            if (this.swordHitbox) {
+                const hitbox = this.swordHitbox;
+                ctx.fillStyle = 'rgba(255, 0, 0, 0.3)';
+                ctx.beginPath();
+                ctx.moveTo(hitbox.x, hitbox.y);
+                ctx.arc(hitbox.x, hitbox.y, hitbox.radius, hitbox.startAngle, hitbox.endAngle);
+                ctx.closePath();
+                ctx.fill();
+            }
+            
             // Debug: Show dash info
             if (this.isDashing) {
                 // Draw dash path
@@ -565,16 +632,14 @@ class ZeldaPlayer {
                 ctx.fillRect(this.dashTargetX - 5, this.dashTargetY - 5, 10, 10);
                 
                 // Show dash progress
-                const elapsed = Date.now() - this.dashStartTime;
-                const progress = Math.min(elapsed / this.dashDuration, 1.0);
+                const progress = Math.min(this.dashTimer / this.dashDuration, 1.0);
                 ctx.fillStyle = '#ffffff';
                 ctx.font = '12px Arial';
                 ctx.fillText(`Dash: ${Math.floor(progress * 100)}%`, this.x + 20, this.y - 20);
             }
             
             // Show dash cooldown
-            const now = Date.now();
-            const cooldownRemaining = Math.max(0, this.dashCooldown - (now - this.lastDashTime));
+            const cooldownRemaining = Math.max(0, Math.ceil(this.dashCooldownTimer));
             if (cooldownRemaining > 0) {
                 ctx.fillStyle = '#ff8888';
                 ctx.font = '10px Arial';
@@ -582,18 +647,12 @@ class ZeldaPlayer {
             }
         }
         
-        // Red damage overlay effects
+        // Red low health overlay
         let shouldShowRedOverlay = false;
         let redIntensity = 0;
         
-        // Check for damage flash (brief red flash when taking damage)
-        if (this.damageFlashTimer > 0) {
-            shouldShowRedOverlay = true;
-            redIntensity = 0.6; // Strong red flash for damage
-            console.log('🔴 Damage flash active, intensity:', redIntensity);
-        }
         // Low health flash disabled
-        // else if (this.currentHealth <= this.lowHealthThreshold && this.currentHealth > 0) {
+        // if (this.currentHealth <= this.lowHealthThreshold && this.currentHealth > 0) {
         //     const flashPhase = (this.lowHealthFlashTimer / this.lowHealthFlashDuration) * Math.PI * 2;
         //     const flashAlpha = (Math.sin(flashPhase) + 1) / 2; // Oscillates between 0 and 1
         //     if (flashAlpha > 0.3) { // Only show red when flash is bright enough
@@ -615,6 +674,53 @@ class ZeldaPlayer {
             );
             ctx.restore();
         }
+        
+        // Tinted by the latest status effect that has a tint (green poison, blue freeze...), orange while fire resistant
+        const tinted = this.statusEffects.getActive().filter(effect => effect.definition.tint).pop();
+        if (tinted || this.isFireResistant()) {
+            ctx.save();
+            ctx.fillStyle = tinted ? tinted.definition.tint : 'rgba(230, 126, 34, 0.25)';
+            ctx.fillRect(
+                this.x - this.renderWidth / 2, 
+                this.y - this.renderHeight / 2, 
+                this.renderWidth, 
+                this.renderHeight
+            );
+            ctx.restore();
+        }
+        
+        // Arcane shield bubble - fainter as it wears down
+        if (this.magicShield) {
+            const strength = this.magicShield.absorb / this.magicShield.maxAbsorb;
+            const flicker = this.magicShield.timeLeft < 1500 ? Math.sin(Date.now() * 0.03) * 0.15 : 0;
+            ctx.save();
+            ctx.globalAlpha = Math.max(0.1, 0.25 + strength * 0.4 + flicker);
+            ctx.strokeStyle = '#8f7bff';
+            ctx.fillStyle = 'rgba(143, 123, 255, 0.15)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.renderWidth / 2 + 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        if (this.isBlocking) {
+            this.renderRaisedShield(ctx);
+        }
+
+        // Effect icons just over the llama's head (below the stamina bar)
+        this.statusEffects.renderIcons(ctx, this.x, this.y - this.renderHeight / 2 - 1);
+    }
+
+    // Defense and speed of the armor being worn
+    getArmorStats() {
+        const armor = this.inventory && this.inventory.getCurrentArmor ? this.inventory.getCurrentArmor() : null;
+        const stats = armor ? armor.stats : {};
+        return {
+            defense: stats.defense || 0,
+            speed: stats.speed || 1
+        };
     }
 
     // Equipment methods
@@ -642,13 +748,21 @@ class ZeldaPlayer {
             hasSwordEquipped = (currentWeapon.id === 'sword');
         }
 
-        if (!hasSwordEquipped || this.isSwinging) {
+        if (!hasSwordEquipped || this.isSwinging || this.statusEffects.isActionBlocked()) {
             console.log('❌ Cannot swing sword - not equipped or already swinging');
             return;
         }
-        
+
+        // Swinging lowers the shield; a swing inside the window after a parry is a counterattack
+        this.stopBlocking();
+        this.counterSwing = this.counterTimer > 0;
+        if (this.counterSwing) {
+            this.counterTimer = 0;
+            console.log('⚔️ Counterattack!');
+        }
+
         // Reset hit tracking for new swing
-        this.hasHitThisSwing = false;
+        this.swordHitTargets.clear();
         
         // Reset combo timer since we're attacking
         this.comboResetTimer = 0;
@@ -677,46 +791,67 @@ class ZeldaPlayer {
         this.isSwinging = true;
         this.swingTimer = 0;
         
-        // Check for enemy damage when starting swing
-        this.checkSwordDamage();
+        // Hits are resolved by ZeldaGame.checkCombat() against the hittable registry
     }
 
-    // Check if sword hits any enemies during swing
-    checkSwordDamage() {
-        if (!this.game || !this.game.enemies) return;
-        
-        const swordDamage = 10; // Damage dealt by sword (reduced for multi-hit combat)
-        const swordRange = 60;  // Range of sword attack in pixels (increased from 40)
-        
-        // Calculate sword tip position based on player facing direction
-        let swordTipX = this.x;
-        let swordTipY = this.y;
-        
-        if (this.facingDirection === 'right') {
-            swordTipX += swordRange;
-        } else if (this.facingDirection === 'left') {
-            swordTipX -= swordRange;
-        } else if (this.facingDirection === 'up') {
-            swordTipY -= swordRange;
-        } else if (this.facingDirection === 'down') {
-            swordTipY += swordRange;
-        }
-        
-        // Check collision with each enemy
-        for (let enemy of this.game.enemies) {
-            const distance = Math.sqrt(
-                Math.pow(enemy.x - swordTipX, 2) + 
-                Math.pow(enemy.y - swordTipY, 2)
-            );
-            
-            if (distance < 45) { // Hit range (increased from 30)
-                // Deal damage to enemy
-                const damaged = enemy.takeDamage(swordDamage, this.x, this.y);
-                if (damaged) {
-                    console.log(`⚔️ Sword hit ${enemy.type} for ${swordDamage} damage!`);
-                }
+    /**
+     * Area the current swing has swept so far
+     * @returns {object|null} { x, y, radius, startAngle, endAngle, attack } in world pixels and
+     *                        radians (for HittableRegistry.queryArc), or null when not swinging.
+     *                        A counterattack's attack has boosted damage and counter: true.
+     */
+    getSwordHitbox() {
+        let attack = this.swordAttacks[this.swordState];
+        if (!this.isSwinging || !attack) return null;
+        if (this.counterSwing) {
+            attack = Object.assign({}, attack, { damage: attack.damage * this.counterDamageBonus, counter: true });
+        }
+        
+        const facingAngles = { right: 0, down: 90, left: 180, up: -90 };
+        const facing = facingAngles[this.direction] || 0;
+        const mirror = this.direction === 'left' ? -1 : 1;  // Sword sprite is flipped when facing left
+        
+        const progress = attack.sweep ? Math.min(this.swingTimer / this.swingDuration, 1) : 1;
+        const from = facing + mirror * attack.arcStart;
+        const to = facing + mirror * (attack.arcStart + (attack.arcEnd - attack.arcStart) * progress);
+        
+        return {
+            x: this.x,
+            y: this.y,
+            radius: attack.reach,
+            startAngle: Math.min(from, to) * Math.PI / 180,
+            endAngle: Math.max(from, to) * Math.PI / 180,
+            attack: attack
+        };
+    }
+
+    // Shield held out on the side the llama faces, with a spark just after a parry
+    renderRaisedShield(ctx) {
+        const offsets = { right: [10, 2], left: [-10, 2], down: [0, 8], up: [0, -6] };
+        const [offsetX, offsetY] = offsets[this.direction] || offsets.down;
+        const size = 14;
+        const shieldX = this.x + offsetX;
+        const shieldY = this.y + offsetY;
+
+        ctx.save();
+        ItemRegistry.draw(ctx, this.getShield(), this.spriteLoader, shieldX - size / 2, shieldY - size / 2, size);
+
+        if (this.parryFlashTimer > 0) {
+            const spark = this.parryFlashTimer / this.parryFlashDuration;
+            ctx.globalAlpha = spark;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let i = 0; i < 8; i++) {
+                const angle = i * Math.PI / 4;
+                const inner = 4;
+                const outer = 8 + (1 - spark) * 8;
+                ctx.moveTo(shieldX + Math.cos(angle) * inner, shieldY + Math.sin(angle) * inner);
+                ctx.lineTo(shieldX + Math.cos(angle) * outer, shieldY + Math.sin(angle) * outer);
             }
+            ctx.stroke();
         }
+        ctx.restore();
     }
 
     renderMagicStaff(ctx, shouldFlip) {
@@ -753,12 +888,12 @@ class ZeldaPlayer {
             renderWidth *= scaleMultiplier;
             renderHeight *= scaleMultiplier;
             
-            // Add charging glow effect
+            // Add charging glow effect, in the color of the spell being charged
             const glowIntensity = chargeProgress;
             const pulseEffect = Math.sin(Date.now() * 0.01) * 0.3 + 0.7; // Pulsing between 0.4 and 1.0
             
-            ctx.shadowColor = `rgba(255, 100, 0, ${glowIntensity * pulseEffect})`;
-            ctx.shadowBlur = 15 * chargeProgress;
+            ctx.shadowColor = this.chargingSpell ? this.chargingSpell.color : '#ff6400';
+            ctx.shadowBlur = 15 * glowIntensity * pulseEffect;
         }
         
         if (shouldFlip) {
@@ -920,59 +1055,65 @@ class ZeldaPlayer {
     }
     
     startCharging() {
+        if (this.statusEffects.isActionBlocked() || this.isBlocking) return false;
         if (this.inventory) {
             const currentWeapon = this.inventory.getCurrentWeapon();
             if (currentWeapon.id === 'staff') {
-                // Check if stamina is exhausted (Zelda-style system)
-                if (this.isStaminaExhausted) {
-                    console.log('💨 Stamina exhausted! Must fully regenerate first.');
-                    this.triggerStaminaFlash();
-                    return false;
-                }
+                const spell = this.inventory.getCurrentSpell();
                 
-                // Check if player has minimum stamina to start charging
-                if (this.currentStamina < 10) {
-                    console.log('💨 Not enough stamina to charge spell!');
-                    this.triggerStaminaFlash();
+                // Need at least enough mana for a quick cast to start charging
+                if (!this.canUseMana(spell.cost)) {
+                    console.log(`💧 Not enough mana to charge ${spell.name}!`);
+                    this.triggerManaFlash();
                     return false;
                 }
                 
                 this.isCharging = true;
                 this.chargeTime = 0;
+                this.maxChargeTime = spell.chargeTime;
+                this.chargingSpell = spell;
                 this.chargeStartTime = Date.now();
-                console.log('🔮 Charging staff...');
+                console.log(`🔮 Charging ${spell.name}...`);
                 return true;
             }
         }
         return false;
     }
     
+    /**
+     * Release the spell being charged
+     * @returns {object} { spell, power (0-1, see SpellRegistry.getPower), charged, chargeTime } -
+     *                   failed: true if there wasn't enough mana to cast it
+     */
     stopCharging() {
         if (this.isCharging) {
-            const wasFullyCharged = this.chargeTime >= this.maxChargeTime;
+            const spell = this.chargingSpell;
+            const power = SpellRegistry.getPower(spell, this.chargeTime);
+            const wasFullyCharged = power >= 1;
+            
+            // Stronger casts cost more mana
+            const manaCost = SpellRegistry.getCost(spell, power);
             
-            // Calculate stamina cost based on spell power
-            let staminaCost = wasFullyCharged ? 40 : 15; // More stamina for charged spells
+            this.isCharging = false;
+            this.chargingSpell = null;
             
-            // Check if player has enough stamina to actually fire the spell
-            if (this.isStaminaExhausted || this.currentStamina < staminaCost) {
-                console.log(`💨 Not enough stamina to fire ${wasFullyCharged ? 'CHARGED' : 'normal'} spell! Need: ${staminaCost}, Have: ${this.currentStamina}`);
-                this.triggerStaminaFlash();
-                this.isCharging = false; // Stop charging but don't fire
+            // Check if player has enough mana to actually cast the spell
+            if (!this.canUseMana(manaCost)) {
+                console.log(`💧 Not enough mana to cast ${spell.name}! Need: ${manaCost}, Have: ${Math.floor(this.currentMana)}`);
+                this.triggerManaFlash();
                 this.chargeTime = 0;     // Reset charge time
-                return { charged: false, chargeTime: 0, failed: true }; // Indicate failure
+                return { spell: spell, power: 0, charged: false, chargeTime: 0, failed: true }; // Indicate failure
             }
             
-            this.isCharging = false;
-            const chargeResult = { charged: wasFullyCharged, chargeTime: this.chargeTime };
+            const chargeResult = { spell: spell, power: power, charged: wasFullyCharged, chargeTime: this.chargeTime };
             
-            // Consume stamina for the spell
-            this.consumeStamina(staminaCost);
+            // Consume mana for the spell
+            this.consumeMana(manaCost);
             
             // Reset charge time for next use
             this.chargeTime = 0;
             
-            console.log(`🔥 Released ${wasFullyCharged ? 'CHARGED' : 'normal'} fireball! Stamina: ${this.currentStamina}/${this.maxStamina}`);
+            console.log(`🔮 Cast ${spell.name} at ${Math.round(power * 100)}% power! Mana: ${Math.floor(this.currentMana)}/${this.maxMana}`);
             return chargeResult;
         }
         return { charged: false, chargeTime: 0 };
@@ -981,7 +1122,7 @@ class ZeldaPlayer {
     // Stamina system methods
     consumeStamina(amount) {
         this.currentStamina = Math.max(0, this.currentStamina - amount);
-        this.lastStaminaUse = Date.now();
+        this.timeSinceStaminaUse = 0;
         
         // Set exhausted state if stamina hits zero (Zelda-style)
         if (this.currentStamina <= 0) {
@@ -1009,8 +1150,8 @@ class ZeldaPlayer {
     
     updateStamina(deltaTime) {
         // Only regenerate stamina if enough time has passed since last use
-        const timeSinceLastUse = Date.now() - this.lastStaminaUse;
-        if (timeSinceLastUse >= this.staminaRegenDelay && this.currentStamina < this.maxStamina) {
+        this.timeSinceStaminaUse += deltaTime;
+        if (this.timeSinceStaminaUse >= this.staminaRegenDelay && this.currentStamina < this.maxStamina) {
             // Regenerate stamina over time
             const staminaRegen = (this.staminaRegenRate * deltaTime) / 1000;
             this.currentStamina = Math.min(this.maxStamina, this.currentStamina + staminaRegen);
@@ -1031,26 +1172,47 @@ class ZeldaPlayer {
         }
     }
 
+    // Mana system methods
+    consumeMana(amount) {
+        this.currentMana = Math.max(0, this.currentMana - amount);
+        this.timeSinceManaUse = 0;
+        console.log(`💧 Consumed ${amount} mana. Current: ${Math.floor(this.currentMana)}/${this.maxMana}`);
+    }
+    
+    canUseMana(amount) {
+        return this.currentMana >= amount;
+    }
+    
+    // Flash the HUD mana bar when a spell can't be afforded
+    triggerManaFlash() {
+        this.manaFlashTimer = this.manaFlashDuration;
+    }
+    
+    isManaFlashing() {
+        return this.manaFlashTimer > 0;
+    }
+    
+    updateMana(deltaTime) {
+        this.timeSinceManaUse += deltaTime;
+        if (this.timeSinceManaUse >= this.manaRegenDelay && this.currentMana < this.maxMana) {
+            this.currentMana = Math.min(this.maxMana, this.currentMana + (this.manaRegenRate * deltaTime) / 1000);
+        }
+        this.manaFlashTimer = Math.max(0, this.manaFlashTimer - deltaTime);
+    }
+    
     // Health system methods
     updateHealth(deltaTime) {
-        // Update invulnerability timer
-        if (this.invulnerabilityTimer > 0) {
-            this.invulnerabilityTimer -= deltaTime;
-            if (this.invulnerabilityTimer <= 0) {
-                this.isInvulnerable = false;
+        // Tick burn, poison and regen
+        this.statusEffects.update(deltaTime);
+        this.fireResistTimer = Math.max(0, this.fireResistTimer - deltaTime);
+        if (this.magicShield) {
+            this.magicShield.timeLeft -= deltaTime;
+            if (this.magicShield.timeLeft <= 0) {
+                this.magicShield = null;
+                console.log('🔮 Arcane shield faded');
             }
         }
         
-        // Update hurt timer
-        if (this.hurtTimer > 0) {
-            this.hurtTimer -= deltaTime;
-        }
-        
-        // Update damage flash timer
-        if (this.damageFlashTimer > 0) {
-            this.damageFlashTimer -= deltaTime;
-        }
-        
         // Update low health flash timer
         if (this.currentHealth <= this.lowHealthThreshold) {
             this.lowHealthFlashTimer += deltaTime;
@@ -1062,25 +1224,83 @@ class ZeldaPlayer {
         }
     }
 
-    takeDamage(amount) {
-        if (this.isInvulnerable || this.currentHealth <= 0) {
-            return false; // No damage taken
-        }
+    // Antidotes - returns false if there was nothing to cure
+    curePoison() {
+        return this.statusEffects.remove('poison');
+    }
+    
+    /**
+     * Damage from a status effect tick (burn, poison)
+     * Goes around invulnerability and armor - the hit that caused it already went through both
+     */
+    takeEffectDamage(amount, effect) {
+        if (this.currentHealth <= 0) return;
         
         this.currentHealth = Math.max(0, this.currentHealth - amount);
-        this.isInvulnerable = true;
-        this.invulnerabilityTimer = this.invulnerabilityDuration;
-        this.hurtTimer = 200; // Brief hurt flash
-        this.damageFlashTimer = this.damageFlashDuration; // Trigger damage flash
+        this.hitReaction.flash();
+        console.log(`${effect.definition.emoji} ${effect.definition.name}: -${amount} HP (${this.currentHealth}/${this.maxHealth})`);
+        
+        if (this.currentHealth <= 0) {
+            console.log(`💀 Player died while ${effect.definition.verb}!`);
+            this.statusEffects.clear();
+            if (window.game) {
+                window.game.notify('playerDied', { cause: `The Llama Knight fell while ${effect.definition.verb}...` });
+            }
+        }
+    }
+
+    /**
+     * Take damage - ignored during the invulnerability window after a hit
+     * A raised shield parries or blocks it first (see blockHit), an arcane shield
+     * soaks up what's left, then armor blocks part of the rest.
+     * @param {number} amount - Damage before the shields and armor
+     * @param {number} sourceX - Where the hit came from (optional - no knockback or blocking without it)
+     * @param {number} sourceY
+     * @param {number} knockback - Knockback starting speed in px/s
+     * @param {object} attacker - Enemy that struck the blow (optional - staggered by a parry)
+     * @returns {boolean} True if the player died
+     */
+    takeDamage(amount, sourceX = null, sourceY = null, knockback = 0, attacker = null) {
+        if (this.currentHealth <= 0 || this.hitReaction.isInvulnerable()) {
+            return false; // Dead already, or still invulnerable from the last hit
+        }
+        
+        const hasSource = sourceX !== null && sourceY !== null;
+        const guard = hasSource ? this.blockHit(amount, sourceX, sourceY, attacker) : null;
+        if (guard && guard.parried) {
+            return false; // Parried - nothing gets through
+        }
+        if (guard) {
+            // Blocked - the shield takes the sting out of the knockback and the hit doesn't stun
+            amount = guard.amount;
+            knockback *= 0.5;
+        }
+        
+        this.hitReaction.hit(sourceX, sourceY, {
+            knockback: hasSource ? knockback : 0,
+            stun: guard ? 0 : undefined
+        });
+        if (amount <= 0) {
+            return false; // The shield stopped all of it
+        }
+        
+        amount = this.absorbWithShield(amount);
+        if (amount <= 0) {
+            return false; // All of it went into the shield
+        }
+        
+        // Armor blocks part of every hit, but at least 1 damage always gets through
+        const defense = this.getArmorStats().defense;
+        const damage = defense > 0 ? Math.max(1, Math.round(amount * (1 - defense))) : amount;
         
-        console.log(`💔 Player took ${amount} damage! Health: ${this.currentHealth}/${this.maxHealth}`);
-        console.log(`🔴 Damage flash timer set to: ${this.damageFlashTimer}ms`);
+        this.currentHealth = Math.max(0, this.currentHealth - damage);
+        console.log(`💔 Player took ${damage} damage (${amount} before armor)! Health: ${this.currentHealth}/${this.maxHealth}`);
         //death logic:
         if (this.currentHealth <= 0) {
             console.log('💀 Player died!');
-            // Trigger game over state
+            // The adventure's objectives decide what happens (game over)
             if (window.game) {
-                window.game.gameState = 'gameover';
+                window.game.notify('playerDied', { cause: 'The Llama Knight has fallen...' });
             }
             return true; // Player died
         }
@@ -1088,6 +1308,210 @@ class ZeldaPlayer {
         return false; // Player survived
     }
     
+    /**
+     * Damage from standing in fire - fire resistance ignores it completely
+     * @returns {boolean} True if the player died
+     */
+    takeBurnDamage(amount) {
+        if (this.isFireResistant()) return false;
+        return this.takeDamage(amount);
+    }
+    
+    /**
+     * Put up an arcane shield (Arcane Shield spell) - replaces any shield already up
+     * @param {number} absorb - Damage it can soak up before breaking
+     * @param {number} duration - Milliseconds before it fades
+     */
+    addMagicShield(absorb, duration) {
+        this.magicShield = { absorb: absorb, maxAbsorb: absorb, timeLeft: duration };
+        console.log(`🔮 Arcane shield up: absorbs ${absorb} damage for ${Math.round(duration / 1000)}s`);
+    }
+    
+    // Soak a hit into the arcane shield - returns the damage that gets through
+    absorbWithShield(amount) {
+        if (!this.magicShield) return amount;
+        
+        const absorbed = Math.min(amount, this.magicShield.absorb);
+        this.magicShield.absorb -= absorbed;
+        console.log(`🔮 Shield absorbed ${absorbed} damage (${Math.round(this.magicShield.absorb)} left)`);
+        if (this.magicShield.absorb <= 0) {
+            this.magicShield = null;
+            console.log('💥 Arcane shield broke!');
+        }
+        return amount - absorbed;
+    }
+
+    // Shield blocking methods
+    getShield() {
+        return this.inventory ? this.inventory.getCurrentShield() : ZeldaInventory.NO_SHIELD;
+    }
+
+    // Raise the shield (right mouse button) - not mid-swing, mid-dash, while charging or frozen
+    startBlocking() {
+        if (this.getShield().id === 'none') {
+            console.log('❌ Cannot block - no shield equipped');
+            return false;
+        }
+        if (this.isBlocking || this.isSwinging || this.isDashing || this.isCharging || this.statusEffects.isActionBlocked()) {
+            return false;
+        }
+        this.isBlocking = true;
+        this.blockTimer = 0;
+        return true;
+    }
+
+    stopBlocking() {
+        this.isBlocking = false;
+        this.blockTimer = 0;
+    }
+
+    updateBlocking(deltaTime) {
+        if (this.isBlocking) {
+            this.blockTimer += deltaTime;
+            // Frozen solid, or the shield was taken off
+            if (this.statusEffects.isActionBlocked() || this.getShield().id === 'none') {
+                this.stopBlocking();
+            }
+        }
+        this.counterTimer = Math.max(0, this.counterTimer - deltaTime);
+        this.parryFlashTimer = Math.max(0, this.parryFlashTimer - deltaTime);
+    }
+
+    /**
+     * How well the raised shield covers a blow from a point
+     * @returns {number} 1 from the front, 0.5 from the side, 0 from behind (or when not blocking)
+     */
+    getBlockFacing(sourceX, sourceY) {
+        if (!this.isBlocking) return 0;
+        const dx = sourceX - this.x;
+        const dy = sourceY - this.y;
+        if (dx === 0 && dy === 0) return 1;
+
+        const facingVectors = { right: [1, 0], left: [-1, 0], down: [0, 1], up: [0, -1] };
+        const [fx, fy] = facingVectors[this.direction] || facingVectors.down;
+        const angle = Math.acos((dx * fx + dy * fy) / Math.hypot(dx, dy)) * 180 / Math.PI;
+        if (angle <= this.blockFrontAngle) return 1;
+        if (angle <= this.blockSideAngle) return 0.5;
+        return 0;
+    }
+
+    // Shield squarely between the player and the point - a blocked bite doesn't poison or bleed
+    isBlockingFrom(sourceX, sourceY) {
+        return this.getBlockFacing(sourceX, sourceY) === 1;
+    }
+
+    /**
+     * Meet a blow with the raised shield
+     * Raised within the shield's parryWindow and facing the blow, it's a parry: no damage,
+     * no stamina, the attacker is staggered and a counterattack opens. Otherwise each
+     * blocked hit costs blockCost stamina and the shield stops block × facing of the damage -
+     * without the stamina the guard breaks and the whole hit lands.
+     * @param {object} attacker - Enemy to stagger on a parry (optional)
+     * @returns {object|null} { parried, amount: damage that gets through }, or null if not blocked
+     */
+    blockHit(amount, sourceX, sourceY, attacker = null) {
+        const facing = this.getBlockFacing(sourceX, sourceY);
+        if (facing === 0) return null;
+
+        const shield = this.getShield().stats;
+        if (facing === 1 && this.blockTimer <= shield.parryWindow) {
+            this.parry(attacker);
+            return { parried: true, amount: 0 };
+        }
+
+        if (!this.canUseStamina(shield.blockCost)) {
+            console.log('💥 Guard broken - not enough stamina to block!');
+            this.triggerStaminaFlash();
+            this.stopBlocking();
+            return null;
+        }
+        this.consumeStamina(shield.blockCost);
+
+        const blocked = Math.round(amount * shield.block * facing);
+        console.log(`🛡️ Blocked ${blocked} of ${amount} damage`);
+        return { parried: false, amount: amount - blocked };
+    }
+
+    parry(attacker) {
+        this.counterTimer = this.counterWindow;
+        this.parryFlashTimer = this.parryFlashDuration;
+        if (attacker && attacker.stagger) {
+            attacker.stagger(this.x, this.y);
+        }
+        console.log('✨ Parry! Counterattack window open');
+    }
+
+    isFireResistant() {
+        return this.fireResistTimer > 0;
+    }
+    
+    // Longest resistance wins - drinking another elixir doesn't stack. Puts out any burning too.
+    addFireResistance(duration) {
+        this.fireResistTimer = Math.max(this.fireResistTimer, duration);
+        this.statusEffects.remove('burn');
+        console.log(`🧯 Fire resistant for ${Math.round(this.fireResistTimer / 1000)}s`);
+    }
+    
+    /**
+     * Drink or use a consumable from the inventory
+     * @param {object} item - Consumable from the ItemRegistry
+     * @returns {string|null} Why it would be wasted (nothing happens), or null once applied
+     */
+    applyConsumable(item) {
+        const stats = item.stats;
+        if (this.currentHealth <= 0) return 'Too late for that';
+        if (stats.heal && this.currentHealth >= this.maxHealth) return 'Health is full';
+        if (stats.stamina && this.currentStamina >= this.maxStamina) return 'Stamina is full';
+        if (stats.mana && this.currentMana >= this.maxMana) return 'Mana is full';
+        if (stats.curePoison && !this.statusEffects.has('poison')) return 'Not poisoned';
+        
+        if (stats.heal) this.heal(stats.heal);
+        if (stats.stamina) this.restoreStamina(stats.stamina);
+        if (stats.mana) this.restoreMana(stats.mana);
+        if (stats.curePoison) this.curePoison();
+        if (stats.fireResist) this.addFireResistance(stats.fireResist);
+        return null;
+    }
+    
+    /**
+     * Restore health (hearts, potions) - never above maxHealth
+     * @param {number} amount - Health to restore
+     * @returns {number} Health actually restored
+     */
+    heal(amount) {
+        if (this.currentHealth <= 0) return 0;
+        
+        const before = this.currentHealth;
+        this.currentHealth = Math.min(this.maxHealth, this.currentHealth + amount);
+        console.log(`❤️ Healed ${this.currentHealth - before} HP (${this.currentHealth}/${this.maxHealth})`);
+        return this.currentHealth - before;
+    }
+    
+    /**
+     * Restore stamina (stamina orbs) - never above maxStamina
+     * @param {number} amount - Stamina to restore
+     * @returns {number} Stamina actually restored
+     */
+    restoreStamina(amount) {
+        const before = this.currentStamina;
+        this.currentStamina = Math.min(this.maxStamina, this.currentStamina + amount);
+        if (this.currentStamina >= this.maxStamina) {
+            this.isStaminaExhausted = false;
+        }
+        return this.currentStamina - before;
+    }
+    
+    /**
+     * Restore mana (mana orbs, mana potions) - never above maxMana
+     * @param {number} amount - Mana to restore
+     * @returns {number} Mana actually restored
+     */
+    restoreMana(amount) {
+        const before = this.currentMana;
+        this.currentMana = Math.min(this.maxMana, this.currentMana + amount);
+        return this.currentMana - before;
+    }
+    
     /**
      * Gain experience points and check for level up
      * @param {number} amount - XP amount to add
@@ -1112,11 +1536,58 @@ class ZeldaPlayer {
         // Increase XP requirement for next level
         this.xpToNextLevel = Math.floor(this.xpToNextLevel * this.xpMultiplier);
         
-        // Heal player on level up
+        // Heal player on level up - the mana pool grows and refills too
         this.currentHealth = this.maxHealth;
+        this.maxMana += this.manaPerLevel;
+        this.currentMana = this.maxMana;
         
         console.log(`🎉 LEVEL UP! Now level ${this.level}!`);
-        console.log(`💪 Health restored! Next level: ${this.xpToNextLevel} XP`);
+        console.log(`💪 Health and mana restored (max mana ${this.maxMana})! Next level: ${this.xpToNextLevel} XP`);
+    }
+
+    /**
+     * Describe the player's persistent state for save games
+     * @returns {object} Position, health, stamina, mana and progression values
+     */
+    getSaveData() {
+        return {
+            x: this.x,
+            y: this.y,
+            direction: this.direction,
+            facingDirection: this.facingDirection,
+            currentHealth: this.currentHealth,
+            maxHealth: this.maxHealth,
+            currentStamina: this.currentStamina,
+            maxStamina: this.maxStamina,
+            currentMana: this.currentMana,
+            maxMana: this.maxMana,
+            level: this.level,
+            xp: this.xp,
+            xpToNextLevel: this.xpToNextLevel
+        };
+    }
+
+    /**
+     * Restore persistent state from a save game
+     * @param {object} data - Values produced by getSaveData()
+     */
+    loadSaveData(data) {
+        if (!data) return;
+
+        this.x = data.x;
+        this.y = data.y;
+        this.direction = data.direction || 'down';
+        this.facingDirection = data.facingDirection || 'right';
+        this.maxHealth = data.maxHealth;
+        this.currentHealth = Math.min(data.currentHealth, this.maxHealth);
+        this.maxStamina = data.maxStamina;
+        this.currentStamina = Math.min(data.currentStamina, this.maxStamina);
+        this.isStaminaExhausted = this.currentStamina <= 0;
+        this.maxMana = data.maxMana;
+        this.currentMana = Math.min(data.currentMana, this.maxMana);
+        this.level = data.level;
+        this.xp = data.xp;
+        this.xpToNextLevel = data.xpToNextLevel;
     }
 
     // Get staff world position for fireball spawning (from the red tip)
@@ -1153,12 +1624,8 @@ class ZeldaPlayer {
     // Get current sprite based on equipment
     getCurrentSprite() {
         if (this.inventory) {
-            const currentArmor = this.inventory.getCurrentArmor();
-            if (currentArmor.id === 'knight') {
-                return this.spriteLoader.get('llama_knight');
-            } else {
-                return this.spriteLoader.get('llama_base');
-            }
+            // Each armor names the llama sheet to draw in its equip entry
+            return this.spriteLoader.get(this.inventory.getCurrentArmor().equip.sprite);
         } else {
             // Fallback to old system
             if (this.hasArmor) {
@@ -1185,8 +1652,8 @@ class ZeldaPlayer {
 
     // Dash system methods
     canDash() {
-        const now = Date.now();
-        const cooldownPassed = (now - this.lastDashTime) >= this.dashCooldown;
+        if (this.statusEffects.isActionBlocked() || this.isBlocking) return false;
+        const cooldownPassed = this.dashCooldownTimer <= 0;
         const hasStamina = this.canUseStamina(this.dashStaminaCost);
         return !this.isDashing && cooldownPassed && hasStamina;
     }
@@ -1204,8 +1671,12 @@ class ZeldaPlayer {
         
         // Set dash state
         this.isDashing = true;
-        this.dashStartTime = Date.now();
-        this.lastDashTime = this.dashStartTime;
+        this.dashTimer = 0;
+        this.dashCooldownTimer = this.dashCooldown;
+        
+        if (this.game) {
+            this.game.makeNoise(this.x, this.y, this.dashNoiseRadius);
+        }
         
         // Calculate dash target position
         this.dashStartX = this.x;
@@ -1242,20 +1713,24 @@ class ZeldaPlayer {
     }
 
     updateDash(deltaTime, gameMap) {
+        if (this.dashCooldownTimer > 0) {
+            this.dashCooldownTimer -= deltaTime;
+        }
+        
         if (!this.isDashing) {
             // Clear dash trails when not dashing
             this.dashTrails = [];
             return;
         }
         
-        const now = Date.now();
-        const elapsed = now - this.dashStartTime;
-        const progress = Math.min(elapsed / this.dashDuration, 1.0);
+        this.dashTimer += deltaTime;
+        const progress = Math.min(this.dashTimer / this.dashDuration, 1.0);
         
         // Update dash trail
-        if (now - this.lastTrailUpdate >= this.trailUpdateInterval) {
+        this.trailTimer += deltaTime;
+        if (this.trailTimer >= this.trailUpdateInterval) {
             this.addTrailPosition(this.x, this.y);
-            this.lastTrailUpdate = now;
+            this.trailTimer = 0;
         }
         
         if (progress >= 1.0) {
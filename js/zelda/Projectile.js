@@ -1,10 +1,17 @@
-// Fireball Projectile System
+// Staff Projectile System - fireballs, charged fireballs and ice bolts (see ZeldaProjectile.TYPES)
 class ZeldaProjectile {
-    constructor(x, y, targetX, targetY, type = 'fireball') {
+    /**
+     * @param {string} type - Key into ZeldaProjectile.TYPES
+     * @param {object} options - { spell, power } of the cast that fired it (SpellRegistry)
+     */
+    constructor(x, y, targetX, targetY, type = 'fireball', options = {}) {
+        const definition = ZeldaProjectile.TYPES[type] || ZeldaProjectile.TYPES.fireball;
         this.x = x;
         this.y = y;
         this.type = type;
         this.isCharged = (type === 'charged_fireball');
+        this.spell = options.spell || null;
+        this.power = options.power || 0;    // 0 (tapped) to 1 (fully charged)
         
         // Calculate direction to target
         const dx = targetX - x;
@@ -12,17 +19,19 @@ class ZeldaProjectile {
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         // Projectile properties (charged fireballs are bigger and slower)
-        this.speed = this.isCharged ? 200 : 300; // pixels per second
+        this.speed = definition.speed; // pixels per second
         this.velocityX = (dx / distance) * this.speed;
         this.velocityY = (dy / distance) * this.speed;
-        this.damage = this.isCharged ? 12 : 8; // Damage amount (reduced for multi-hit combat)
+        this.damage = definition.damage; // Damage amount (reduced for multi-hit combat)
         
         // Visual properties
-        this.size = this.isCharged ? 12 : 8;
+        this.size = definition.size;
+        this.colors = definition.colors;    // Inner to outer layers
+        this.trailColors = definition.trailColors;
         this.maxLifetime = 3000; // 3 seconds max
         this.lifetime = 0;
         this.active = true;
-        this.explosionRadius = this.isCharged ? 60 : 0; // Only charged fireballs explode
+        this.explosionRadius = definition.explosionRadius; // Only charged fireballs explode
         
         // Animation
         this.animationFrame = 0;
@@ -87,7 +96,7 @@ class ZeldaProjectile {
                 createFireTiles: true
             };
         } else {
-            console.log('💥 Fireball exploded!');
+            console.log(this.type === 'ice_bolt' ? '❄️ Ice bolt shattered!' : '💥 Fireball exploded!');
             return null;
         }
     }
@@ -117,8 +126,8 @@ class ZeldaProjectile {
             const pixelSize = Math.max(1, Math.floor(intensity * 3)); // 1-3 pixel trail
             
             // Pixelated trail particles
-            const colors = ['#ff0000', '#ff6b00', '#ffff00'];
-            const colorIndex = Math.min(2, Math.floor(intensity * colors.length));
+            const colors = this.trailColors;
+            const colorIndex = Math.min(colors.length - 1, Math.floor(intensity * colors.length));
             ctx.fillStyle = colors[colorIndex];
             
             // Draw small pixel squares instead of circles
@@ -156,22 +165,10 @@ class ZeldaProjectile {
         const startX = Math.floor(this.x - currentSize / 2);
         const startY = Math.floor(this.y - currentSize / 2);
         
-        // Draw pixelated fireball layers (charged fireballs have more layers)
-        if (this.isCharged) {
-            // Charged fireball - bigger and more intense
-            this.drawPixelLayer(ctx, startX, startY, currentSize, '#ffffff'); // White center
-            this.drawPixelLayer(ctx, startX - 1, startY - 1, currentSize + 2, '#ffff88'); // Bright yellow
-            this.drawPixelLayer(ctx, startX - 2, startY - 2, currentSize + 4, '#ffff00'); // Yellow layer
-            this.drawPixelLayer(ctx, startX - 3, startY - 3, currentSize + 6, '#ff8800'); // Orange layer
-            this.drawPixelLayer(ctx, startX - 4, startY - 4, currentSize + 8, '#ff4400'); // Dark orange
-            this.drawPixelLayer(ctx, startX - 5, startY - 5, currentSize + 10, '#ff0000'); // Red outer
-        } else {
-            // Normal fireball
-            this.drawPixelLayer(ctx, startX, startY, currentSize, '#ffffff'); // White center
-            this.drawPixelLayer(ctx, startX - 1, startY - 1, currentSize + 2, '#ffff00'); // Yellow layer
-            this.drawPixelLayer(ctx, startX - 2, startY - 2, currentSize + 4, '#ff6b00'); // Orange layer
-            this.drawPixelLayer(ctx, startX - 3, startY - 3, currentSize + 6, '#ff0000'); // Red outer
-        }
+        // Draw pixelated layers from the white center outward (charged fireballs have more layers)
+        this.colors.forEach((color, layer) => {
+            this.drawPixelLayer(ctx, startX - layer, startY - layer, currentSize + layer * 2, color);
+        });
         
         ctx.restore();
     }
@@ -208,4 +205,23 @@ class ZeldaProjectile {
         const targetSize = target.width || target.hitboxWidth || 24;
         return distance < (this.size + targetSize / 2);
     }
-}
\ No newline at end of file
+}
+
+// Look and feel of each projectile - speed in px/s, colors from the center outward
+ZeldaProjectile.TYPES = {
+    fireball: {
+        speed: 300, size: 8, damage: 8, explosionRadius: 0,
+        colors: ['#ffffff', '#ffff00', '#ff6b00', '#ff0000'],
+        trailColors: ['#ff0000', '#ff6b00', '#ffff00']
+    },
+    charged_fireball: {
+        speed: 200, size: 12, damage: 12, explosionRadius: 60,
+        colors: ['#ffffff', '#ffff88', '#ffff00', '#ff8800', '#ff4400', '#ff0000'],
+        trailColors: ['#ff0000', '#ff6b00', '#ffff00']
+    },
+    ice_bolt: {
+        speed: 260, size: 7, damage: 8, explosionRadius: 0,
+        colors: ['#ffffff', '#c8f1ff', '#7fd6ff', '#3a8fd6'],
+        trailColors: ['#3a8fd6', '#7fd6ff', '#ffffff']
+    }
+};
@@ -0,0 +1,248 @@
+/**
+ * Save Game Manager
+ *
+ * Handles writing and reading game progress to browser localStorage:
+ * - Multiple named save slots
+ * - Versioned save schema with a migration hook for older saves
+ * - Snapshot of player, inventory, objective progress, the last checkpoint and per-room state (collected items, defeated animals)
+ *
+ * The manager only deals with plain data. Each game object knows how to
+ * describe itself (getSaveData/getSaveState) and how to restore itself
+ * (loadSaveData/applySaveState), and ZeldaGame wires the two together.
+ */
+class SaveManager {
+    constructor(storage = null) {
+        // =====================================================
+        // STORAGE SETTINGS
+        // =====================================================
+        this.storage = storage || SaveManager.getDefaultStorage();  // localStorage (or a stand-in)
+        this.keyPrefix = 'llamaKnight.save.';                         // Prefix for every slot key
+        this.slotNames = ['Slot 1', 'Slot 2', 'Slot 3'];              // Slots offered by the slot menu
+
+        // =====================================================
+        // SCHEMA VERSIONING
+        // =====================================================
+        // Bump CURRENT_VERSION whenever the save layout changes and add a
+        // migration that upgrades a save from the previous version.
+        this.CURRENT_VERSION = 10;
+        this.migrations = {
+            // v2 added the coin wallet and shop transaction log to the inventory
+            1: (data) => {
+                data.inventory = data.inventory || {};
+                data.inventory.coins = data.inventory.coins || 0;
+                data.inventory.transactions = [];
+                return data;
+            },
+            // v3 added consumable stacks
+            2: (data) => {
+                data.inventory = data.inventory || {};
+                data.inventory.consumables = {};
+                return data;
+            },
+            // v4 saves equipped items by id (ItemRegistry) instead of their position in the inventory lists
+            3: (data) => {
+                const inventory = data.inventory = data.inventory || {};
+                inventory.currentWeapon = ['none', 'sword', 'staff'][inventory.currentWeaponIndex] || 'none';
+                inventory.currentArmor = ['none', 'knight'][inventory.currentArmorIndex] || 'none';
+                delete inventory.currentWeaponIndex;
+                delete inventory.currentArmorIndex;
+                return data;
+            },
+            // v5 added spells learnt from tomes
+            4: (data) => {
+                data.inventory = data.inventory || {};
+                data.inventory.knownSpells = ['fireball'];
+                data.inventory.currentSpell = 'fireball';
+                return data;
+            },
+            // v6 gave spells their own mana pool - full, with the max mana the player's level would have earned
+            5: (data) => {
+                const player = data.player = data.player || {};
+                player.maxMana = 100 + ((player.level || 1) - 1) * 10;
+                player.currentMana = player.maxMana;
+                return data;
+            },
+            // v7 added shields
+            6: (data) => {
+                data.inventory = data.inventory || {};
+                data.inventory.collectedShields = ['none'];
+                data.inventory.currentShield = 'none';
+                return data;
+            },
+            // v8 added adventure objectives - older saves start them over
+            7: (data) => {
+                data.objectives = null;
+                return data;
+            },
+            // v9 remembers the last checkpoint - older saves respawn where they were saved
+            8: (data) => {
+                data.checkpoint = null;
+                return data;
+            },
+            // v10 saves collected room items by type and tile instead of their position in the room's item list
+            9: (data) => {
+                for (const room of Object.values(data.rooms || {})) {
+                    room.collectedItemFlags = room.collectedItems || [];
+                    room.collectedItems = [];
+                }
+                return data;
+            }
+        };
+    }
+
+    static getDefaultStorage() {
+        try {
+            if (typeof window !== 'undefined' && window.localStorage) {
+                return window.localStorage;
+            }
+        } catch (error) {
+            console.warn('⚠️ localStorage not available (private mode?):', error);
+        }
+        return null;
+    }
+
+    isAvailable() {
+        return !!this.storage;
+    }
+
+    getSlotKey(slotName) {
+        return this.keyPrefix + slotName;
+    }
+
+    /**
+     * Build a save snapshot from the running game
+     * @param {ZeldaGame} game - Game instance with player, inventory and roomManager
+     * @returns {object} Plain data ready for JSON serialization
+     */
+    createSnapshot(game) {
+        const roomManager = game.roomManager;
+        const rooms = {};
+
+        // Only rooms that have been visited exist in the manager's cache
+        if (roomManager) {
+            for (const [roomName, room] of roomManager.rooms) {
+                if (room.getSaveState) {
+                    rooms[roomName] = room.getSaveState();
+                }
+            }
+        }
+
+        return {
+            version: this.CURRENT_VERSION,
+            savedAt: new Date().toISOString(),
+            currentRoom: game.gameMap ? game.gameMap.roomName : game.currentRoom,
+            player: game.player.getSaveData(),
+            inventory: game.inventory.getSaveData(),
+            objectives: game.objectives ? game.objectives.getSaveData() : null,
+            checkpoint: game.checkpoint,
+            rooms: rooms
+        };
+    }
+
+    /**
+     * Save the game into a named slot
+     * @returns {boolean} True when the save was written
+     */
+    save(slotName, game) {
+        if (!this.isAvailable()) {
+            console.error('❌ Cannot save - localStorage not available');
+            return false;
+        }
+        if (!game || !game.player || !game.inventory) {
+            console.error('❌ Cannot save - no game in progress');
+            return false;
+        }
+
+        try {
+            const snapshot = this.createSnapshot(game);
+            snapshot.slot = slotName;
+            this.storage.setItem(this.getSlotKey(slotName), JSON.stringify(snapshot));
+            console.log(`💾 Game saved to '${slotName}' (v${snapshot.version}, room: ${snapshot.currentRoom})`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to save game to '${slotName}':`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Read a save slot, migrating it to the current schema version
+     * @returns {object|null} Save data, or null if the slot is empty or unreadable
+     */
+    load(slotName) {
+        if (!this.isAvailable()) {
+            console.error('❌ Cannot load - localStorage not available');
+            return null;
+        }
+
+        const raw = this.storage.getItem(this.getSlotKey(slotName));
+        if (!raw) {
+            console.log(`📂 Save slot '${slotName}' is empty`);
+            return null;
+        }
+
+        try {
+            const data = this.migrate(JSON.parse(raw));
+            console.log(`📂 Loaded save '${slotName}' (room: ${data.currentRoom})`);
+            return data;
+        } catch (error) {
+            console.error(`❌ Failed to load save '${slotName}':`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Upgrade old save data one version at a time
+     */
+    migrate(data) {
+        if (!data || typeof data.version !== 'number') {
+            throw new Error('Save data has no schema version');
+        }
+        if (data.version > this.CURRENT_VERSION) {
+            throw new Error(`Save was made by a newer version of the game (v${data.version})`);
+        }
+
+        while (data.version < this.CURRENT_VERSION) {
+            const migration = this.migrations[data.version];
+            if (!migration) {
+                throw new Error(`No migration from save version ${data.version}`);
+            }
+            console.log(`🔄 Migrating save from v${data.version} to v${data.version + 1}`);
+            const fromVersion = data.version;
+            data = migration(data);
+            data.version = fromVersion + 1;
+        }
+
+        return data;
+    }
+
+    deleteSlot(slotName) {
+        if (!this.isAvailable()) return;
+        this.storage.removeItem(this.getSlotKey(slotName));
+        console.log(`🗑️ Deleted save slot '${slotName}'`);
+    }
+
+    /**
+     * Short summary of a slot for menus (without migrating the full save)
+     * @returns {object|null} { slot, savedAt, currentRoom, level } or null if empty
+     */
+    getSlotSummary(slotName) {
+        if (!this.isAvailable()) return null;
+
+        const raw = this.storage.getItem(this.getSlotKey(slotName));
+        if (!raw) return null;
+
+        try {
+            const data = JSON.parse(raw);
+            return {
+                slot: slotName,
+                savedAt: data.savedAt,
+                currentRoom: data.currentRoom,
+                level: data.player ? data.player.level : 1
+            };
+        } catch (error) {
+            console.warn(`⚠️ Save slot '${slotName}' is corrupted:`, error);
+            return { slot: slotName, corrupted: true };
+        }
+    }
+}
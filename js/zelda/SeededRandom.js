@@ -0,0 +1,42 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Math.random() can't be replayed, so anything whose outcome should be
+ * reproducible (loot drops) rolls with one of these instead. The same seed
+ * always gives the same sequence of numbers.
+ *
+ * Uses mulberry32 - tiny, fast and plenty random for a game.
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - Any number (only the low 32 bits are used)
+     */
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    // Restart the sequence from a new seed
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Next number in [0, 1) - a drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Whole number between min and max, both included
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Number between min (included) and max (excluded)
+    nextRange(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
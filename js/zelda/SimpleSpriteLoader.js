@@ -31,7 +31,8 @@ class SimpleSpriteLoader {
             'snake': 'assets/sprites/Retro RPG Series - Animal Wildlife/Snake.png',
             'snake_attack': 'assets/sprites/Retro RPG Series - Animal Wildlife/Snake_Attack.png',
             'beetle': 'assets/sprites/Retro RPG Series - Animal Wildlife/Beatle.png',
-            'beetle_attack': 'assets/sprites/Retro RPG Series - Animal Wildlife/Beatle_Attack.png'
+            'beetle_attack': 'assets/sprites/Retro RPG Series - Animal Wildlife/Beatle_Attack.png',
+            'beetle_slime_shot': 'assets/sprites/Retro RPG Series - Animal Wildlife/Beatle_Slime_Shot.png'
         };
     }
 
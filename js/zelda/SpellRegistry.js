@@ -0,0 +1,156 @@
+/**
+ * Spell Registry
+ *
+ * Every spell the magic staff can cast. The staff always knows the fireball;
+ * the rest are learnt from tomes (ItemRegistry items with pickup 'learn')
+ * found in rooms or bought from merchants. Q switches between known spells.
+ *
+ *   SpellRegistry.register({
+ *       id: 'ice_bolt',
+ *       name: 'Ice Bolt',
+ *       description: 'Slows what it hits - a full charge freezes it solid',
+ *       color: '#7fd6ff',                 // Staff glow, HUD and tome color
+ *       cost: 10, fullCost: 30,           // Mana for a quick cast / a full charge
+ *       chargeTime: 1200,                 // ms of holding to reach full power
+ *       curve: 'linear',                  // How power builds while charging, see CURVES
+ *       cast: 'projectile',               // What casting does - ZeldaGame.castSpell
+ *       stats: { damage: 14, fullDamage: 28 }
+ *   });
+ *
+ * Casting gets a power from 0 (tapped) to 1 (fully charged) and everything
+ * that scales - mana cost, damage, duration - goes from its quick value to
+ * its full one with it (see SpellRegistry.scale).
+ *
+ * Cast behaviours:
+ *   projectile  Shoots a ZeldaProjectile of the type stats.projectile (stats.fullProjectile at full power)
+ *   chain       Lightning that strikes the animal nearest the aim point and jumps on to others
+ *   ward        Healing circle on the ground around the caster
+ *   shield      Magic barrier that soaks up damage before armor
+ */
+class SpellRegistry {
+    /**
+     * Add a spell definition - invalid ones are warned about and skipped
+     * @returns {boolean} True if the spell was registered
+     */
+    static register(definition) {
+        if (!definition || typeof definition.id !== 'string') {
+            console.warn('⚠️ Spell needs a string id:', definition);
+            return false;
+        }
+        if (!SpellRegistry.CASTS.includes(definition.cast)) {
+            console.warn(`⚠️ Spell "${definition.id}" has unknown cast "${definition.cast}"`);
+            return false;
+        }
+        if (!SpellRegistry.CURVES[definition.curve]) {
+            console.warn(`⚠️ Spell "${definition.id}" has unknown charge curve "${definition.curve}"`);
+            return false;
+        }
+
+        // Spells are drawn with ItemRegistry.draw like items (inventory screen, HUD)
+        const spell = Object.assign({ description: '', color: '#ff6b00', sprite: { shape: 'book' }, stats: {} }, definition);
+        spell.fullCost = spell.fullCost !== undefined ? spell.fullCost : spell.cost;
+        SpellRegistry.spells.set(spell.id, spell);
+        return true;
+    }
+
+    static get(id) {
+        return SpellRegistry.spells.get(id) || null;
+    }
+
+    static has(id) {
+        return SpellRegistry.spells.has(id);
+    }
+
+    static getAll() {
+        return Array.from(SpellRegistry.spells.values());
+    }
+
+    /**
+     * Power of a cast after holding the button this long
+     * @returns {number} 0 for a tap up to 1 at full charge
+     */
+    static getPower(spell, chargeTime) {
+        const progress = Math.max(0, Math.min(1, chargeTime / spell.chargeTime));
+        return SpellRegistry.CURVES[spell.curve](progress);
+    }
+
+    // A value between its quick-cast and full-charge amounts
+    static scale(quick, full, power) {
+        return quick + (full - quick) * power;
+    }
+
+    static getCost(spell, power) {
+        return Math.round(SpellRegistry.scale(spell.cost, spell.fullCost, power));
+    }
+}
+
+SpellRegistry.CASTS = ['projectile', 'chain', 'ward', 'shield'];
+SpellRegistry.spells = new Map();               // id -> definition
+
+// Charge progress (0-1 of chargeTime held) -> power (0-1)
+SpellRegistry.CURVES = {
+    threshold: progress => progress >= 1 ? 1 : 0,               // All or nothing - only a full charge counts
+    linear: progress => progress,
+    easeIn: progress => progress * progress,                    // Slow start - worth holding to the end
+    easeOut: progress => 1 - (1 - progress) * (1 - progress)    // Most of the power comes early
+};
+
+SpellRegistry.register({
+    id: 'fireball',
+    name: 'Fireball',
+    description: 'Tap for a quick fireball, hold for one that explodes, sets the ground alight and leaves its targets burning',
+    color: '#ff6b00',
+    cost: 15, fullCost: 40,
+    chargeTime: 2000,
+    curve: 'threshold',
+    cast: 'projectile',
+    stats: { projectile: 'fireball', fullProjectile: 'charged_fireball' }
+});
+
+SpellRegistry.register({
+    id: 'ice_bolt',
+    name: 'Ice Bolt',
+    description: 'A shard of ice that slows what it hits - a full charge freezes it solid',
+    color: '#7fd6ff',
+    cost: 10, fullCost: 30,
+    chargeTime: 1200,
+    curve: 'linear',
+    cast: 'projectile',
+    stats: { projectile: 'ice_bolt', damage: 14, fullDamage: 28, slow: 2000, fullSlow: 4000, freeze: 2000 }
+});
+
+SpellRegistry.register({
+    id: 'chain_lightning',
+    name: 'Chain Lightning',
+    description: 'Strikes the animal nearest your aim and jumps on to others nearby - hold longer for more jumps',
+    color: '#f7f06d',
+    cost: 20, fullCost: 45,
+    chargeTime: 1500,
+    curve: 'easeIn',
+    cast: 'chain',
+    stats: { damage: 18, fullDamage: 30, jumps: 2, fullJumps: 5, range: 140, jumpRange: 72, falloff: 0.8 }
+});
+
+SpellRegistry.register({
+    id: 'healing_ward',
+    name: 'Healing Ward',
+    description: 'A circle of light at your feet that heals you while you stand in it',
+    color: '#6fe39a',
+    cost: 25, fullCost: 40,
+    chargeTime: 1000,
+    curve: 'easeOut',
+    cast: 'ward',
+    stats: { radius: 36, duration: 4000, fullDuration: 8000, heal: 4, interval: 500 }
+});
+
+SpellRegistry.register({
+    id: 'shield',
+    name: 'Arcane Shield',
+    description: 'A barrier that soaks up damage for a while before your armor has to',
+    color: '#8f7bff',
+    cost: 20, fullCost: 40,
+    chargeTime: 1000,
+    curve: 'linear',
+    cast: 'shield',
+    stats: { absorb: 20, fullAbsorb: 60, duration: 10000 }
+});
@@ -0,0 +1,317 @@
+/**
+ * Status Effects Component
+ *
+ * Effects that last a while, shared by the player and every enemy:
+ * - burn, poison: damage every tick (ignores invulnerability, no knockback)
+ * - regen: healing every tick
+ * - slow, freeze: movement speed multiplier - frozen owners can't act at all
+ *
+ * Owners create one in their constructor with callbacks for what a tick
+ * does to them, call update() every step and multiply their movement speed
+ * by getSpeedMultiplier():
+ *
+ *   this.statusEffects = new StatusEffects(this, {
+ *       onDamage: (amount, effect) => ...,     // burn / poison tick
+ *       onHeal: (amount, effect) => ...,       // regen tick
+ *       isImmune: (type) => ...                // true to shrug an effect off
+ *   });
+ *
+ * Effects start from the StatusEffects.TYPES definition, and whatever applies
+ * them can tune the numbers:
+ *
+ *   target.statusEffects.apply('poison', { tickDamage: 3, duration: 5000 }, snake);
+ *
+ * Applying an effect the owner already has follows the type's stacking rule:
+ *   refresh  Duration starts over, the stronger tick/slow of the two is kept
+ *   stack    Adds a stack (up to maxStacks) and starts the duration over - ticks hit once per stack
+ *   replace  The new application throws the old one away
+ *   extend   Adds the new duration onto what's left
+ */
+class StatusEffects {
+    /**
+     * @param {object} owner - Entity the effects are on
+     * @param {object} options - { onDamage, onHeal, isImmune } callbacks (see above)
+     */
+    constructor(owner, options = {}) {
+        this.owner = owner;
+        this.onDamage = options.onDamage || null;
+        this.onHeal = options.onHeal || null;
+        this.isImmune = options.isImmune || null;
+        this.effects = new Map();           // type -> { type, definition, duration, remaining, tickTimer, stacks, source }
+    }
+
+    /**
+     * Put an effect on the owner (or stack / refresh the one already there)
+     * @param {string} type - Key into StatusEffects.TYPES
+     * @param {object} overrides - Numbers to use instead of the type's defaults
+     * @param {object} source - Who caused it (credited for kills)
+     * @returns {object|null} The active effect, null if unknown or the owner is immune
+     */
+    apply(type, overrides = {}, source = null) {
+        const base = StatusEffects.TYPES[type];
+        if (!base) {
+            console.warn(`⚠️ Unknown status effect "${type}"`);
+            return null;
+        }
+        if (this.isImmune && this.isImmune(type)) return null;
+
+        const definition = Object.assign({}, base, overrides, { type: type });
+
+        // Opposites put each other out (burning thaws, freezing puts out flames)
+        for (const cancelled of (definition.cancels || [])) {
+            this.remove(cancelled);
+        }
+
+        const existing = this.effects.get(type);
+        if (existing && definition.stacking !== 'replace') {
+            this.combine(existing, definition);
+            existing.source = source || existing.source;
+            return existing;
+        }
+
+        const effect = {
+            type: type,
+            definition: definition,
+            duration: definition.duration,
+            remaining: definition.duration,
+            tickTimer: 0,
+            stacks: 1,
+            source: source
+        };
+        this.effects.set(type, effect);
+        console.log(`${definition.emoji} ${this.getOwnerName()} is ${definition.verb} for ${Math.round(definition.duration / 1000)}s`);
+        return effect;
+    }
+
+    // Re-application of an effect the owner already has
+    combine(effect, definition) {
+        const current = effect.definition;
+
+        switch (definition.stacking) {
+            case 'stack':
+                effect.stacks = Math.min(effect.stacks + 1, definition.maxStacks || 1);
+                effect.duration = effect.remaining = Math.max(effect.remaining, definition.duration);
+                break;
+            case 'extend':
+                effect.remaining += definition.duration;
+                effect.duration = effect.remaining;
+                break;
+            default:    // refresh
+                effect.duration = effect.remaining = Math.max(effect.remaining, definition.duration);
+                current.tickDamage = Math.max(current.tickDamage || 0, definition.tickDamage || 0);
+                current.tickHeal = Math.max(current.tickHeal || 0, definition.tickHeal || 0);
+                current.speedMultiplier = Math.min(current.speedMultiplier, definition.speedMultiplier);
+                break;
+        }
+    }
+
+    // Remove an effect early (antidotes, fire resistance) - false if it wasn't there
+    remove(type) {
+        if (!this.effects.delete(type)) return false;
+        console.log(`✨ ${this.getOwnerName()} is no longer ${StatusEffects.TYPES[type].verb}`);
+        return true;
+    }
+
+    clear() {
+        this.effects.clear();
+    }
+
+    has(type) {
+        return this.effects.has(type);
+    }
+
+    get(type) {
+        return this.effects.get(type) || null;
+    }
+
+    // Active effects, in the order they were applied
+    getActive() {
+        return Array.from(this.effects.values());
+    }
+
+    // Every active slow multiplied together - 0 while frozen
+    getSpeedMultiplier() {
+        let multiplier = 1;
+        for (const effect of this.effects.values()) {
+            multiplier *= effect.definition.speedMultiplier;
+        }
+        return multiplier;
+    }
+
+    // True while an effect stops the owner from attacking, dashing or thinking (freeze)
+    isActionBlocked() {
+        for (const effect of this.effects.values()) {
+            if (effect.definition.stopsActions) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Count effects down and run their ticks
+     * Ticks land every `interval` ms while the effect lasts, the last one as it runs out.
+     */
+    update(deltaTime) {
+        for (const [type, effect] of this.effects) {
+            const definition = effect.definition;
+            const elapsed = Math.min(deltaTime, effect.remaining);
+            effect.remaining -= deltaTime;
+
+            if (definition.interval) {
+                effect.tickTimer += elapsed;
+                // A hair of slack so float drift from fractional steps can't swallow the last tick
+                while (effect.tickTimer >= definition.interval - 0.001 && this.effects.get(type) === effect) {
+                    effect.tickTimer -= definition.interval;
+                    this.tick(effect);
+                }
+            }
+
+            // A tick can clear everything (the owner died) - don't remove a newer effect of this type
+            if (effect.remaining <= 0 && this.effects.get(type) === effect) {
+                this.effects.delete(type);
+            }
+        }
+    }
+
+    tick(effect) {
+        const definition = effect.definition;
+        if (definition.tickDamage && this.onDamage) {
+            this.onDamage(definition.tickDamage * effect.stacks, effect);
+        }
+        if (definition.tickHeal && this.onHeal) {
+            this.onHeal(definition.tickHeal * effect.stacks, effect);
+        }
+    }
+
+    getOwnerName() {
+        return this.owner ? this.owner.constructor.name : 'Something';
+    }
+
+    /**
+     * Small icons in a row, centred above the owner (world or screen pixels)
+     * @param {number} centerX - Middle of the row
+     * @param {number} bottomY - Bottom edge of the icons
+     */
+    renderIcons(ctx, centerX, bottomY, size = StatusEffects.OVERHEAD_ICON_SIZE) {
+        const effects = this.getActive();
+        if (effects.length === 0) return;
+
+        const gap = 1;
+        const rowWidth = effects.length * size + (effects.length - 1) * gap;
+        let x = centerX - rowWidth / 2;
+        for (const effect of effects) {
+            StatusEffects.drawIcon(ctx, effect, x, bottomY - size, size);
+            x += size + gap;
+        }
+    }
+
+    /**
+     * Draw one effect's icon - a dark tile with its symbol, the time left
+     * shaded down from the top and the stack count in the corner
+     */
+    static drawIcon(ctx, effect, x, y, size) {
+        const definition = effect.definition;
+        const centerX = x + size / 2;
+        const centerY = y + size / 2;
+        const unit = size / 8;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, size, size);
+
+        ctx.fillStyle = definition.color;
+        ctx.strokeStyle = definition.color;
+        ctx.lineWidth = Math.max(1, unit * 0.8);
+        switch (definition.icon) {
+            case 'flame':
+                ctx.beginPath();
+                ctx.moveTo(centerX, y + unit);
+                ctx.quadraticCurveTo(x + unit * 7, centerY + unit, centerX, y + unit * 7);
+                ctx.quadraticCurveTo(x + unit, centerY + unit, centerX, y + unit);
+                ctx.fill();
+                break;
+            case 'drop':
+                ctx.beginPath();
+                ctx.moveTo(centerX, y + unit);
+                ctx.lineTo(x + unit * 6, centerY + unit);
+                ctx.arc(centerX, centerY + unit, unit * 2, 0, Math.PI);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'chevron':
+                // Pointing down - slower
+                ctx.beginPath();
+                ctx.moveTo(x + unit * 2, y + unit * 2);
+                ctx.lineTo(centerX, y + unit * 4);
+                ctx.lineTo(x + unit * 6, y + unit * 2);
+                ctx.moveTo(x + unit * 2, y + unit * 4.5);
+                ctx.lineTo(centerX, y + unit * 6.5);
+                ctx.lineTo(x + unit * 6, y + unit * 4.5);
+                ctx.stroke();
+                break;
+            case 'snowflake':
+                ctx.beginPath();
+                for (let i = 0; i < 3; i++) {
+                    const angle = i * Math.PI / 3;
+                    ctx.moveTo(centerX - Math.cos(angle) * unit * 3, centerY - Math.sin(angle) * unit * 3);
+                    ctx.lineTo(centerX + Math.cos(angle) * unit * 3, centerY + Math.sin(angle) * unit * 3);
+                }
+                ctx.stroke();
+                break;
+            case 'plus':
+                ctx.fillRect(centerX - unit, y + unit * 1.5, unit * 2, unit * 5);
+                ctx.fillRect(x + unit * 1.5, centerY - unit, unit * 5, unit * 2);
+                break;
+        }
+
+        // Time used up shades the icon from the top
+        const used = effect.duration > 0 ? 1 - Math.max(0, effect.remaining) / effect.duration : 1;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(x, y, size, size * used);
+
+        ctx.strokeStyle = definition.color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+
+        if (effect.stacks > 1) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `bold ${Math.max(6, Math.round(size * 0.45))}px Arial`;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`${effect.stacks}`, x + size - 1, y + size);
+        }
+        ctx.restore();
+    }
+}
+
+StatusEffects.OVERHEAD_ICON_SIZE = 7;   // Icons over heads, in world pixels
+StatusEffects.HUD_ICON_SIZE = 24;       // Player's effects in the HUD, in screen pixels
+
+// Every effect: duration and interval in ms, tickDamage/tickHeal per interval,
+// speedMultiplier on movement, stacking rule (see top of file)
+StatusEffects.TYPES = {
+    burn: {
+        name: 'Burning', verb: 'burning', emoji: '🔥', icon: 'flame', color: '#ff7a1a', tint: 'rgba(255, 110, 20, 0.3)',
+        duration: 3000, interval: 500, tickDamage: 4, speedMultiplier: 1,
+        stacking: 'refresh', cancels: ['freeze']
+    },
+    poison: {
+        name: 'Poisoned', verb: 'poisoned', emoji: '🐍', icon: 'drop', color: '#6fdc3c', tint: 'rgba(80, 200, 60, 0.3)',
+        duration: 5000, interval: 1000, tickDamage: 3, speedMultiplier: 1,
+        stacking: 'stack', maxStacks: 3
+    },
+    slow: {
+        name: 'Slowed', verb: 'slowed', emoji: '🐌', icon: 'chevron', color: '#a0a0ff', tint: 'rgba(120, 120, 255, 0.2)',
+        duration: 3000, speedMultiplier: 0.5,
+        stacking: 'refresh'
+    },
+    freeze: {
+        name: 'Frozen', verb: 'frozen', emoji: '🧊', icon: 'snowflake', color: '#9be7ff', tint: 'rgba(150, 220, 255, 0.45)',
+        duration: 1500, speedMultiplier: 0, stopsActions: true,
+        stacking: 'refresh', cancels: ['burn']
+    },
+    regen: {
+        name: 'Regenerating', verb: 'regenerating', emoji: '💚', icon: 'plus', color: '#ff6f91', tint: null,
+        duration: 5000, interval: 1000, tickHeal: 5, speedMultiplier: 1,
+        stacking: 'extend'
+    }
+};
@@ -0,0 +1,222 @@
+/**
+ * Alpha Wolf Boss
+ *
+ * Leader of the forest pack, waiting in the wolf den (see Boss.js for the
+ * fight script). A big, fast wolf that calls the pack in to help:
+ * - The Hunt: bites, and howls now and then to summon two wolves
+ * - Blood Howl (60% health): a shockwave that throws the player back, then
+ *   faster bites and a leaping lunge between howls
+ * - Last Stand (25% health): even faster, lunges more often, and its howl
+ *   slows the player with fear while three wolves answer
+ *
+ * The lunge is telegraphed by a short crouch and can be parried like a bite.
+ * When it dies, the wolves it summoned run off (BossEncounter).
+ */
+class AlphaWolf extends Boss {
+    static get behaviour() {
+        const states = Boss.bossStates(Enemy.standardStates());
+
+        // Specials take priority over biting
+        states.chasing.transitions = [
+            { to: 'howling', when: 'specialReady', special: 'howl' },
+            { to: 'crouching', when: ['specialReady', (wolf, context) => context.distance > wolf.lungeMinDistance], special: 'lunge' },
+            { to: 'searching', when: 'playerLost' },
+            { to: 'attacking', when: 'inAttackRange' }
+        ];
+
+        states.howling = {
+            moving: false,
+            roar: true,
+            onEnter: 'startHowl',
+            transitions: [
+                { to: 'chasing', when: 'stateTime', after: 900 }
+            ],
+            action: 'howl'
+        };
+
+        states.crouching = {
+            moving: false,
+            onEnter: 'startLunge',
+            transitions: [
+                { to: 'lunging', when: 'stateTime', after: 450 }      // The tell before the leap
+            ],
+            action: 'aimLunge'
+        };
+
+        states.lunging = {
+            moving: true,
+            speed: 'lunge',
+            rowOffset: 8,                    // Sprinting rows
+            onEnter: 'lockLungeDirection',
+            onBlocked: 'recovering',
+            transitions: [
+                { to: 'recovering', when: 'stateTime', after: 400 }
+            ],
+            action: 'lungeForward'
+        };
+
+        states.recovering = {
+            moving: false,
+            transitions: [
+                { to: 'chasing', when: 'stateTime', after: 700 }      // Landed - the window to hit back
+            ]
+        };
+
+        return {
+            sprites: { key: 'wolf', layout: { cols: 4, rows: 14 }, attackLayout: { cols: 4, rows: 4 } },
+            stats: { health: 600, attackDamage: 30, xpReward: 500, attackRange: 44, attackCooldown: 1200 },
+            speeds: { wander: 48, chase: 80, lunge: 240 },
+            detectionRange: 400,             // Sees the whole den
+            senses: { visionAngle: 360, awarenessRange: 400 },
+            collisionSize: 32,
+            hitReaction: { stun: 0, invulnerability: 150, knockbackResistance: 0.8 },
+            attack: { frames: 4, frameSpeed: 90, damageFrame: 2 },
+            loot: {
+                rolls: 3,
+                entries: [
+                    { type: 'coin', weight: 50, amount: [8, 15] },
+                    { type: 'health_potion', weight: 20 },
+                    { type: 'mana_potion', weight: 20 },
+                    { type: 'heart', weight: 10, amount: [2, 3] }
+                ]
+            },
+            boss: {
+                name: 'Alpha Wolf',
+                title: 'Pack Leader of the Forest',
+                intro: { duration: 2500, text: 'The pack answers to one wolf.' },
+                outro: { duration: 3500, text: 'The Alpha falls and the pack scatters!' },
+                phases: [
+                    { name: 'The Hunt', health: 1, specials: { howl: 9000 }, summon: 2 },
+                    { name: 'Blood Howl', health: 0.6, speeds: { chase: 96 }, attackCooldown: 950, specials: { howl: 8000, lunge: 4000 }, summon: 2 },
+                    { name: 'Last Stand', health: 0.25, speeds: { chase: 110, lunge: 280 }, attackCooldown: 750, specials: { howl: 7000, lunge: 2500 }, summon: 3, fearRadius: 120 }
+                ]
+            },
+            initialState: 'dormant',
+            states: states
+        };
+    }
+
+    constructor(x, y, spriteLoader, options = {}) {
+        super(x, y, spriteLoader, options);
+        this.scale = options.scale || 1.6;
+
+        // === PACK ===
+        this.maxSummons = 4;                 // Wolves it keeps around at most
+        this.summonRadius = 48;              // How far from the Alpha they appear (px)
+
+        // === LUNGE ===
+        this.lungeMinDistance = 48;          // Too close to leap - just bite
+        this.lungeDamage = Math.floor(this.attackDamage * 1.3);
+        this.lungeKnockback = 260;
+        this.lungeVector = { x: 0, y: 0 };
+        this.lungeHit = false;
+
+        // === HOWL ===
+        this.howled = false;
+        this.shockwaveRadius = 72;           // Blood Howl throws the player back from this close
+        this.shockwaveKnockback = 300;
+    }
+
+    // ==========================================
+    // HOWL - summon the pack (and frighten the player in the last phase)
+    // ==========================================
+
+    startHowl() {
+        this.useSpecial('howl');
+        this.howled = false;
+        console.log('🐺 The Alpha Wolf howls!');
+    }
+
+    howl(context) {
+        this.facePlayerAction(context);
+        if (this.howled || this.stateTimer < 400) return;
+        this.howled = true;
+
+        const phase = this.getPhase();
+        this.summonPack(context, phase.summon || 0);
+        if (phase.fearRadius && context.distance <= phase.fearRadius && context.player.statusEffects) {
+            context.player.statusEffects.apply('slow', { duration: 2500 }, this);
+            console.log('😱 The howl chills the player to the bone!');
+        }
+    }
+
+    /**
+     * Call wolves in around the Alpha - they come in already chasing
+     * @param {number} count - Wolves wanted (capped by maxSummons alive at once)
+     */
+    summonPack(context, count) {
+        const room = context.gameMap;
+        if (!room || !room.animals || typeof Wolf === 'undefined') return;
+
+        const alive = room.animals.filter(animal => animal.summoner === this && !animal.isDead).length;
+        const wanted = Math.min(count, this.maxSummons - alive);
+        let summoned = 0;
+        for (let i = 0; i < 8 && summoned < wanted; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            const x = this.x + Math.cos(angle) * this.summonRadius;
+            const y = this.y + Math.sin(angle) * this.summonRadius;
+            if (!this.canStandAt(x, y, room)) continue;
+
+            const wolf = new Wolf(x, y, this.spriteLoader, { health: 60, xpReward: 20 });
+            wolf.summoner = this;
+            wolf.detectionRange = this.detectionRange;
+            wolf.lastKnownPosition = { x: context.player.x, y: context.player.y };
+            wolf.setState('chasing');
+            room.animals.push(wolf);
+            summoned++;
+        }
+        if (summoned > 0) {
+            console.log(`🐺 ${summoned} wolves answer the call`);
+        }
+    }
+
+    // Blood Howl and Last Stand open with a howl; Blood Howl also blows the player back
+    onPhaseChange(phase, context) {
+        if (this.phaseIndex === 1 && context.distance <= this.shockwaveRadius && context.player.hitReaction) {
+            context.player.hitReaction.applyKnockback(this.x, this.y, this.shockwaveKnockback);
+        }
+        this.summonPack(context, phase.summon || 0);
+    }
+
+    // ==========================================
+    // LUNGE - crouch, then leap at where the player was
+    // ==========================================
+
+    startLunge() {
+        this.useSpecial('lunge');
+        console.log('🐺 The Alpha Wolf crouches to leap!');
+    }
+
+    aimLunge(context) {
+        this.facePlayerAction(context);
+        this.lungeTarget = { x: context.player.x, y: context.player.y };
+    }
+
+    lockLungeDirection() {
+        const target = this.lungeTarget || { x: this.x, y: this.y + 1 };
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        this.lungeVector = { x: dx / distance, y: dy / distance };
+        this.lungeHit = false;
+    }
+
+    lungeForward(context) {
+        const step = this.getStep(context.deltaTime);
+        this.x += this.lungeVector.x * step;
+        this.y += this.lungeVector.y * step;
+
+        if (!this.lungeHit && this.getDistanceToPlayer(context.player) <= this.attackRange * 0.75) {
+            this.lungeHit = true;
+            if (context.player.takeDamage) {
+                console.log(`🐺 Alpha Wolf lunge hits player for ${this.lungeDamage} damage!`);
+                context.player.takeDamage(this.lungeDamage, this.x, this.y, this.lungeKnockback, this);
+            }
+            // A parried lunge leaves it staggered rather than recovering
+            if (!this.hitReaction.isStunned()) {
+                this.setState('recovering');
+            }
+        }
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Bear Enemy Class
+ *
+ * Slow, tanky charger:
+ * - Lots of health and heavy hits, but lumbers around slowly
+ * - Spots the player from further away (5 tiles)
+ * - Winds up, then charges in a straight line at high speed
+ * - Charge ends on contact, on hitting an obstacle or after a short time
+ * - Needs a breather after every charge - the window to hit back
+ */
+class Bear extends Enemy {
+    static get behaviour() {
+        const states = Enemy.standardStates();
+
+        // Charge whenever there's room to, otherwise lumber in and swipe
+        states.chasing.transitions = [
+            { to: 'searching', when: 'playerLost' },
+            { to: 'winding_up', when: (bear, context) => bear.canCharge(context) },
+            { to: 'attacking', when: 'inAttackRange' }
+        ];
+
+        states.winding_up = {
+            moving: false,
+            onEnter: 'announceCharge',
+            transitions: [
+                { to: 'charging', when: 'stateTime', after: 600 }     // Warning before the charge
+            ],
+            action: 'faceForCharge'
+        };
+
+        states.charging = {
+            moving: true,
+            speed: 'charge',
+            rowOffset: 8,                    // Sprinting rows
+            onEnter: 'lockChargeDirection',
+            onBlocked: 'recovering',         // Charges stop dead at obstacles
+            transitions: [
+                { to: 'recovering', when: 'stateTime', after: 900 }   // Longest a charge can last
+            ],
+            action: 'chargeForward'
+        };
+
+        states.recovering = {
+            moving: false,
+            transitions: [
+                { to: 'chasing', when: 'stateTime', after: 1200 }     // Rest after a charge
+            ]
+        };
+
+        return {
+            sprites: { key: 'bear', layout: { cols: 4, rows: 14 }, attackLayout: { cols: 4, rows: 4 } },
+            stats: { health: 220, attackDamage: 35, xpReward: 120, attackRange: 32, attackCooldown: 1800 },
+            speeds: { wander: 24, chase: 36, charge: 180 },
+            detectionRange: 80,              // 5 tiles
+            collisionSize: 32,
+            hitReaction: { stun: 150, knockbackResistance: 0.6 },   // Hard to push around
+            attack: { frames: 4, frameSpeed: 100, damageFrame: 2 },
+            loot: {
+                rolls: 2,                    // Big animal, big drop
+                entries: [
+                    { type: 'coin', weight: 50, amount: [3, 6] },
+                    { type: 'heart', weight: 35, amount: [1, 2] },
+                    { type: 'health_potion', weight: 8 },
+                    { type: 'fire_resist_elixir', weight: 4 },
+                    { type: 'mana_potion', weight: 6 },
+                    { type: 'knight', weight: 3 },      // Rare
+                    { type: null, weight: 12 }
+                ]
+            },
+            initialState: 'idle',
+            states: states
+        };
+    }
+
+    constructor(x, y, spriteLoader, options = {}) {
+        super(x, y, spriteLoader, options);
+
+        // === CHARGE ATTACK ===
+        this.chargeMinDistance = 40;         // Too close to charge - just swipe instead
+        this.chargeCooldown = 3500;          // Time between charges
+        this.chargeCooldownTimer = 0;
+        this.chargeDamage = Math.floor(this.attackDamage * 1.2);
+        this.chargeKnockback = 320;          // Sends the player flying (px/s)
+        this.chargeVector = { x: 0, y: 0 };
+    }
+
+    updateAI(deltaTime, player, gameMap) {
+        if (this.chargeCooldownTimer > 0) {
+            this.chargeCooldownTimer -= deltaTime;
+        }
+
+        super.updateAI(deltaTime, player, gameMap);
+    }
+
+    canCharge(context) {
+        return this.chargeCooldownTimer <= 0 && context.distance > this.chargeMinDistance;
+    }
+
+    announceCharge() {
+        console.log('🐻 Bear rears up to charge!');
+    }
+
+    faceForCharge(context) {
+        this.facePlayer(context.player);
+        this.lastDirection = this.direction;
+        this.lastPlayerPosition = { x: context.player.x, y: context.player.y };
+    }
+
+    // Aim at where the player was at the end of the wind-up - no steering after this
+    lockChargeDirection() {
+        const target = this.lastPlayerPosition || { x: this.x, y: this.y + 1 };
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        this.chargeVector = { x: dx / distance, y: dy / distance };
+        this.chargeCooldownTimer = this.chargeCooldown;
+    }
+
+    chargeForward(context) {
+        const step = this.getStep(context.deltaTime);
+        this.x += this.chargeVector.x * step;
+        this.y += this.chargeVector.y * step;
+
+        // Ran into the player
+        if (this.getDistanceToPlayer(context.player) <= this.attackRange) {
+            if (context.player.takeDamage) {
+                console.log(`🐻 Bear charge hits player for ${this.chargeDamage} damage!`);
+                context.player.takeDamage(this.chargeDamage, this.x, this.y, this.chargeKnockback, this);
+            }
+            // A parried charge leaves the bear staggered rather than recovering
+            if (!this.hitReaction.isStunned()) {
+                this.setState('recovering');
+            }
+        }
+    }
+
+    render(ctx, camera = { x: 0, y: 0 }) {
+        super.render(ctx, camera);
+
+        // Telegraph the charge
+        if (this.state === 'winding_up' && !this.isDead) {
+            const screenX = this.x - camera.x;
+            const screenY = this.y - camera.y;
+
+            ctx.fillStyle = '#ff3300';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('!', screenX, screenY - 28 * this.scale);
+            ctx.textAlign = 'left';
+        }
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Beetle Enemy Class
+ *
+ * Ranged enemy:
+ * - Spots the player from 7 tiles away
+ * - Closes to shooting range, then spits slime shots (see SlimeShot.js)
+ * - Backs off when the player gets too close
+ * - Fragile - rush it down to win
+ */
+class Beetle extends Enemy {
+    static get behaviour() {
+        const states = Enemy.standardStates();
+
+        // Keep distance, and only start the spit animation when reloaded
+        states.chasing.transitions = [
+            { to: 'searching', when: 'playerLost' },
+            { to: 'retreating', when: 'playerWithin', range: 'retreatDistance' },
+            { to: 'attacking', when: ['inAttackRange', 'attackReady'] }
+        ];
+        states.chasing.action = 'chaseOrHold';
+
+        states.retreating = {
+            moving: true,
+            speed: 'chase',
+            transitions: [
+                { to: 'chasing', when: 'stateTime', after: 600 }      // Time spent backing away
+            ],
+            action: 'fleeFromPlayer'
+        };
+
+        return {
+            // Beatle.png - 4x14 layout, Beatle_Attack.png - 9x4 layout
+            sprites: { key: 'beetle', layout: { cols: 4, rows: 14 }, attackLayout: { cols: 9, rows: 4 } },
+            stats: { health: 60, attackDamage: 12, xpReward: 60, attackRange: 96, attackCooldown: 2200 },
+            speeds: { wander: 30, chase: 42 },
+            detectionRange: 112,             // 7 tiles
+            collisionSize: 16,
+            attack: {
+                frames: 9,
+                frameSpeed: 70,
+                damageFrame: 5,                                     // Shot leaves on frame 5
+                effect: { type: 'slow', duration: 2000 }            // Sticky slime - half speed for 2 seconds
+            },
+            loot: {
+                rolls: 1,
+                entries: [
+                    { type: 'coin', weight: 35, amount: [2, 4] },
+                    { type: 'stamina_orb', weight: 35 },
+                    { type: 'stamina_tonic', weight: 10 },
+                    { type: null, weight: 20 }
+                ]
+            },
+            initialState: 'idle',
+            states: states
+        };
+    }
+
+    constructor(x, y, spriteLoader, options = {}) {
+        super(x, y, spriteLoader, options);
+
+        this.retreatDistance = 40;           // Backs away when the player is closer than this
+        this.shots = [];                     // Slime shots in flight
+    }
+
+    update(deltaTime, player, gameMap) {
+        // Shots keep flying even after the beetle stops moving
+        this.updateShots(deltaTime, player, gameMap);
+
+        super.update(deltaTime, player, gameMap);
+    }
+
+    updateShots(deltaTime, player, gameMap) {
+        for (let i = this.shots.length - 1; i >= 0; i--) {
+            const shot = this.shots[i];
+            shot.update(deltaTime, player, gameMap);
+            if (!shot.active) {
+                this.shots.splice(i, 1);
+            }
+        }
+    }
+
+    // In range but still reloading - hold position and watch the player
+    chaseOrHold(context) {
+        if (context.distance <= this.attackRange) {
+            this.isMoving = false;
+            this.facePlayer(context.player);
+            this.lastDirection = this.direction;
+            return;
+        }
+
+        this.chasePlayer(context);
+    }
+
+    /**
+     * Spit a slime shot instead of biting
+     */
+    performAttack(player) {
+        if (!player) return;
+
+        const shot = new SlimeShot(this.x, this.y, player.x, player.y, this.spriteLoader, this.attackDamage, this.attackEffect);
+        this.shots.push(shot);
+        console.log('🪲 Beetle spits a slime shot!');
+    }
+
+    render(ctx, camera = { x: 0, y: 0 }) {
+        super.render(ctx, camera);
+
+        for (const shot of this.shots) {
+            shot.render(ctx, camera);
+        }
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * Boss Base Class
+ *
+ * An Enemy with a scripted fight on top of the normal state machine:
+ * - Waits 'dormant' until its BossEncounter starts the fight, then plays an
+ *   'intro' state before it attacks
+ * - Phases: when its health drops to a phase's threshold it stops for a
+ *   'phase_change' (a roar) and takes on that phase's speeds, attack
+ *   cooldown and special moves
+ * - Special moves are states of the subclass, each with a cooldown per
+ *   phase - transitions reach them with the 'specialReady' condition:
+ *   { to: 'howling', when: 'specialReady', special: 'howl' }
+ * - Can't be hurt in states marked `untouchable` (dormant, intro, phase change)
+ *   and isn't stunned by ordinary hits - only a parry staggers it
+ * - Its health is shown by the encounter's HUD bar, not over its head
+ *
+ * Subclasses add a `boss` section to their behaviour:
+ *
+ *   boss: {
+ *       name: 'Alpha Wolf', title: 'Pack Leader of the Forest',
+ *       intro: { duration: 2500, text: 'The pack answers to one wolf' },
+ *       outro: { duration: 3000, text: 'The pack scatters' },
+ *       phases: [
+ *           { name: 'The Hunt', health: 1, specials: { howl: 8000 } },
+ *           { name: 'Blood Howl', health: 0.6, speeds: { chase: 96 }, attackCooldown: 900, specials: { howl: 6000, lunge: 3500 } }
+ *       ]
+ *   }
+ *
+ * A phase starts once health / maxHealth is at or below its `health`. States
+ * marked `roar: true` draw shock rings around the boss.
+ */
+class Boss extends Enemy {
+    constructor(x, y, spriteLoader, options = {}) {
+        super(x, y, spriteLoader, options);
+
+        const boss = this.behaviour.boss;
+        this.bossName = boss.name;
+        this.bossTitle = boss.title || '';
+        this.intro = Object.assign({ duration: 2000, text: '' }, boss.intro);
+        this.outro = Object.assign({ duration: 3000, text: '' }, boss.outro);
+        this.phases = boss.phases;
+        this.phaseIndex = -1;
+        this.specialTimers = {};            // Special move -> ms until it can be used again
+        this.home = { x: x, y: y };         // Where it sleeps - and goes back to if the fight starts over
+        this.baseSpeeds = Object.assign({}, this.speeds);
+        this.baseAttackCooldown = this.attackCooldown;
+
+        this.enterPhase(0);
+    }
+
+    // How long the roar between phases lasts (ms)
+    static get PHASE_CHANGE_TIME() {
+        return 1500;
+    }
+
+    // The fight's states, added to a subclass's states
+    static bossStates(states) {
+        states.dormant = {
+            moving: false,
+            untouchable: true               // Left by startIntro() when the encounter begins
+        };
+        states.intro = {
+            moving: false,
+            untouchable: true,
+            roar: true,
+            onEnter: 'announce',
+            transitions: [
+                { to: 'chasing', when: 'introOver' }
+            ],
+            action: 'facePlayerAction'
+        };
+        states.phase_change = {
+            moving: false,
+            untouchable: true,
+            roar: true,
+            transitions: [
+                { to: 'chasing', when: 'stateTime', after: Boss.PHASE_CHANGE_TIME }
+            ],
+            action: 'phaseChangeAction'
+        };
+        return states;
+    }
+
+    getPhase() {
+        return this.phases[this.phaseIndex];
+    }
+
+    // Take on a phase's speeds, attack cooldown and special moves (anything it leaves out is the boss's own)
+    enterPhase(index) {
+        const phase = this.phases[index];
+        this.phaseIndex = index;
+        this.phaseActionDone = false;
+        Object.assign(this.speeds, this.baseSpeeds, phase.speeds || {});
+        this.attackCooldown = phase.attackCooldown || this.baseAttackCooldown;
+
+        // Every special waits one cooldown before its first use in the phase
+        this.specialTimers = {};
+        for (const [name, cooldown] of Object.entries(phase.specials || {})) {
+            this.specialTimers[name] = cooldown;
+        }
+    }
+
+    // Called by the BossEncounter when the player steps into the arena
+    startIntro(player) {
+        this.lastKnownPosition = { x: player.x, y: player.y };
+        this.setState('intro');
+    }
+
+    // Back to sleep at full health when the player falls and continues (BossEncounter.reset)
+    reset() {
+        this.x = this.home.x;
+        this.y = this.home.y;
+        this.health = this.maxHealth;
+        this.statusEffects.clear();
+        this.lastKnownPosition = null;
+        this.enterPhase(0);
+        this.setState('dormant');
+    }
+
+    announce() {
+        console.log(`👑 ${this.bossName}${this.bossTitle ? `, ${this.bossTitle}` : ''} appears!`);
+    }
+
+    facePlayerAction(context) {
+        this.facePlayer(context.player);
+        this.lastDirection = this.direction;
+    }
+
+    // Roar at the start of a phase, then whatever the subclass does for it (onPhaseChange)
+    phaseChangeAction(context) {
+        this.facePlayerAction(context);
+        if (!this.phaseActionDone && this.stateTimer >= Boss.PHASE_CHANGE_TIME / 3) {
+            this.phaseActionDone = true;
+            this.onPhaseChange(this.getPhase(), context);
+        }
+    }
+
+    // Override for phase change effects (summons, shockwaves...)
+    onPhaseChange(phase, context) {
+    }
+
+    isUntouchable() {
+        return !!(this.getStateDefinition() || {}).untouchable;
+    }
+
+    isSpecialReady(name) {
+        return this.specialTimers[name] !== undefined && this.specialTimers[name] <= 0;
+    }
+
+    // Start a special move's cooldown for the current phase
+    useSpecial(name) {
+        const specials = this.getPhase().specials || {};
+        this.specialTimers[name] = specials[name] || 0;
+    }
+
+    updateAI(deltaTime, player, gameMap) {
+        for (const name of Object.keys(this.specialTimers)) {
+            this.specialTimers[name] -= deltaTime;
+        }
+
+        // Next phase once health drops to its threshold - not in the middle of a roar
+        const next = this.phases[this.phaseIndex + 1];
+        if (next && !this.isUntouchable() && this.health / this.maxHealth <= next.health) {
+            this.enterPhase(this.phaseIndex + 1);
+            this.setState('phase_change');
+            console.log(`👑 ${this.bossName} enters phase ${this.phaseIndex + 1}: ${next.name}`);
+        }
+
+        super.updateAI(deltaTime, player, gameMap);
+    }
+
+    checkCondition(when, transition, context) {
+        if (when === 'specialReady') {
+            return this.isSpecialReady(transition.special);
+        }
+        if (when === 'introOver') {
+            return this.stateTimer >= this.intro.duration;
+        }
+        return super.checkCondition(when, transition, context);
+    }
+
+    // ==========================================
+    // DAMAGE - nothing gets through while untouchable
+    // ==========================================
+
+    hit(sourceX, sourceY, knockback) {
+        if (this.isUntouchable()) return false;
+        return super.hit(sourceX, sourceY, knockback);
+    }
+
+    takeBurnDamage(damage, player = null) {
+        if (this.isUntouchable()) return;
+        super.takeBurnDamage(damage, player);
+    }
+
+    takeEffectDamage(damage, effect) {
+        if (this.isUntouchable()) return;
+        super.takeEffectDamage(damage, effect);
+    }
+
+    stagger(sourceX, sourceY, duration = Enemy.PARRY_STUN) {
+        if (this.isUntouchable()) return;
+        super.stagger(sourceX, sourceY, duration);
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    render(ctx, camera = { x: 0, y: 0 }) {
+        super.render(ctx, camera);
+        if (this.isDead || !(this.getStateDefinition() || {}).roar) return;
+
+        // Shock rings rolling out while it roars
+        const screenX = this.x - camera.x;
+        const screenY = this.y - camera.y;
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        for (let i = 0; i < 3; i++) {
+            const ring = ((this.stateTimer / 600) + i / 3) % 1;
+            ctx.globalAlpha = (1 - ring) * 0.6;
+            ctx.beginPath();
+            ctx.arc(screenX, screenY, 16 + ring * 48 * this.scale, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // The encounter draws a boss's health on the HUD instead
+    renderHealthBar(ctx, screenX, barY) {
+    }
+}
@@ -0,0 +1,1169 @@
+/**
+ * Enemy Base Class
+ *
+ * Shared logic for every hostile animal:
+ * - Sprite sheet loading (normal + attack sheets) and sprite row selection
+ * - Behaviour state machine driven by a declarative definition
+ * - Melee attacks that land on a specific animation frame, with cooldown
+ * - Damage from sword, fireballs and fire tiles (scaled by player level)
+ * - XP and loot drops on death, health bar and debug rendering
+ *
+ * Subclasses describe themselves with a static `behaviour` getter and only
+ * add methods for the actions their states need (see Wolf.js for the
+ * simplest case):
+ *
+ *   static get behaviour() {
+ *       return {
+ *           sprites: { key: 'wolf', layout: { cols: 4, rows: 14 }, attackLayout: { cols: 4, rows: 4 } },
+ *           stats: { health: 100, attackDamage: 25, xpReward: 50, attackRange: 48, attackCooldown: 1200 },
+ *           speeds: { wander: 48, chase: 72 },
+ *           detectionRange: 48,
+ *           attack: { frames: 4, frameSpeed: 100, damageFrame: 2 },
+ *           initialState: 'idle',
+ *           states: Enemy.standardStates()
+ *       };
+ *   }
+ *
+ * Every state can declare:
+ *   moving      - isMoving while in the state (walk vs idle animation)
+ *   speed       - key into `speeds` to move at while in the state
+ *   attack      - true to use the attack sheet and attack animation
+ *   hidden      - true while the enemy is hidden (not drawn, not hittable)
+ *   rowOffset   - added to the sprite row (e.g. 8 for the sprint rows)
+ *   onEnter     - method called when the state starts
+ *   action      - method called every frame with the AI context
+ *   onBlocked   - state to switch to when movement hits an obstacle
+ *   transitions - checked in order before the action, first match wins
+ *
+ * Enemies notice the player by sight and sound. Sight needs the player inside
+ * detectionRange, inside the vision cone (or within awarenessRange) and an
+ * unblocked line of sight - trees and bushes hide the player. Dashes and
+ * explosions make noise (Game.makeNoise) that sends idle enemies to search
+ * where it came from. Optional `senses: { visionAngle, awarenessRange, hearing }`
+ * in the behaviour tunes this per animal.
+ *
+ * Hits go through a HitReaction: knockback, a short hit-stun (the shared
+ * 'stunned' state, which cuts attacks off), brief invulnerability and a white
+ * flash. Optional `hitReaction: { stun, invulnerability, knockbackResistance }`
+ * in the behaviour tunes it - heavy animals shrug knockback off.
+ *
+ * Status effects (burn, poison, slow, freeze, regen - see StatusEffects.js)
+ * tick on enemies just like on the player: charged fireballs set them
+ * burning, slows cut their speed and frozen enemies stop thinking. An
+ * attack can carry an effect of its own with attack.effect, e.g. the
+ * snake's { type: 'poison', tickDamage: 3, duration: 5000 }.
+ *
+ * Optional `loot` in the behaviour is a LootTable definition rolled when the
+ * enemy dies - the room drops the results on the ground. Room files can
+ * give a single spawn its own table with options.loot.
+ *
+ * A transition is { to, when, chance, ... }. `when` is a condition name
+ * (see checkCondition), an array of names that must all hold, or a
+ * function (enemy, context) => boolean. With `chance`, a matching
+ * transition only fires on a successful roll - otherwise the state timer
+ * restarts and the enemy stays put for another round.
+ */
+class Enemy {
+    constructor(x, y, spriteLoader, options = {}) {
+        const behaviour = this.constructor.behaviour;
+        const stats = behaviour.stats || {};
+        this.behaviour = behaviour;
+
+        // Position (world coordinates)
+        this.x = x;
+        this.y = y;
+        this.lastX = x;
+        this.lastY = y;
+
+        // === COMBAT STATS ===
+        this.maxHealth = options.health || stats.health || 100;
+        this.health = this.maxHealth;
+        this.attackDamage = options.attackDamage || stats.attackDamage || 10;   // Damage dealt to player
+        this.attackRange = stats.attackRange || 48;                             // Pixels
+        this.attackCooldown = stats.attackCooldown || 1200;                     // Milliseconds between attacks
+        this.attackCooldownTimer = 0;                                           // Milliseconds until the next attack can land
+        this.attackKnockback = stats.attackKnockback || 150;                    // How hard a bite shoves the player (px/s)
+        this.xpReward = options.xpReward || stats.xpReward || 25;               // XP given to player on death
+        this.scale = options.scale || 1.0;                                      // Size multiplier for rendering
+        const loot = options.loot || behaviour.loot;
+        this.lootTable = loot ? new LootTable(loot) : null;                     // What drops on death
+
+        // === MOVEMENT ===
+        this.detectionRange = behaviour.detectionRange || 48;   // Pixels
+        this.speeds = Object.assign({}, behaviour.speeds);      // Named speeds used by states (pixels per second)
+        this.speed = this.speeds.wander || 0;
+        this.collisionSize = behaviour.collisionSize || 32;     // Collision box size in pixels
+        this.direction = 'down';
+        this.lastDirection = 'down';
+        this.isMoving = false;
+
+        // === SENSES ===
+        const senses = behaviour.senses || {};
+        this.visionAngle = senses.visionAngle || 120;           // Field of view in degrees, centred on the facing direction
+        this.awarenessRange = senses.awarenessRange || 24;      // Notices the player this close whichever way it faces
+        this.hearing = senses.hearing || 1;                     // Multiplier on how far away noises are heard
+        this.lastKnownPosition = null;                          // Where the player was last seen or heard
+        this.heardNoise = null;                                 // Noise heard since the last AI update
+        this.searchLookTimer = 0;                               // Time until the next look around while searching
+        this.searchTime = 0;                                    // Time spent looking around at the last known position
+
+        // === HIT REACTIONS ===
+        const reaction = behaviour.hitReaction || {};
+        this.hitReaction = new HitReaction(this, {
+            invulnerability: reaction.invulnerability !== undefined ? reaction.invulnerability : 100,
+            stun: reaction.stun !== undefined ? reaction.stun : 300,
+            flash: 150,
+            knockbackResistance: reaction.knockbackResistance || 0
+        });
+
+        // === STATUS EFFECTS ===
+        this.statusEffects = new StatusEffects(this, {
+            onDamage: (amount, effect) => this.takeEffectDamage(amount, effect),
+            onHeal: (amount) => { this.health = Math.min(this.maxHealth, this.health + amount); }
+        });
+
+        // === PATHFINDING (see moveToward) ===
+        this.path = null;                   // Waypoints from the room's Pathfinder, null when walking straight
+        this.pathGoal = null;               // Target the current route was planned for
+        this.pathTimer = 0;                 // Time since the route was planned (ms)
+        this.repathInterval = 600;          // Re-plan at least this often (ms)
+
+        // === SPRITE SYSTEM ===
+        const sprites = behaviour.sprites;
+        this.spriteLoader = spriteLoader;
+        this.spriteKey = sprites.key;
+        this.spriteLayout = sprites.layout || { cols: 4, rows: 14 };
+        this.attackSpriteLayout = sprites.attackLayout || { cols: 4, rows: 4 };
+        this.rowMaps = behaviour.rows || Enemy.DEFAULT_ROWS;
+        this.normalSprite = null;
+        this.attackSprite = null;
+        this.frameWidth = 0;
+        this.frameHeight = 0;
+        this.spritesLoaded = false;
+
+        // === ANIMATION ===
+        this.animationFrame = 0;
+        this.animationTimer = 0;
+        this.animationSpeed = 150;
+
+        // === ATTACK ANIMATION ===
+        const attack = behaviour.attack || {};
+        this.attackAnimationFrames = attack.frames || 4;        // How many frames in attack animation
+        this.attackAnimationSpeed = attack.frameSpeed || 100;   // Milliseconds per attack frame
+        this.damageFrame = attack.damageFrame !== undefined ? attack.damageFrame : 2;  // Frame that deals damage
+        this.attackEffect = attack.effect || null;              // Optional status effect on hit: { type, ...overrides }
+        this.hasDealtDamage = false;                            // Track if damage was dealt this attack
+
+        // === AI STATE ===
+        this.state = behaviour.initialState || 'idle';
+        this.stateTimer = 0;
+        this.isDead = false;
+        this.isHidden = !!(this.getStateDefinition() || {}).hidden;
+
+        this.loadSprites();
+
+        console.log(`🐾 ${this.constructor.name} created at (${x}, ${y}) - HP: ${this.health}`);
+    }
+
+    // Screen angles (degrees) for each facing direction - y grows downward
+    static get DIRECTION_ANGLES() {
+        return { right: 0, down: 90, left: 180, up: -90 };
+    }
+
+    // Knockback starting speeds (px/s) - sword is for a 1x combo stage
+    static get SWORD_KNOCKBACK() {
+        return 180;
+    }
+
+    static get FIREBALL_KNOCKBACK() {
+        return 120;
+    }
+
+    // How long (ms) an animal reels after the player parries its attack, and how hard it's shoved back
+    static get PARRY_STUN() {
+        return 1200;
+    }
+
+    static get PARRY_KNOCKBACK() {
+        return 100;
+    }
+
+    // Animals are kept this far (pixels) from the room edge
+    static get ROOM_MARGIN() {
+        return 32;
+    }
+
+    // Sprite rows for sheets laid out like the Retro RPG animal pack
+    // Normal sheet rows 4-7: jogging, 8-11: sprinting, 12-13: dying
+    static get DEFAULT_ROWS() {
+        return {
+            normal: { right: 0, left: 1, down: 2, up: 3 },
+            attack: { right: 0, left: 1, down: 2, up: 3 }
+        };
+    }
+
+    /**
+     * Idle / wander / chase / bite - the wolf behaviour most animals start from
+     */
+    static standardStates() {
+        return {
+            idle: {
+                moving: false,
+                speed: 'wander',
+                transitions: [
+                    { to: 'chasing', when: 'playerDetected' },
+                    { to: 'searching', when: 'heardNoise' },
+                    { to: 'wandering', when: 'stateTime', after: 1500, jitter: 1500, chance: 0.7 }
+                ]
+            },
+            wandering: {
+                moving: true,
+                speed: 'wander',
+                onEnter: 'pickRandomDirection',
+                onBlocked: 'wandering',
+                transitions: [
+                    { to: 'chasing', when: 'playerDetected' },
+                    { to: 'searching', when: 'heardNoise' },
+                    { to: 'idle', when: 'stateTime', after: 2000, jitter: 2000 }
+                ],
+                action: 'moveInDirection'
+            },
+            chasing: {
+                moving: true,
+                speed: 'chase',
+                transitions: [
+                    { to: 'searching', when: 'playerLost' },
+                    { to: 'attacking', when: 'inAttackRange' }
+                ],
+                action: 'chasePlayer'
+            },
+            stunned: {
+                moving: false,                                              // Entered from hit() - cuts off attacks
+                transitions: [
+                    { to: 'chasing', when: ['stunOver', 'playerDetected'] },
+                    { to: 'searching', when: 'stunOver' }                   // Hit from somewhere it couldn't see
+                ]
+            },
+            searching: {
+                moving: true,
+                speed: 'wander',
+                onEnter: 'startSearch',
+                transitions: [
+                    { to: 'chasing', when: 'playerDetected' },
+                    { to: 'searching', when: 'heardNoise' },                 // Something new to check out
+                    { to: 'idle', when: 'searchTime', after: 3000 },         // Looked around, nothing there
+                    { to: 'idle', when: 'stateTime', after: 15000 }          // Give up
+                ],
+                action: 'searchLastKnownPosition'
+            },
+            attacking: {
+                moving: false,
+                attack: true,
+                transitions: [
+                    { to: 'chasing', when: 'outOfAttackRange' },
+                    { to: 'chasing', when: 'attackFinished' }
+                ],
+                action: 'meleeAttack'
+            }
+        };
+    }
+
+    loadSprites() {
+        try {
+            this.normalSprite = this.spriteLoader.getAnimal(this.spriteKey, false);
+            this.attackSprite = this.spriteLoader.getAnimal(this.spriteKey, true);
+
+            let normalLoaded = false;
+            let attackLoaded = false;
+
+            const checkBothLoaded = () => {
+                if (normalLoaded && attackLoaded) {
+                    this.calculateFrameDimensions();
+                }
+            };
+
+            if (this.normalSprite) {
+                if (this.normalSprite.complete) {
+                    normalLoaded = true;
+                    checkBothLoaded();
+                } else {
+                    this.normalSprite.onload = () => {
+                        normalLoaded = true;
+                        checkBothLoaded();
+                    };
+                }
+            }
+
+            if (this.attackSprite) {
+                if (this.attackSprite.complete) {
+                    attackLoaded = true;
+                    checkBothLoaded();
+                } else {
+                    this.attackSprite.onload = () => {
+                        attackLoaded = true;
+                        checkBothLoaded();
+                    };
+                }
+            }
+
+        } catch (error) {
+            console.error(`❌ Failed to load ${this.spriteKey} sprites:`, error);
+        }
+    }
+
+    calculateFrameDimensions() {
+        if (this.normalSprite && this.normalSprite.complete) {
+            this.spriteRows = this.spriteLayout.rows;
+            this.spriteCols = this.spriteLayout.cols;
+            this.frameWidth = Math.floor(this.normalSprite.width / this.spriteCols);
+            this.frameHeight = Math.floor(this.normalSprite.height / this.spriteRows);
+
+            console.log(`✅ ${this.spriteKey} sprites loaded: ${this.frameWidth}x${this.frameHeight} per frame`);
+        }
+
+        // Attack sheets usually have a different grid from the normal sheet
+        if (this.attackSprite && this.attackSprite.complete) {
+            this.attackSpriteRows = this.attackSpriteLayout.rows;
+            this.attackSpriteCols = this.attackSpriteLayout.cols;
+            this.attackFrameWidth = Math.floor(this.attackSprite.width / this.attackSpriteCols);
+            this.attackFrameHeight = Math.floor(this.attackSprite.height / this.attackSpriteRows);
+
+            console.log(`✅ ${this.spriteKey} attack sprites loaded: ${this.attackFrameWidth}x${this.attackFrameHeight} per frame (${this.attackSpriteCols}x${this.attackSpriteRows} grid)`);
+        }
+
+        this.spritesLoaded = true;
+    }
+
+    /**
+     * Main update method called each frame
+     * @param {number} deltaTime - Time since last frame (ms)
+     * @param {object} player - Player object with x, y, level, takeDamage(), gainXP()
+     * @param {object} gameMap - Room for collision detection
+     */
+    update(deltaTime, player, gameMap) {
+        if (this.isDead) {
+            return;
+        }
+
+        // Store previous position for collision handling
+        this.lastX = this.x;
+        this.lastY = this.y;
+
+        this.stateTimer += deltaTime;
+        if (this.attackCooldownTimer > 0) {
+            this.attackCooldownTimer -= deltaTime;
+        }
+
+        this.hitReaction.update(deltaTime, (x, y) => this.canStandAt(x, y, gameMap));
+        this.statusEffects.update(deltaTime);
+        if (this.isDead) return;   // Burnt or poisoned to death
+
+        // Frozen solid - no thinking and no animation until it thaws
+        if (!this.statusEffects.isActionBlocked()) {
+            this.updateAI(deltaTime, player, gameMap);
+            this.updateAnimation(deltaTime);
+        }
+        this.applyMovement(gameMap);
+
+        // Validate position
+        if (!isFinite(this.x) || !isFinite(this.y)) {
+            console.warn(`${this.constructor.name} position became invalid, resetting`);
+            this.x = this.lastX;
+            this.y = this.lastY;
+        }
+    }
+
+    // ==========================================
+    // BEHAVIOUR STATE MACHINE
+    // ==========================================
+
+    getStateDefinition(state = this.state) {
+        return this.behaviour.states[state];
+    }
+
+    /**
+     * Run the current state: apply its settings, check transitions, then run its action
+     */
+    updateAI(deltaTime, player, gameMap) {
+        if (!player) return;
+
+        const stateDef = this.getStateDefinition();
+        if (!stateDef) return;
+
+        const distance = this.getDistanceToPlayer(player);
+        const context = {
+            deltaTime: deltaTime,
+            player: player,
+            gameMap: gameMap,
+            distance: distance,             // Pixels
+            tileDistance: distance / 16     // Tiles
+        };
+        context.canSeePlayer = this.canSeePlayer(context);
+        if (context.canSeePlayer) {
+            this.lastKnownPosition = { x: player.x, y: player.y };
+        }
+
+        if (stateDef.moving !== undefined) {
+            this.isMoving = stateDef.moving;
+        }
+        if (stateDef.speed) {
+            this.speed = this.speeds[stateDef.speed];
+        }
+
+        this.runState(stateDef, context);
+
+        // Noises only count for the update right after they were heard
+        this.heardNoise = null;
+    }
+
+    runState(stateDef, context) {
+        for (const transition of (stateDef.transitions || [])) {
+            if (!this.checkCondition(transition.when, transition, context)) continue;
+
+            if (transition.chance !== undefined && Math.random() >= transition.chance) {
+                // Failed the roll - wait another round
+                this.stateTimer = 0;
+                return;
+            }
+
+            this.setState(transition.to);
+            return;
+        }
+
+        if (stateDef.action) {
+            this[stateDef.action](context);
+        }
+    }
+
+    /**
+     * Evaluate a transition condition
+     * @param {string|Array|function} when - Condition name, list of names, or (enemy, context) => boolean
+     * @param {object} transition - The transition (for parameters like `after` or `range`)
+     * @param {object} context - AI context from updateAI()
+     */
+    checkCondition(when, transition, context) {
+        if (Array.isArray(when)) {
+            return when.every(condition => this.checkCondition(condition, transition, context));
+        }
+        if (typeof when === 'function') {
+            return when(this, context);
+        }
+
+        switch (when) {
+            case 'playerDetected':
+                return context.canSeePlayer;
+            case 'playerLost':
+                return !context.canSeePlayer;
+            case 'heardNoise':
+                return this.heardNoise !== null;
+            case 'searchTime':
+                return this.searchTime >= (transition.after || 0);
+            case 'stunOver':
+                return !this.hitReaction.isStunned();
+            case 'inAttackRange':
+                return context.distance <= this.attackRange;
+            case 'outOfAttackRange':
+                return context.distance > this.attackRange;
+            case 'playerWithin': {
+                // range can be a number or the name of a property ('ambushRange')
+                const range = typeof transition.range === 'string' ? this[transition.range] : transition.range;
+                return context.distance <= range;
+            }
+            case 'attackReady':
+                return this.isAttackReady();
+            case 'attackFinished':
+                return this.stateTimer > this.attackAnimationFrames * this.attackAnimationSpeed;
+            case 'stateTime':
+                return this.stateTimer > transition.after + Math.random() * (transition.jitter || 0);
+            default:
+                console.warn(`⚠️ ${this.constructor.name} has unknown condition '${when}'`);
+                return false;
+        }
+    }
+
+    /**
+     * Change the current state
+     */
+    setState(newState) {
+        const stateDef = this.getStateDefinition(newState);
+        if (!stateDef) {
+            console.warn(`⚠️ ${this.constructor.name} has no '${newState}' state - staying '${this.state}'`);
+            return;
+        }
+
+        // Remember facing direction when stopping
+        if (stateDef.moving === false && this.isMoving) {
+            this.lastDirection = this.direction;
+        }
+
+        this.state = newState;
+        this.stateTimer = 0;
+        this.isHidden = !!stateDef.hidden;
+        this.pathGoal = null;   // Plan a fresh route for whatever the new state walks to
+
+        // Start animations from the beginning
+        this.animationFrame = 0;
+        if (stateDef.attack) {
+            this.hasDealtDamage = false;   // Reset damage flag for new attack
+            this.animationTimer = 0;
+        }
+
+        if (stateDef.onEnter) {
+            this[stateDef.onEnter]();
+        }
+    }
+
+    // ==========================================
+    // STANDARD ACTIONS (referenced by name from state definitions)
+    // ==========================================
+
+    pickRandomDirection() {
+        const directions = ['up', 'down', 'left', 'right'];
+        this.direction = directions[Math.floor(Math.random() * directions.length)];
+    }
+
+    moveInDirection(context) {
+        const step = this.getStep(context.deltaTime);
+        switch (this.direction) {
+            case 'up':    this.y -= step; break;
+            case 'down':  this.y += step; break;
+            case 'left':  this.x -= step; break;
+            case 'right': this.x += step; break;
+        }
+    }
+
+    chasePlayer(context) {
+        this.moveToward(context.player.x, context.player.y, context);
+    }
+
+    fleeFromPlayer(context) {
+        const dx = this.x - context.player.x;
+        const dy = this.y - context.player.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const step = this.getStep(context.deltaTime);
+
+        this.x += (dx / distance) * step;
+        this.y += (dy / distance) * step;
+        this.faceDirection(dx, dy);
+    }
+
+    /**
+     * Face the player and deal damage when the animation reaches the damage frame
+     */
+    meleeAttack(context) {
+        this.facePlayer(context.player);
+
+        if (this.animationFrame === this.damageFrame && !this.hasDealtDamage && this.isAttackReady()) {
+            this.performAttack(context.player);
+            this.hasDealtDamage = true;
+            this.attackCooldownTimer = this.attackCooldown;
+        }
+    }
+
+    // Head for the last sighting (or the noise that brought us here)
+    startSearch() {
+        if (this.heardNoise) {
+            this.lastKnownPosition = { x: this.heardNoise.x, y: this.heardNoise.y };
+        }
+        this.searchLookTimer = 0;
+        this.searchTime = 0;
+    }
+
+    /**
+     * Walk to the last known position, then look around until the state times out
+     */
+    searchLastKnownPosition(context) {
+        const target = this.lastKnownPosition;
+        if (target && Math.abs(target.x - this.x) + Math.abs(target.y - this.y) > 4) {
+            this.moveToward(target.x, target.y, context);
+
+            // An empty route still planned for this spot means it can't be reached
+            const unreachable = this.path && this.path.length === 0 && this.pathGoal !== null;
+            if (!unreachable) return;
+        }
+
+        // Arrived (or can't get any closer) - turn to a new direction every so often
+        this.isMoving = false;
+        this.searchTime += context.deltaTime;
+        this.searchLookTimer -= context.deltaTime;
+        if (this.searchLookTimer <= 0) {
+            const directions = ['up', 'right', 'down', 'left'];
+            this.direction = directions[(directions.indexOf(this.direction) + 1) % directions.length];
+            this.lastDirection = this.direction;
+            this.searchLookTimer = 700;
+        }
+    }
+
+    // ==========================================
+    // SENSES
+    // ==========================================
+
+    /**
+     * Can the enemy see the player right now?
+     * In range, inside the vision cone (unless very close) and not behind a tree or bush.
+     */
+    canSeePlayer(context) {
+        if (context.distance > this.detectionRange) return false;
+        if (context.distance > this.awarenessRange && !this.isInVisionCone(context.player.x, context.player.y)) return false;
+
+        const gameMap = context.gameMap;
+        return !gameMap || !gameMap.hasLineOfSight ||
+            gameMap.hasLineOfSight(this.x, this.y, context.player.x, context.player.y);
+    }
+
+    isInVisionCone(x, y) {
+        const facing = this.isMoving ? this.direction : this.lastDirection;
+        const facingAngle = Enemy.DIRECTION_ANGLES[facing] || 0;
+        const angle = Math.atan2(y - this.y, x - this.x) * 180 / Math.PI;
+
+        // Smallest difference between the two angles (0-180)
+        const difference = Math.abs(((angle - facingAngle) % 360 + 540) % 360 - 180);
+        return difference <= this.visionAngle / 2;
+    }
+
+    /**
+     * Called by Game.makeNoise() for every animal in the room
+     * @param {number} x - Noise X (world pixels)
+     * @param {number} y - Noise Y
+     * @param {number} radius - How far the noise carries (pixels)
+     */
+    hearNoise(x, y, radius) {
+        if (this.isDead) return;
+
+        const dx = x - this.x;
+        const dy = y - this.y;
+        if (Math.sqrt(dx * dx + dy * dy) <= radius * this.hearing) {
+            this.heardNoise = { x: x, y: y };
+        }
+    }
+
+    // ==========================================
+    // COMBAT METHODS
+    // ==========================================
+
+    getDistanceToPlayer(player) {
+        const dx = this.x - player.x;
+        const dy = this.y - player.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // ==========================================
+    // PATHFINDING
+    // ==========================================
+
+    /**
+     * Walk toward a target, going around trees, bushes and water
+     * Walks straight while the way is clear, otherwise follows an A* route from
+     * the room's Pathfinder. The route is re-planned every repathInterval, when
+     * the target moves a tile, when the room's obstacles change or after bumping
+     * into something.
+     */
+    moveToward(targetX, targetY, context) {
+        const gameMap = context.gameMap;
+        const pathfinder = gameMap && gameMap.getPathfinder ? gameMap.getPathfinder() : null;
+
+        this.pathTimer += context.deltaTime;
+        if (pathfinder && this.needsNewPath(targetX, targetY, gameMap)) {
+            this.planPath(pathfinder, targetX, targetY, gameMap);
+        }
+
+        const step = this.getStep(context.deltaTime);
+        if (!this.path) {
+            this.stepToward(targetX, targetY, step);
+            return;
+        }
+
+        // Target is out of reach (e.g. across the pond) - wait at the closest spot
+        if (this.path.length === 0) {
+            this.isMoving = false;
+            this.faceDirection(targetX - this.x, targetY - this.y);
+            this.lastDirection = this.direction;
+            return;
+        }
+
+        if (this.stepToward(this.path[0].x, this.path[0].y, step)) {
+            this.path.shift();
+            if (this.path.length === 0) {
+                this.pathGoal = null;   // End of the route - carry on from here next frame
+            }
+        }
+    }
+
+    needsNewPath(targetX, targetY, gameMap) {
+        if (!this.pathGoal || this.pathTimer >= this.repathInterval) return true;
+        if (this.pathGoal.version !== gameMap.collisionVersion) return true;
+
+        return Math.abs(targetX - this.pathGoal.x) >= gameMap.tileSize ||
+               Math.abs(targetY - this.pathGoal.y) >= gameMap.tileSize;
+    }
+
+    planPath(pathfinder, targetX, targetY, gameMap) {
+        // No route needed while nothing is in the way
+        if (pathfinder.hasClearLine(this.x, this.y, targetX, targetY, this.collisionSize)) {
+            this.path = null;
+        } else {
+            this.path = pathfinder.findPath(this.x, this.y, targetX, targetY, {
+                size: this.collisionSize,
+                margin: Enemy.ROOM_MARGIN
+            });
+        }
+
+        this.pathGoal = { x: targetX, y: targetY, version: gameMap.collisionVersion };
+        this.pathTimer = 0;
+    }
+
+    /**
+     * Move up to `step` pixels toward a point
+     * @returns {boolean} True once the point is reached
+     */
+    stepToward(targetX, targetY, step) {
+        const dx = targetX - this.x;
+        const dy = targetY - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance <= step) {
+            this.x = targetX;
+            this.y = targetY;
+            return true;
+        }
+
+        this.x += (dx / distance) * step;
+        this.y += (dy / distance) * step;
+        this.faceDirection(dx, dy);
+        return false;
+    }
+
+    facePlayer(player) {
+        this.faceDirection(player.x - this.x, player.y - this.y);
+    }
+
+    // Point toward the larger component of a movement vector
+    faceDirection(dx, dy) {
+        if (Math.abs(dx) > Math.abs(dy)) {
+            this.direction = dx > 0 ? 'right' : 'left';
+        } else {
+            this.direction = dy > 0 ? 'down' : 'up';
+        }
+    }
+
+    // Distance covered this update at the current state's speed (slowed by status effects)
+    getStep(deltaTime) {
+        return this.speed * this.statusEffects.getSpeedMultiplier() * deltaTime / 1000;
+    }
+
+    isAttackReady() {
+        return this.attackCooldownTimer <= 0;
+    }
+
+    /**
+     * Melee hit on the player (plus the attack's status effect, e.g. snake venom)
+     */
+    performAttack(player) {
+        if (!player || !player.takeDamage) {
+            console.warn('⚠️ Player object missing takeDamage method');
+            return;
+        }
+
+        const wasInvulnerable = player.hitReaction ? player.hitReaction.isInvulnerable() : false;
+        console.log(`🐾 ${this.constructor.name} attacks player for ${this.attackDamage} damage!`);
+        player.takeDamage(this.attackDamage, this.x, this.y, this.attackKnockback, this);
+
+        // Venom and the like don't get past a shield held up to face the bite
+        const shielded = player.isBlockingFrom ? player.isBlockingFrom(this.x, this.y) : false;
+        if (this.attackEffect && !wasInvulnerable && !shielded && player.statusEffects) {
+            player.statusEffects.apply(this.attackEffect.type, this.attackEffect, this);
+        }
+    }
+
+    /**
+     * Calculate scaled damage based on player level
+     * @param {number} baseDamage - Base damage value
+     * @param {number} playerLevel - Player's current level
+     * @returns {number} Scaled damage amount
+     */
+    getScaledDamage(baseDamage, playerLevel) {
+        // Starts at 1.0x at level 1, +0.2 per level
+        const scaleFactor = 0.8 + (playerLevel * 0.2);
+        return Math.floor(baseDamage * scaleFactor);
+    }
+
+    /**
+     * Take damage from sword attack
+     * Base damage: 30, scaled by player level and the combo stage
+     * @param {object} attack - Combo stage multipliers { damage, knockback } (see Player.swordAttacks)
+     */
+    takeSwordHit(player, attack = {}) {
+        if (this.isDead || !this.hit(player.x, player.y, Enemy.SWORD_KNOCKBACK * (attack.knockback || 1))) return;
+
+        const damage = this.getScaledDamage(30 * (attack.damage || 1), player.level || 1);
+        this.health -= damage;
+        console.log(`⚔️ ${this.constructor.name} hit by sword! -${damage} HP (${this.health}/${this.maxHealth})`);
+
+        if (this.health <= 0) {
+            this.die(player);
+        }
+    }
+
+    /**
+     * Take damage from fireball
+     * Normal: 21 base damage, Charged: 48 base damage, scaled by player level
+     * Charged fireballs also set the enemy burning
+     * @param {number} sourceX - Impact point, knocked away from here (defaults to the player)
+     */
+    takeFireballHit(player, isCharged = false, sourceX = player.x, sourceY = player.y) {
+        const knockback = Enemy.FIREBALL_KNOCKBACK * (isCharged ? 2 : 1);
+        if (this.isDead || !this.hit(sourceX, sourceY, knockback)) return;
+
+        const baseDamage = isCharged ? 48 : 21;
+        const damage = this.getScaledDamage(baseDamage, player.level || 1);
+        this.health -= damage;
+        const fireballType = isCharged ? 'charged' : 'normal';
+        console.log(`🔥 ${this.constructor.name} hit by ${fireballType} fireball! -${damage} HP (${this.health}/${this.maxHealth})`);
+
+        if (this.health <= 0) {
+            this.die(player);
+        } else if (isCharged) {
+            this.statusEffects.apply('burn', {}, player);
+        }
+    }
+
+    /**
+     * Take a hit from one of the staff's other spells (ice bolt, chain lightning)
+     * @param {object} hit - { name, damage (before level scaling), knockback, x, y, effects: [{ type, ...overrides }] }
+     */
+    takeSpellHit(player, hit) {
+        if (this.isDead || !this.hit(hit.x, hit.y, hit.knockback || 0)) return;
+
+        const damage = this.getScaledDamage(hit.damage, player.level || 1);
+        this.health -= damage;
+        console.log(`✨ ${this.constructor.name} hit by ${hit.name}! -${damage} HP (${this.health}/${this.maxHealth})`);
+
+        if (this.health <= 0) {
+            this.die(player);
+            return;
+        }
+        for (const effect of hit.effects || []) {
+            this.statusEffects.apply(effect.type, effect, player);
+        }
+    }
+
+    /**
+     * Take damage from standing in fire tiles
+     * Flat damage - fire doesn't scale with player level
+     */
+    takeBurnDamage(damage, player = null) {
+        if (this.isDead) return;
+
+        this.hitReaction.flash();
+        this.health -= damage;
+        console.log(`🔥 ${this.constructor.name} is burning! -${damage} HP (${this.health}/${this.maxHealth})`);
+
+        if (this.health <= 0) {
+            this.die(player);
+        }
+    }
+
+    /**
+     * Damage from a status effect tick (burn, poison) - a flash but no knockback or stun
+     * Whoever applied the effect gets the XP if it finishes the enemy off
+     */
+    takeEffectDamage(damage, effect) {
+        if (this.isDead) return;
+
+        this.hitReaction.flash();
+        this.health -= damage;
+        console.log(`${effect.definition.emoji} ${this.constructor.name} is ${effect.definition.verb}! -${damage} HP (${this.health}/${this.maxHealth})`);
+
+        if (this.health <= 0) {
+            const source = effect.source && effect.source.gainXP ? effect.source : null;
+            this.die(source);
+        }
+    }
+
+    /**
+     * Generic damage (anything without a dedicated hit method)
+     * @returns {boolean} True if the enemy died
+     */
+    takeDamage(damage, sourceX, sourceY) {
+        if (this.isDead || !this.hit(sourceX, sourceY, Enemy.SWORD_KNOCKBACK)) return false;
+
+        this.health -= damage;
+        console.log(`🐾 ${this.constructor.name} takes ${damage} damage (${this.health}/${this.maxHealth})`);
+
+        if (this.health <= 0) {
+            this.die(null);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Knockback, flash and hit-stun from a hit at (sourceX, sourceY)
+     * The stun interrupts whatever the enemy was doing, attacks included.
+     * @returns {boolean} False while still invulnerable from the last hit - no damage should be dealt
+     */
+    hit(sourceX, sourceY, knockback) {
+        if (!this.hitReaction.hit(sourceX, sourceY, { knockback: knockback })) return false;
+
+        // Whatever hit it came from over there
+        this.lastKnownPosition = { x: sourceX, y: sourceY };
+
+        if (this.hitReaction.isStunned() && !this.isHidden && this.getStateDefinition('stunned')) {
+            this.setState('stunned');
+        }
+        return true;
+    }
+
+    /**
+     * Reel back from a parried attack - stunned, but without the invulnerability of a
+     * real hit, so the player's counterattack lands
+     */
+    stagger(sourceX, sourceY, duration = Enemy.PARRY_STUN) {
+        if (this.isDead) return;
+
+        this.hitReaction.stun(duration);
+        this.hitReaction.applyKnockback(sourceX, sourceY, Enemy.PARRY_KNOCKBACK);
+        if (!this.isHidden && this.getStateDefinition('stunned')) {
+            this.setState('stunned');
+        }
+        console.log(`🐾 ${this.constructor.name} staggered by a parry`);
+    }
+
+    // Room collision plus the keep-out border along the edge (used by knockback)
+    canStandAt(x, y, gameMap) {
+        if (!gameMap || !gameMap.canMoveTo) return true;
+
+        const margin = Enemy.ROOM_MARGIN;
+        if (x < margin || y < margin ||
+            x > gameMap.width * gameMap.tileSize - margin || y > gameMap.height * gameMap.tileSize - margin) {
+            return false;
+        }
+        return gameMap.canMoveTo(x, y, this.collisionSize, this.collisionSize);
+    }
+
+    die(player) {
+        if (this.isDead) return;
+
+        this.isDead = true;
+        this.health = 0;
+        this.state = 'dead';
+        this.isMoving = false;
+        this.statusEffects.clear();
+
+        console.log(`💀 ${this.constructor.name} defeated! Player gains ${this.xpReward} XP`);
+
+        if (player && player.gainXP) {
+            player.gainXP(this.xpReward);
+        }
+
+        // The room removes dead enemies on its next update (and drops their loot)
+    }
+
+    /**
+     * Roll this enemy's loot table
+     * @param {SeededRandom} random - Number source (defaults to LootTable.random)
+     * @returns {Array} Drops [{ type, amount }] - empty when nothing dropped
+     */
+    rollLoot(random = LootTable.random) {
+        return this.lootTable ? this.lootTable.roll(random) : [];
+    }
+
+    checkCollision(other) {
+        const dx = this.x - other.x;
+        const dy = this.y - other.y;
+        return Math.sqrt(dx * dx + dy * dy) < (this.behaviour.collisionRadius || 20);
+    }
+
+    // ==========================================
+    // ANIMATION AND MOVEMENT
+    // ==========================================
+
+    updateAnimation(deltaTime) {
+        if (!this.spritesLoaded) return;
+
+        this.animationTimer += deltaTime;
+        const stateDef = this.getStateDefinition() || {};
+
+        // === ATTACK ANIMATION (highest priority) ===
+        if (stateDef.attack) {
+            if (this.animationTimer >= this.attackAnimationSpeed) {
+                this.animationFrame = (this.animationFrame + 1) % this.attackAnimationFrames;
+                this.animationTimer = 0;
+            }
+            return;
+        }
+
+        // === NORMAL ANIMATIONS ===
+        const animSpeed = this.isMoving ? this.animationSpeed : this.animationSpeed * 3;
+
+        if (this.animationTimer >= animSpeed) {
+            if (this.isMoving) {
+                // Cycle through walking frames while moving
+                this.animationFrame = (this.animationFrame + 1) % 4;
+            } else {
+                // Gentle idle animation - subtle breathing/standing animation
+                this.animationFrame = this.animationFrame === 0 ? 1 : 0;
+            }
+            this.animationTimer = 0;
+        }
+    }
+
+    /**
+     * Keep inside the room and undo moves into obstacles
+     */
+    applyMovement(gameMap) {
+        if (gameMap && gameMap.width && gameMap.height) {
+            const margin = Enemy.ROOM_MARGIN;
+            const mapWidth = gameMap.width * gameMap.tileSize;
+            const mapHeight = gameMap.height * gameMap.tileSize;
+            this.x = Math.max(margin, Math.min(mapWidth - margin, this.x));
+            this.y = Math.max(margin, Math.min(mapHeight - margin, this.y));
+        }
+
+        if (gameMap && gameMap.canMoveTo) {
+            if (!gameMap.canMoveTo(this.x, this.y, this.collisionSize, this.collisionSize)) {
+                this.x = this.lastX;
+                this.y = this.lastY;
+                this.pathGoal = null;   // Bumped into something - re-plan the route
+
+                const stateDef = this.getStateDefinition();
+                if (stateDef && stateDef.onBlocked) {
+                    this.setState(stateDef.onBlocked);
+                }
+            }
+        }
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    render(ctx, camera = { x: 0, y: 0 }) {
+        if (this.isDead) return;
+
+        const screenX = this.x - camera.x;
+        const screenY = this.y - camera.y;
+
+        if (this.isHidden) {
+            this.renderHidden(ctx, screenX, screenY);
+            return;
+        }
+
+        if (!this.spritesLoaded || !this.normalSprite) return;
+
+        // Culling - don't render if off screen
+        const margin = 200;
+        if (screenX < -margin || screenX > 1200 + margin ||
+            screenY < -margin || screenY > 900 + margin) {
+            return;
+        }
+
+        // Select sprite based on state (use attack sprite when attacking)
+        const stateDef = this.getStateDefinition() || {};
+        let sprite = this.normalSprite;
+        let frameWidth = this.frameWidth;
+        let frameHeight = this.frameHeight;
+
+        if (stateDef.attack && this.attackSprite) {
+            sprite = this.attackSprite;
+            frameWidth = this.attackFrameWidth;
+            frameHeight = this.attackFrameHeight;
+        }
+
+        const frameX = this.animationFrame;
+        const frameY = this.getFrameRow();
+
+        // Render at 1.5x base size with scale multiplier
+        const renderWidth = frameWidth * 1.5 * this.scale;
+        const renderHeight = frameHeight * 1.5 * this.scale;
+
+        ctx.drawImage(
+            sprite,
+            frameX * frameWidth, frameY * frameHeight,
+            frameWidth, frameHeight,
+            screenX - renderWidth / 2, screenY - renderHeight / 2,
+            renderWidth, renderHeight
+        );
+        this.hitReaction.renderFlash(
+            ctx, sprite,
+            frameX * frameWidth, frameY * frameHeight,
+            frameWidth, frameHeight,
+            screenX - renderWidth / 2, screenY - renderHeight / 2,
+            renderWidth, renderHeight
+        );
+
+        // === RENDER HEALTH BAR ===
+        if (this.health < this.maxHealth) {
+            this.renderHealthBar(ctx, screenX, screenY - renderHeight / 2 - 10);
+        }
+
+        // Status effect icons above the health bar (or where it would be)
+        this.statusEffects.renderIcons(ctx, screenX, screenY - renderHeight / 2 - 12);
+
+        if (window.DEBUG_MODE) {
+            ctx.fillStyle = 'rgba(0, 0, 255, 0.3)';
+            ctx.fillRect(screenX - 16, screenY - 16, 32, 32);
+
+            ctx.fillStyle = 'white';
+            ctx.font = '12px Arial';
+            ctx.fillText(`${this.state} ${this.direction}`, screenX - 20, screenY - 30);
+
+            // Vision cone
+            const facingAngle = Enemy.DIRECTION_ANGLES[this.isMoving ? this.direction : this.lastDirection] || 0;
+            const halfCone = this.visionAngle / 2 * Math.PI / 180;
+            ctx.fillStyle = 'rgba(255, 255, 0, 0.12)';
+            ctx.beginPath();
+            ctx.moveTo(screenX, screenY);
+            ctx.arc(screenX, screenY, this.detectionRange,
+                facingAngle * Math.PI / 180 - halfCone, facingAngle * Math.PI / 180 + halfCone);
+            ctx.closePath();
+            ctx.fill();
+
+            // Current route
+            if (this.path && this.path.length > 0) {
+                ctx.strokeStyle = 'rgba(255, 255, 0, 0.7)';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(screenX, screenY);
+                for (const point of this.path) {
+                    ctx.lineTo(point.x - camera.x, point.y - camera.y);
+                }
+                ctx.stroke();
+            }
+        }
+    }
+
+    renderHealthBar(ctx, screenX, barY) {
+        const barWidth = 40;
+        const barHeight = 4;
+        const barX = screenX - barWidth / 2;
+
+        // Background (red)
+        ctx.fillStyle = '#8B0000';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+
+        // Health (green)
+        const healthPercent = this.health / this.maxHealth;
+        ctx.fillStyle = '#00FF00';
+        ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
+
+        // Border
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(barX, barY, barWidth, barHeight);
+    }
+
+    // Override to give hidden enemies a tell (drawn instead of the sprite)
+    renderHidden(ctx, screenX, screenY) {
+    }
+
+    getFrameRow() {
+        // Use current direction when moving, last direction when idle
+        const facingDirection = this.isMoving ? this.direction : this.lastDirection;
+        const stateDef = this.getStateDefinition() || {};
+        const rowMap = stateDef.attack ? this.rowMaps.attack : this.rowMaps.normal;
+
+        const row = rowMap[facingDirection] !== undefined ? rowMap[facingDirection] : rowMap.down;
+        return row + (stateDef.rowOffset || 0);
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Merchant NPC
+ *
+ * A shopkeeper who stands in a room and trades with the player (E to talk).
+ * Room files place merchants in their "npcs" list, at a tile, each with its
+ * own stock:
+ *
+ *   { "type": "merchant", "x": 16, "y": 8, "name": "Village Merchant",
+ *     "stock": [{ "item": "heart", "price": 10 }, { "item": "knight", "price": 150 }],
+ *     "buys": { "knight": 60 } }
+ *
+ * `stock` is what the player can buy, `buys` what the merchant will pay for.
+ * Prices are for a level 1 player and rise PRICE_SCALING per level. Items are
+ * ItemRegistry ids and bought items are collected like anything found on the
+ * ground - except equipment, which goes into the inventory without being put on.
+ *
+ * The merchant only knows its goods and prices - the shop menu lives in
+ * ZeldaGame (openShop / handleShopKey / renderShopMenu).
+ */
+class Merchant {
+    constructor(x, y, spriteLoader, options = {}) {
+        this.x = x;                         // Center in world pixels
+        this.y = y;
+        this.spriteLoader = spriteLoader;
+        this.name = options.name || 'Merchant';
+        this.stock = options.stock || Merchant.DEFAULT_STOCK;
+        this.buys = options.buys || {};     // item -> base price paid to the player
+    }
+
+    isPlayerInRange(player) {
+        if (!player) return false;
+        return Math.hypot(player.x - this.x, player.y - this.y) <= Merchant.TALK_RANGE;
+    }
+
+    // Base price adjusted for the player's level
+    getPrice(basePrice, player) {
+        const level = player ? player.level : 1;
+        return Math.max(1, Math.round(basePrice * (1 + (level - 1) * Merchant.PRICE_SCALING)));
+    }
+
+    /**
+     * Everything for sale, priced for this player
+     * @returns {Array} [{ item, name, description, price, unavailable }] - unavailable is a reason or null
+     */
+    getBuyList(inventory, player) {
+        return this.stock
+            .filter(entry => ItemRegistry.has(entry.item))
+            .map(entry => {
+                const price = this.getPrice(entry.price, player);
+                let unavailable = this.getUnavailableReason(entry.item, inventory, player);
+                if (!unavailable && !inventory.canAfford(price)) {
+                    unavailable = 'Not enough coins';
+                }
+                return {
+                    item: entry.item,
+                    name: ItemRegistry.get(entry.item).name,
+                    description: Merchant.describe(entry.item, inventory),
+                    price: price,
+                    unavailable: unavailable
+                };
+            });
+    }
+
+    /**
+     * What the player owns that this merchant will buy
+     * @returns {Array} [{ item, name, description, price }]
+     */
+    getSellList(inventory, player) {
+        return Object.keys(this.buys)
+            .filter(item => ItemRegistry.has(item) && inventory.hasItem(item))
+            .map(item => ({
+                item: item,
+                name: ItemRegistry.get(item).name,
+                description: Merchant.describe(item, inventory),
+                price: this.getPrice(this.buys[item], player),
+                unavailable: null
+            }));
+    }
+
+    // Why an item can't be bought right now (null if it can)
+    getUnavailableReason(item, inventory, player) {
+        const definition = ItemRegistry.get(item);
+        if (definition.pickup === 'equip' && inventory.hasItem(item)) return 'Owned';
+        if (definition.pickup === 'bag' && inventory.getConsumableCount(item) >= ZeldaInventory.MAX_STACK) return 'Bag is full';
+        if (definition.pickup === 'learn' && inventory.hasItem(item)) return 'Already learnt';
+        if (definition.pickup === 'instant') {
+            if (definition.stats.heal && player.currentHealth >= player.maxHealth) return 'Health is full';
+            if (definition.stats.stamina && player.currentStamina >= player.maxStamina) return 'Stamina is full';
+            if (definition.stats.mana && player.currentMana >= player.maxMana) return 'Mana is full';
+        }
+        return null;
+    }
+
+    /**
+     * Buy one item from this merchant
+     * @param {object} entry - Entry from getBuyList()
+     * @param {ZeldaGame} game - For the inventory, player and drop effects
+     * @returns {string} Message for the shop's status line
+     */
+    buy(entry, game) {
+        const inventory = game.inventory;
+        const player = game.player;
+        const reason = this.getUnavailableReason(entry.item, inventory, player);
+        if (reason) return reason;
+        if (!inventory.spendCoins(entry.price)) return 'Not enough coins';
+
+        if (ItemRegistry.get(entry.item).pickup === 'equip') {
+            inventory.addItem(entry.item);
+            game.notify('itemCollected', { type: entry.item, amount: 1 });
+        } else {
+            game.collectItem({ type: entry.item, amount: 1 });
+        }
+
+        inventory.logTransaction({ type: 'buy', item: entry.item, price: entry.price, shop: this.name, level: player.level });
+        console.log(`🛒 Bought ${entry.name} from ${this.name} for ${entry.price} coins`);
+        return `Bought ${entry.name}`;
+    }
+
+    /**
+     * Sell one item to this merchant
+     * @param {object} entry - Entry from getSellList()
+     * @param {ZeldaGame} game - For the inventory and player
+     * @returns {string} Message for the shop's status line
+     */
+    sell(entry, game) {
+        const inventory = game.inventory;
+        if (!inventory.removeItem(entry.item)) return `You don't have ${entry.name}`;
+
+        inventory.addCoins(entry.price);
+        inventory.logTransaction({ type: 'sell', item: entry.item, price: entry.price, shop: this.name, level: game.player.level });
+        console.log(`💰 Sold ${entry.name} to ${this.name} for ${entry.price} coins`);
+        return `Sold ${entry.name}`;
+    }
+
+    // Short effect text for the shop list - consumables also say how many are carried
+    static describe(item, inventory) {
+        const definition = ItemRegistry.get(item);
+        if (!definition) return '';
+        if (definition.pickup === 'bag' && inventory) {
+            return `${definition.description} (carrying ${inventory.getConsumableCount(item)})`;
+        }
+        return definition.description;
+    }
+
+    render(ctx, player) {
+        // Unarmored llama, first idle frame, with a merchant's hat
+        const sprite = this.spriteLoader ? this.spriteLoader.get('llama_base') : null;
+        const size = 36;
+        if (sprite) {
+            ctx.drawImage(sprite, 0, 0, 48, 48, this.x - size / 2, this.y - size / 2, size, size);
+        } else {
+            ctx.fillStyle = '#c8a165';
+            ctx.fillRect(this.x - 8, this.y - 10, 16, 20);
+        }
+
+        ctx.fillStyle = '#6b3fa0';
+        ctx.fillRect(this.x - 7, this.y - 17, 14, 3);
+        ctx.fillRect(this.x - 4, this.y - 22, 8, 5);
+
+        // Talk prompt
+        if (this.isPlayerInRange(player)) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(this.x - 18, this.y - 34, 36, 10);
+            ctx.fillStyle = '#ffd700';
+            ctx.font = '7px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('E: Trade', this.x, this.y - 26);
+        }
+    }
+}
+
+Merchant.TALK_RANGE = 28;                   // How close the player must stand to trade (pixels)
+Merchant.PRICE_SCALING = 0.1;               // Prices go up 10% per player level above 1
+
+// Stock for merchants whose room entry doesn't list any
+Merchant.DEFAULT_STOCK = [
+    { item: 'heart', price: 10 },
+    { item: 'stamina_orb', price: 6 }
+];
@@ -0,0 +1,107 @@
+// Beetle Slime Shot - enemy projectile that hurts the player
+class SlimeShot {
+    constructor(x, y, targetX, targetY, spriteLoader, damage = 12, effect = null) {
+        this.x = x;
+        this.y = y;
+        this.damage = damage;
+        this.effect = effect;     // Status effect put on the player by a hit: { type, ...overrides }
+
+        // Calculate direction to target
+        const dx = targetX - x;
+        const dy = targetY - y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        // Projectile properties
+        this.speed = 140; // pixels per second (slow enough to dodge)
+        this.velocityX = (dx / distance) * this.speed;
+        this.velocityY = (dy / distance) * this.speed;
+        this.angle = Math.atan2(dy, dx);
+        this.size = 6;            // Collision radius
+        this.hitRadius = 12;      // Distance to player center that counts as a hit
+        this.maxLifetime = 2500;  // 2.5 seconds max
+        this.lifetime = 0;
+        this.active = true;
+
+        // Sprite (Beatle_Slime_Shot.png - 4 columns x 9 rows of 12px frames)
+        this.sprite = spriteLoader ? spriteLoader.get('beetle_slime_shot') : null;
+        this.frameSize = 12;
+        this.animationFrame = 0;
+        this.animationTimer = 0;
+        this.animationSpeed = 100; // milliseconds per frame
+    }
+
+    update(deltaTime, player, gameMap) {
+        if (!this.active) return;
+
+        this.lifetime += deltaTime;
+        if (this.lifetime >= this.maxLifetime) {
+            this.active = false;
+            return;
+        }
+
+        // Move projectile
+        const dt = deltaTime / 1000;
+        this.x += this.velocityX * dt;
+        this.y += this.velocityY * dt;
+
+        // Update animation
+        this.animationTimer += deltaTime;
+        if (this.animationTimer >= this.animationSpeed) {
+            this.animationFrame = (this.animationFrame + 1) % 4;
+            this.animationTimer = 0;
+        }
+
+        // Splat against walls
+        if (gameMap && gameMap.isSolidAt && gameMap.isSolidAt(this.x, this.y)) {
+            this.active = false;
+            return;
+        }
+
+        // Hit the player
+        if (player && player.takeDamage) {
+            const px = player.x - this.x;
+            const py = player.y - this.y;
+            if (Math.sqrt(px * px + py * py) <= this.hitRadius) {
+                console.log(`🪲 Slime shot hit player for ${this.damage} damage!`);
+                const wasInvulnerable = player.hitReaction ? player.hitReaction.isInvulnerable() : false;
+                player.takeDamage(this.damage, this.x, this.y, SlimeShot.KNOCKBACK);
+                const shielded = player.isBlockingFrom ? player.isBlockingFrom(this.x, this.y) : false;
+                if (this.effect && !wasInvulnerable && !shielded && player.statusEffects) {
+                    player.statusEffects.apply(this.effect.type, this.effect);
+                }
+                this.active = false;
+            }
+        }
+    }
+
+    render(ctx, camera = { x: 0, y: 0 }) {
+        if (!this.active) return;
+
+        const screenX = this.x - camera.x;
+        const screenY = this.y - camera.y;
+
+        if (this.sprite) {
+            // Row 0 holds the travelling blob, rotated to face its direction
+            const renderSize = this.frameSize * 1.5;
+            ctx.save();
+            ctx.translate(screenX, screenY);
+            ctx.rotate(this.angle);
+            ctx.drawImage(
+                this.sprite,
+                this.animationFrame * this.frameSize, 0,
+                this.frameSize, this.frameSize,
+                -renderSize / 2, -renderSize / 2,
+                renderSize, renderSize
+            );
+            ctx.restore();
+        } else {
+            // Fallback green blob
+            ctx.fillStyle = '#66ff33';
+            ctx.beginPath();
+            ctx.arc(screenX, screenY, this.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
+SlimeShot.KNOCKBACK = 90;    // Small shove on hit (px/s)
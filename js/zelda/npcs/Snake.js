@@ -0,0 +1,166 @@
+/**
+ * Snake Enemy Class
+ *
+ * Ambush predator:
+ * - Finds a bush near its spawn point and hides beside it
+ * - Hidden snakes are invisible and can't be targeted by attacks
+ * - Lunges out when the player walks close, bites and poisons
+ * - Slinks back to its bush once the player gets away
+ */
+class Snake extends Enemy {
+    static get behaviour() {
+        const states = Enemy.standardStates();
+        const hasHideSpot = (snake) => snake.hideSpot !== null;
+
+        // Head back to the bush instead of standing around in the open
+        states.idle.transitions.unshift({ to: 'returning', when: hasHideSpot });
+
+        states.hidden = {
+            moving: false,
+            hidden: true,
+            transitions: [
+                { to: 'chasing', when: 'playerWithin', range: 'ambushRange' }
+            ],
+            action: 'checkHideSpot'
+        };
+
+        states.returning = {
+            moving: true,
+            speed: 'wander',
+            transitions: [
+                { to: 'chasing', when: 'playerWithin', range: 'ambushRange' },
+                { to: 'hidden', when: (snake) => snake.isAtHideSpot() }
+            ],
+            action: 'returnToHideSpot'
+        };
+
+        return {
+            // Snake.png - 4x8 layout, Snake_Attack.png - 4x4 layout
+            sprites: { key: 'snake', layout: { cols: 4, rows: 8 }, attackLayout: { cols: 4, rows: 4 } },
+            stats: { health: 45, attackDamage: 8, xpReward: 40, attackRange: 24, attackCooldown: 1500 },
+            speeds: { wander: 30, chase: 96 },   // Quick lunge
+            detectionRange: 64,              // 4 tiles - gives up the chase sooner than wolves
+            collisionSize: 16,
+            attack: {
+                frames: 4,
+                frameSpeed: 100,
+                damageFrame: 2,
+                effect: { type: 'poison', tickDamage: 3, duration: 5000 }   // 3 damage a second, stacks up to 3 bites
+            },
+            loot: {
+                rolls: 1,
+                entries: [
+                    { type: 'coin', weight: 30, amount: [1, 2] },
+                    { type: 'heart', weight: 30 },
+                    { type: 'antidote', weight: 15 },   // Cure for its own bite
+                    { type: 'mana_orb', weight: 10 },
+                    { type: null, weight: 25 }
+                ]
+            },
+            initialState: 'idle',
+            states: states
+        };
+    }
+
+    constructor(x, y, spriteLoader, options = {}) {
+        super(x, y, spriteLoader, options);
+
+        // === AMBUSH ===
+        this.ambushRange = 40;               // Player must walk this close to a hidden snake
+        this.hideSearchRadius = 6;           // Tiles to search for a bush
+        this.hideSpot = null;                // { x, y } in pixels plus { bushX, bushY } tile
+        this.hasSearchedForHideSpot = false;
+    }
+
+    updateAI(deltaTime, player, gameMap) {
+        // First update: pick a bush to hide by (needs the room)
+        if (!this.hasSearchedForHideSpot) {
+            this.hasSearchedForHideSpot = true;
+            this.hideSpot = this.findHideSpot(gameMap);
+            if (this.hideSpot) {
+                this.x = this.hideSpot.x;
+                this.y = this.hideSpot.y;
+                this.setState('hidden');
+            }
+        }
+
+        super.updateAI(deltaTime, player, gameMap);
+    }
+
+    // Bush burnt down - look for another one, or give up hiding
+    checkHideSpot(context) {
+        if (this.isHideSpotValid(context.gameMap)) return;
+
+        this.hideSpot = this.findHideSpot(context.gameMap);
+        this.setState(this.hideSpot ? 'returning' : 'idle');
+    }
+
+    returnToHideSpot(context) {
+        this.checkHideSpot(context);
+        if (this.state !== 'returning') return;
+
+        // Snaps into place once close enough
+        this.moveToward(this.hideSpot.x, this.hideSpot.y, context);
+    }
+
+    isAtHideSpot() {
+        return this.hideSpot !== null && this.x === this.hideSpot.x && this.y === this.hideSpot.y;
+    }
+
+    /**
+     * Find the closest open tile next to a bush within hideSearchRadius
+     * @returns {object|null} Hide spot in pixels (tile center) plus the bush tile
+     */
+    findHideSpot(gameMap) {
+        if (!gameMap || !gameMap.overlays || !gameMap.TILE_TYPES) return null;
+
+        const tileSize = gameMap.tileSize;
+        const startX = Math.floor(this.x / tileSize);
+        const startY = Math.floor(this.y / tileSize);
+        const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let ty = startY - this.hideSearchRadius; ty <= startY + this.hideSearchRadius; ty++) {
+            for (let tx = startX - this.hideSearchRadius; tx <= startX + this.hideSearchRadius; tx++) {
+                if (!gameMap.isValidTile(tx, ty) || gameMap.overlays[ty][tx] !== gameMap.TILE_TYPES.BUSH) continue;
+
+                // Tuck in beside the bush (bushes themselves are solid)
+                for (const [dx, dy] of neighbours) {
+                    const spotX = (tx + dx) * tileSize + tileSize / 2;
+                    const spotY = (ty + dy) * tileSize + tileSize / 2;
+                    if (!gameMap.canMoveTo(spotX, spotY, this.collisionSize, this.collisionSize)) continue;
+
+                    // applyMovement() keeps animals 32px from the map edge
+                    if (spotX < 32 || spotY < 32 ||
+                        spotX > gameMap.width * tileSize - 32 || spotY > gameMap.height * tileSize - 32) continue;
+
+                    const distance = Math.abs(tx + dx - startX) + Math.abs(ty + dy - startY);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = { x: spotX, y: spotY, bushX: tx, bushY: ty };
+                    }
+                }
+            }
+        }
+
+        if (best) {
+            console.log(`🐍 Snake hiding by bush at (${best.bushX}, ${best.bushY})`);
+        }
+        return best;
+    }
+
+    isHideSpotValid(gameMap) {
+        if (!this.hideSpot || !gameMap || !gameMap.overlays) return false;
+        return gameMap.overlays[this.hideSpot.bushY][this.hideSpot.bushX] === gameMap.TILE_TYPES.BUSH;
+    }
+
+    // Hidden: just a brief glint of eyes every few seconds
+    renderHidden(ctx, screenX, screenY) {
+        if (Date.now() % 3000 < 250) {
+            ctx.fillStyle = '#ffee00';
+            ctx.fillRect(screenX - 3, screenY - 2, 2, 2);
+            ctx.fillRect(screenX + 1, screenY - 2, 2, 2);
+        }
+    }
+}
@@ -6,19 +6,8 @@ class BaseRoom {
         this.height = 32;
         this.tileSize = 16;
         
-        // Basic tile types
-        this.TILE_TYPES = {
-            GRASS: 1,
-            ROAD: 2,
-            GRAVEL: 2,  // Alias for road
-            WATER: 3,
-            TREE: 6,
-            BUSH: 7,
-            STUMP: 8,
-            FOUNTAIN: 19,
-            WOOD_LOG: 20,
-            HOUSE: 21
-        };
+        // Basic tile types (shared with DataRoom's legends)
+        this.TILE_TYPES = BaseRoom.TILE_TYPES;
         
         // Fountain tiles for animation (simplified)
         this.FOUNTAIN_TILES = {
@@ -78,7 +67,32 @@ class BaseRoom {
         this.overlays = [];
         this.items = [];
         this.exits = [];
+        this.exitsLocked = false;           // Set while a boss fight keeps the player in
+
+        // Spawn ids of animals killed in this room (kept for save games)
+        this.defeatedAnimals = new Set();
+        
+        // Fire tiles from charged fireballs
+        this.FIRE_DURATION = 5000;          // How long a tile burns (ms)
+        this.FIRE_SPREAD_DELAY = 1200;      // Burn time before fire jumps to neighbouring bushes/trees (ms)
+        this.FIRE_MAX_SPREAD = 3;           // How many tiles fire can travel from the explosion
+        this.FIRE_DAMAGE = 5;               // Damage per burn tick
+        this.FIRE_DAMAGE_INTERVAL = 500;    // Time between burn ticks (ms)
+        this.fireTiles = new Map();         // "x,y" -> { x, y, timeLeft, spreadTimer, generation, fuel }
+        this.fireDamageTimer = 0;
+        this.burntOverlays = new Map();     // "x,y" -> overlay left behind after burning (kept for save games)
         
+        // Loot dropped by defeated animals - picked up like items, but not saved and gone after a while
+        this.drops = [];                    // { type, amount, x, y, lifetime, isMagnetized, collected }
+        this.DROP_LIFETIME = 20000;         // How long a drop stays on the ground (ms)
+        this.DROP_BLINK_TIME = 4000;        // Drops blink for this long before vanishing (ms)
+        this.DROP_SIZE = 10;                // Drops are drawn this big (pixels)
+        this.DROP_MAGNET_SPEED = 220;       // How fast drops fly to the player once in magnet range (px/s)
+        
+        // Pathfinding - bumped on every tile/overlay change so cached paths get re-planned
+        this.collisionVersion = 0;
+        this.pathfinder = null;
+
         this.initializeMap();
     }
     
@@ -96,15 +110,25 @@ class BaseRoom {
     
     // Simple tile setting methods
     setTile(x, y, type) {
-        if (this.isValidTile(x, y)) {
+        if (this.isValidTile(x, y) && this.tiles[y][x] !== type) {
             this.tiles[y][x] = type;
+            this.collisionVersion++;
         }
     }
     
     setOverlay(x, y, type) {
-        if (this.isValidTile(x, y)) {
+        if (this.isValidTile(x, y) && this.overlays[y][x] !== type) {
             this.overlays[y][x] = type;
+            this.collisionVersion++;
+        }
+    }
+    
+    // Shared A* pathfinder for everything moving around this room (created on first use)
+    getPathfinder() {
+        if (!this.pathfinder && typeof Pathfinder !== 'undefined') {
+            this.pathfinder = new Pathfinder(this);
         }
+        return this.pathfinder;
     }
     
     isValidTile(x, y) {
@@ -150,8 +174,12 @@ class BaseRoom {
             }
         }
         
+        // Render fire on top of tiles and overlays
+        this.renderFireTiles(ctx);
+        
         // Render items
         this.renderItems(ctx);
+        this.renderDrops(ctx);
     }
     
     getTileSprite(tileType) {
@@ -220,24 +248,11 @@ class BaseRoom {
     }
     
     renderItems(ctx) {
+        const itemSize = this.tileSize * 0.8;
         for (const item of this.items) {
             if (!item.collected) {
-                const itemSize = this.tileSize * 0.8;
-                const itemX = item.x - itemSize / 2;
-                const itemY = item.y - itemSize / 2;
-                
-                if (item.type === 'sword') {
-                    const swordSprite = this.spriteLoader.getSword();
-                    if (swordSprite) {
-                        ctx.drawImage(swordSprite, itemX, itemY, itemSize, itemSize);
-                    } else {
-                        ctx.fillStyle = '#c0c0c0';
-                        ctx.fillRect(itemX, itemY, itemSize, itemSize);
-                    }
-                } else {
-                    ctx.fillStyle = item.type === 'staff' ? '#4169e1' : '#ffd700';
-                    ctx.fillRect(itemX, itemY, itemSize, itemSize);
-                }
+                ItemRegistry.draw(ctx, ItemRegistry.get(item.type), this.spriteLoader,
+                    item.x - itemSize / 2, item.y - itemSize / 2, itemSize);
             }
         }
     }
@@ -314,8 +329,11 @@ class BaseRoom {
         const tileX = Math.floor(x / this.tileSize);
         const tileY = Math.floor(y / this.tileSize);
         
-        const fountainStartX = 19; // Fixed fountain position
-        const fountainStartY = 14;
+        // Walk back to the fountain's top-left tile so it can sit anywhere in the room
+        let fountainStartX = tileX;
+        let fountainStartY = tileY;
+        while (this.isFountainTile(fountainStartX - 1, tileY)) fountainStartX--;
+        while (this.isFountainTile(tileX, fountainStartY - 1)) fountainStartY--;
         const relativeX = tileX - fountainStartX;
         const relativeY = tileY - fountainStartY;
         
@@ -334,6 +352,10 @@ class BaseRoom {
         return frameData.MID_CENTER; // Fallback
     }
     
+    isFountainTile(tileX, tileY) {
+        return this.isValidTile(tileX, tileY) && this.overlays[tileY][tileX] === this.TILE_TYPES.FOUNTAIN;
+    }
+    
     getSpawnPosition() {
         return {
             x: 10 * this.tileSize + this.tileSize / 2,
@@ -357,21 +379,362 @@ class BaseRoom {
                 }
             }
         }
+        
+        for (const drop of this.drops) {
+            if (!drop.collected && Math.hypot(playerX - drop.x, playerY - drop.y) < collectRadius) {
+                drop.collected = true;
+                return drop;
+            }
+        }
         return null;
     }
     
+    // =====================================================
+    // DROPS (loot from defeated animals)
+    // =====================================================
+    
+    /**
+     * Scatter loot on the ground around a position
+     * @param {number} x - Where the animal died (world pixels)
+     * @param {number} y
+     * @param {Array} drops - [{ type, amount }] from Enemy.rollLoot()
+     * @param {SeededRandom} random - Number source for the scatter (defaults to LootTable.random)
+     */
+    spawnDrops(x, y, drops, random = LootTable.random) {
+        for (const drop of drops) {
+            // Spread several drops out a little - but never into a tree
+            const angle = random.nextRange(0, Math.PI * 2);
+            const distance = drops.length > 1 ? random.nextRange(6, 14) : 0;
+            let dropX = x + Math.cos(angle) * distance;
+            let dropY = y + Math.sin(angle) * distance;
+            if (!this.canMoveTo(dropX - 4, dropY - 4, 8, 8)) {
+                dropX = x;
+                dropY = y;
+            }
+            
+            // Equipment is too rare to let it vanish
+            const definition = ItemRegistry.get(drop.type) || {};
+            this.drops.push({
+                type: drop.type,
+                amount: drop.amount,
+                x: dropX,
+                y: dropY,
+                lifetime: definition.pickup === 'equip' ? Infinity : this.DROP_LIFETIME,
+                isMagnetized: false,
+                collected: false
+            });
+            console.log(`💰 ${drop.type} x${drop.amount} dropped in ${this.roomName}`);
+        }
+    }
+    
+    /**
+     * Count down drop lifetimes and pull drops towards the player
+     * @param {object} player - Player with x, y and magnetRadius
+     */
+    updateDrops(deltaTime, player) {
+        for (let i = this.drops.length - 1; i >= 0; i--) {
+            const drop = this.drops[i];
+            drop.lifetime -= deltaTime;
+            
+            // Drops already flying to the player don't vanish on the way
+            if (drop.collected || (drop.lifetime <= 0 && !drop.isMagnetized)) {
+                this.drops.splice(i, 1);
+                continue;
+            }
+            if (!player) continue;
+            
+            const dx = player.x - drop.x;
+            const dy = player.y - drop.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance < player.magnetRadius) {
+                drop.isMagnetized = true;
+            }
+            
+            if (drop.isMagnetized && distance > 0) {
+                const step = Math.min(distance, this.DROP_MAGNET_SPEED * deltaTime / 1000);
+                drop.x += (dx / distance) * step;
+                drop.y += (dy / distance) * step;
+            }
+        }
+    }
+    
+    renderDrops(ctx) {
+        const size = this.DROP_SIZE;
+        for (const drop of this.drops) {
+            // Blink when about to vanish
+            if (drop.lifetime < this.DROP_BLINK_TIME && Math.floor(drop.lifetime / 150) % 2 === 0) continue;
+            
+            const definition = ItemRegistry.get(drop.type);
+            ItemRegistry.draw(ctx, definition, this.spriteLoader, drop.x - size / 2, drop.y - size / 2, size);
+            
+            // Gold frame around equipment so it stands out
+            if (definition && definition.pickup === 'equip') {
+                ctx.strokeStyle = '#ffd700';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(drop.x - size / 2, drop.y - size / 2, size, size);
+            }
+        }
+    }
+    
+    // Remember that an animal died so it stays dead after a save/load
+    recordAnimalDefeat(animal) {
+        if (animal && animal.spawnId !== undefined) {
+            this.defeatedAnimals.add(animal.spawnId);
+        }
+    }
+
+    // Save game state: which items were picked up and which animals were killed
+    getSaveState() {
+        const defeated = new Set(this.defeatedAnimals);
+        for (const animal of (this.animals || [])) {
+            if (animal.isDead && animal.spawnId !== undefined) {
+                defeated.add(animal.spawnId);
+            }
+        }
+
+        return {
+            collectedItems: this.items.filter(item => item.collected).map(item => this.getItemKey(item)),
+            defeatedAnimals: Array.from(defeated),
+            burntOverlays: Array.from(this.burntOverlays.values())
+        };
+    }
+
+    // Stable id for a room item in save games: its type and tile, e.g. 'heart@27,16'
+    getItemKey(item) {
+        return `${item.type}@${Math.floor(item.x / this.tileSize)},${Math.floor(item.y / this.tileSize)}`;
+    }
+
+    // Apply saved state on top of a freshly generated room
+    applySaveState(state) {
+        if (!state) return;
+
+        // Items are matched by type and tile, so moving or adding items in the room file
+        // doesn't mark the wrong ones - an item that's gone from the file is just forgotten
+        const collected = new Set(state.collectedItems || []);
+        for (const item of this.items) {
+            item.collected = collected.has(this.getItemKey(item));
+        }
+
+        // Saves before v10 kept one flag per item by position - only trusted if the item count still matches
+        if (state.collectedItemFlags) {
+            if (state.collectedItemFlags.length === this.items.length) {
+                state.collectedItemFlags.forEach((flag, index) => {
+                    this.items[index].collected = flag;
+                });
+            } else {
+                console.warn(`⚠️ Items in '${this.roomName}' changed since this save - collected items are reset`);
+            }
+        }
+
+        // Drop animals that were already defeated instead of re-running their death
+        this.defeatedAnimals = new Set(state.defeatedAnimals || []);
+        if (this.animals) {
+            this.animals = this.animals.filter(animal => !this.defeatedAnimals.has(animal.spawnId));
+        }
+
+        // Re-apply bushes and trees that burnt down
+        for (const burnt of (state.burntOverlays || [])) {
+            this.setBurntOverlay(burnt.x, burnt.y, burnt.overlay);
+        }
+    }
+
     // Room transition method (required by Game.js)
     checkRoomTransition(playerX, playerY) {
         return null; // No room transitions in base room
     }
     
-    // Fire tiles methods (required by Game.js)
-    updateFireTiles(deltaTime) {
-        // No fire tiles in base room
-    }
+    // =====================================================
+    // FIRE TILES (created by charged fireball explosions)
+    // =====================================================
     
+    /**
+     * Set every tile inside an explosion radius on fire
+     * @param {number} x - Explosion center X (world pixels)
+     * @param {number} y - Explosion center Y (world pixels)
+     * @param {number} radius - Explosion radius in pixels
+     */
     createFireTiles(x, y, radius) {
-        // No fire tiles in base room
+        const centerX = Math.floor(x / this.tileSize);
+        const centerY = Math.floor(y / this.tileSize);
+        const tileRadius = Math.ceil(radius / this.tileSize);
+        let ignited = 0;
+        
+        for (let ty = centerY - tileRadius; ty <= centerY + tileRadius; ty++) {
+            for (let tx = centerX - tileRadius; tx <= centerX + tileRadius; tx++) {
+                // Measure from tile centers so the burn area stays round
+                const dx = (tx + 0.5) * this.tileSize - x;
+                const dy = (ty + 0.5) * this.tileSize - y;
+                if (dx * dx + dy * dy > radius * radius) continue;
+                
+                if (this.igniteTile(tx, ty, 0)) {
+                    ignited++;
+                }
+            }
+        }
+        
+        console.log(`🔥 ${ignited} fire tiles created at (${centerX}, ${centerY})`);
+    }
+    
+    // Start a fire on one tile, returns true if it caught
+    igniteTile(tileX, tileY, generation) {
+        if (!this.canBurn(tileX, tileY)) return false;
+        
+        const key = `${tileX},${tileY}`;
+        const existing = this.fireTiles.get(key);
+        if (existing) {
+            // Re-igniting a burning tile just refreshes it
+            existing.timeLeft = this.FIRE_DURATION;
+            return true;
+        }
+        
+        const overlay = this.overlays[tileY][tileX];
+        this.fireTiles.set(key, {
+            x: tileX,
+            y: tileY,
+            timeLeft: this.FIRE_DURATION,
+            spreadTimer: 0,
+            generation: generation,
+            fuel: this.isFlammable(overlay) ? overlay : null   // Bush or tree being burnt
+        });
+        return true;
+    }
+    
+    canBurn(tileX, tileY) {
+        if (!this.isValidTile(tileX, tileY)) return false;
+        if (this.tiles[tileY][tileX] === this.TILE_TYPES.WATER) return false;
+        
+        // Open ground and plants burn, other objects (fountain, stumps, logs) don't
+        const overlay = this.overlays[tileY][tileX];
+        return !overlay || this.isFlammable(overlay);
+    }
+    
+    isFlammable(overlayType) {
+        return overlayType === this.TILE_TYPES.BUSH || overlayType === this.TILE_TYPES.TREE;
+    }
+    
+    isOnFire(x, y) {
+        const tileX = Math.floor(x / this.tileSize);
+        const tileY = Math.floor(y / this.tileSize);
+        return this.fireTiles.has(`${tileX},${tileY}`);
+    }
+    
+    /**
+     * Burn down fire tiles, spread them and hurt anything standing in the flames
+     * @param {number} deltaTime - Milliseconds since last frame
+     * @param {ZeldaPlayer} player - Player to burn (also credited for animals killed by fire)
+     */
+    updateFireTiles(deltaTime, player = null) {
+        if (this.fireTiles.size === 0) return;
+        
+        const spreading = [];
+        
+        for (const [key, fire] of this.fireTiles) {
+            fire.timeLeft -= deltaTime;
+            
+            if (fire.timeLeft <= 0) {
+                this.fireTiles.delete(key);
+                if (fire.fuel) {
+                    this.burnOutOverlay(fire.x, fire.y, fire.fuel);
+                }
+                continue;
+            }
+            
+            // Fire creeps into neighbouring bushes and trees
+            fire.spreadTimer += deltaTime;
+            if (fire.spreadTimer >= this.FIRE_SPREAD_DELAY && fire.generation < this.FIRE_MAX_SPREAD) {
+                fire.spreadTimer = 0;
+                spreading.push(fire);
+            }
+        }
+        
+        // Spread after the loop so new fires don't update on the frame they start
+        for (const fire of spreading) {
+            const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+            for (const [dx, dy] of neighbours) {
+                const nx = fire.x + dx;
+                const ny = fire.y + dy;
+                if (!this.isValidTile(nx, ny) || this.fireTiles.has(`${nx},${ny}`)) continue;
+                if (this.isFlammable(this.overlays[ny][nx])) {
+                    this.igniteTile(nx, ny, fire.generation + 1);
+                }
+            }
+        }
+        
+        // Burn damage ticks
+        this.fireDamageTimer += deltaTime;
+        if (this.fireDamageTimer < this.FIRE_DAMAGE_INTERVAL) return;
+        this.fireDamageTimer = 0;
+        
+        if (player && player.takeBurnDamage && this.isOnFire(player.x, player.y)) {
+            player.takeBurnDamage(this.FIRE_DAMAGE);
+        }
+        
+        for (const animal of (this.animals || [])) {
+            if (!animal.isDead && animal.takeBurnDamage && this.isOnFire(animal.x, animal.y)) {
+                animal.takeBurnDamage(this.FIRE_DAMAGE, player);
+            }
+        }
+    }
+    
+    // A bush or tree finished burning - leave a stump behind
+    burnOutOverlay(tileX, tileY, fuel) {
+        // Only replace it if nothing else changed the tile meanwhile
+        if (this.overlays[tileY][tileX] !== fuel) return;
+        
+        this.setBurntOverlay(tileX, tileY, this.TILE_TYPES.STUMP);
+    }
+    
+    setBurntOverlay(tileX, tileY, overlay) {
+        if (!this.isValidTile(tileX, tileY)) return;
+        
+        this.setOverlay(tileX, tileY, overlay);
+        this.burntOverlays.set(`${tileX},${tileY}`, { x: tileX, y: tileY, overlay: overlay });
+    }
+    
+    // Flickering flames drawn with canvas shapes (no fire sprite in the tileset)
+    renderFireTiles(ctx) {
+        if (this.fireTiles.size === 0) return;
+        
+        const time = Date.now();
+        ctx.save();
+        
+        for (const fire of this.fireTiles.values()) {
+            const pixelX = fire.x * this.tileSize;
+            const pixelY = fire.y * this.tileSize;
+            
+            // Fade out during the last second
+            const fade = Math.min(1, fire.timeLeft / 1000);
+            
+            // Offset the flicker per tile so neighbours don't pulse together
+            const phase = time / 120 + fire.x * 1.7 + fire.y * 2.3;
+            const flicker = 0.75 + Math.sin(phase) * 0.25;
+            
+            // Scorch mark
+            ctx.globalAlpha = 0.35 * fade;
+            ctx.fillStyle = '#2b1400';
+            ctx.fillRect(pixelX, pixelY, this.tileSize, this.tileSize);
+            
+            // Outer flame
+            const centerX = pixelX + this.tileSize / 2;
+            const baseY = pixelY + this.tileSize;
+            const flameHeight = this.tileSize * flicker;
+            
+            ctx.globalAlpha = 0.8 * fade;
+            ctx.fillStyle = '#ff5500';
+            ctx.beginPath();
+            ctx.moveTo(pixelX + 2, baseY);
+            ctx.quadraticCurveTo(centerX, baseY - flameHeight * 1.4, pixelX + this.tileSize - 2, baseY);
+            ctx.fill();
+            
+            // Inner flame
+            ctx.fillStyle = '#ffd200';
+            ctx.beginPath();
+            ctx.moveTo(pixelX + 5, baseY);
+            ctx.quadraticCurveTo(centerX, baseY - flameHeight * 0.8, pixelX + this.tileSize - 5, baseY);
+            ctx.fill();
+        }
+        
+        ctx.restore();
     }
     
     // Collision detection methods (required by Player.js)
@@ -436,7 +799,49 @@ class BaseRoom {
                tileType === this.TILE_TYPES.FOUNTAIN;
         // Note: WATER is handled specially in isSolidAt()
     }
-    
+
+    /**
+     * Can something at (x1, y1) see (x2, y2)? Walks every tile the line crosses.
+     * Trees, bushes and fountains block sight; water doesn't - you can see across a pond.
+     * The tiles at either end are skipped so standing right against a bush still counts as seen.
+     */
+    hasLineOfSight(x1, y1, x2, y2) {
+        let tileX = Math.floor(x1 / this.tileSize);
+        let tileY = Math.floor(y1 / this.tileSize);
+        const endX = Math.floor(x2 / this.tileSize);
+        const endY = Math.floor(y2 / this.tileSize);
+
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+
+        // Distance along the line (0-1) to the next vertical / horizontal tile edge, and per tile after that
+        const deltaX = dx !== 0 ? this.tileSize / Math.abs(dx) : Infinity;
+        const deltaY = dy !== 0 ? this.tileSize / Math.abs(dy) : Infinity;
+        let nextX = dx > 0 ? ((tileX + 1) * this.tileSize - x1) / dx : dx < 0 ? (tileX * this.tileSize - x1) / dx : Infinity;
+        let nextY = dy > 0 ? ((tileY + 1) * this.tileSize - y1) / dy : dy < 0 ? (tileY * this.tileSize - y1) / dy : Infinity;
+
+        while (tileX !== endX || tileY !== endY) {
+            if (Math.min(nextX, nextY) > 1) break;   // Rounding - already past the end of the line
+
+            if (nextX < nextY) {
+                tileX += stepX;
+                nextX += deltaX;
+            } else {
+                tileY += stepY;
+                nextY += deltaY;
+            }
+
+            if (tileX === endX && tileY === endY) break;
+            if (!this.isValidTile(tileX, tileY)) return false;
+
+            const overlay = this.overlays[tileY][tileX];
+            if (overlay && this.isSolid(overlay)) return false;
+        }
+        return true;
+    }
+
     // Position-based tile selectors for multi-tile objects
     getTreeTileForPosition(x, y) {
         const tileX = Math.floor(x / this.tileSize);
@@ -735,4 +1140,18 @@ class BaseRoom {
         
         return this.tiles[tileY][tileX] === this.TILE_TYPES.WATER;
     }
-}
\ No newline at end of file
+}
+
+// Tile and overlay ids - room files refer to these by name
+BaseRoom.TILE_TYPES = {
+    GRASS: 1,
+    ROAD: 2,
+    GRAVEL: 2,  // Alias for road
+    WATER: 3,
+    TREE: 6,
+    BUSH: 7,
+    STUMP: 8,
+    FOUNTAIN: 19,
+    WOOD_LOG: 20,
+    HOUSE: 21
+};
@@ -0,0 +1,530 @@
+/**
+ * DataRoom Class
+ *
+ * A room built from a JSON definition (assets/rooms/<name>.json) instead of
+ * a hand-written BaseRoom subclass. RoomManager loads the files; this class
+ * validates a definition and turns it into tiles, overlays, items, exits,
+ * npcs (merchants), animals and an optional boss fight:
+ *
+ *   "boss": { "type": "alpha_wolf", "x": 16, "y": 10,
+ *             "arena": { "x": 4, "y": 3, "width": 22, "height": 18 } }
+ *
+ * The boss sleeps until the player walks into its arena (the whole room if
+ * left out), then the exits lock until it is beaten - see BossEncounter.
+ *
+ * Checkpoints are tiles the player respawns on after a game over, once
+ * they've walked over them (the village fountain is one):
+ *
+ *   "checkpoints": [{ "x": 20, "y": 17, "name": "Village Fountain" }]
+ *
+ * Units: tiles, items, exits, npcs, animals, checkpoints, the boss, its arena
+ * and the spawn point all use tile coordinates.
+ */
+class DataRoom extends BaseRoom {
+    constructor(spriteLoader, definition) {
+        const errors = DataRoom.validate(definition);
+        if (errors.length > 0) {
+            throw new Error(DataRoom.formatErrors(definition, errors));
+        }
+
+        super(spriteLoader, definition.name);
+
+        this.definition = definition;
+        this.width = definition.width;
+        this.height = definition.height;
+        this.music = definition.music || null;
+        this.spawnTile = definition.spawn || null;
+        this.overlaySprites = this.resolveOverlaySprites(definition.overlaySprites || {});
+        this.animals = [];
+        this.npcs = [];
+        this.checkpoints = [];
+        this.bossEncounter = null;
+
+        this.buildLayers();
+        this.addItems();
+        this.setupExits();
+        this.spawnNpcs();
+        this.setupCheckpoints();
+        this.spawnAnimals();
+        this.spawnBoss();
+
+        console.log(`✅ Room '${this.roomName}' built from data`);
+    }
+
+    // =====================================================
+    // VALIDATION
+    // =====================================================
+
+    /**
+     * Check a room definition without building it
+     * @param {object} definition - Parsed room JSON
+     * @returns {string[]} Problems found - empty when the room is valid
+     */
+    static validate(definition) {
+        const errors = [];
+        const isInteger = (value) => Number.isInteger(value);
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return ['room definition must be a JSON object'];
+        }
+
+        if (typeof definition.name !== 'string' || definition.name === '') {
+            errors.push('"name" must be a non-empty string');
+        }
+        if (!isInteger(definition.width) || definition.width <= 0) {
+            errors.push('"width" must be a positive whole number of tiles');
+        }
+        if (!isInteger(definition.height) || definition.height <= 0) {
+            errors.push('"height" must be a positive whole number of tiles');
+        }
+        // Everything below is checked against the room size
+        if (errors.length > 0) return errors;
+
+        const width = definition.width;
+        const height = definition.height;
+        const inBounds = (x, y) => isInteger(x) && isInteger(y) && x >= 0 && x < width && y >= 0 && y < height;
+
+        // Layers
+        const tileLegend = DataRoom.getLegend(definition, 'tileLegend');
+        const overlayLegend = DataRoom.getLegend(definition, 'overlayLegend');
+        DataRoom.validateLegend(tileLegend, 'tileLegend', false, errors);
+        DataRoom.validateLegend(overlayLegend, 'overlayLegend', true, errors);
+        DataRoom.validateLayer(definition.tiles, 'tiles', tileLegend, width, height, errors);
+        if (definition.overlays !== undefined) {
+            DataRoom.validateLayer(definition.overlays, 'overlays', overlayLegend, width, height, errors);
+        }
+
+        for (const [name, tile] of Object.entries(definition.overlaySprites || {})) {
+            if (!(name in BaseRoom.TILE_TYPES)) {
+                errors.push(`overlaySprites: unknown tile type "${name}"`);
+            } else if (!tile || !isInteger(tile.x) || !isInteger(tile.y)) {
+                errors.push(`overlaySprites.${name} must be a tileset position like { "x": 8, "y": 1 }`);
+            }
+        }
+
+        // Items
+        DataRoom.validateList(definition, 'items', errors, (item, label) => {
+            if (!ItemRegistry.has(item.type)) errors.push(`${label}: unknown item type "${item.type}" (not in the ItemRegistry)`);
+            if (!inBounds(item.x, item.y)) errors.push(`${label}: tile (${item.x}, ${item.y}) is outside the ${width}x${height} room`);
+        });
+
+        // Exits - target room and position are checked when the player walks through
+        DataRoom.validateList(definition, 'exits', errors, (exit, label) => {
+            if (!inBounds(exit.x, exit.y)) errors.push(`${label}: tile (${exit.x}, ${exit.y}) is outside the ${width}x${height} room`);
+            if (typeof exit.targetRoom !== 'string') errors.push(`${label}: "targetRoom" must be a room name`);
+            if (!isInteger(exit.targetX) || !isInteger(exit.targetY)) errors.push(`${label}: "targetX"/"targetY" must be tile coordinates`);
+            for (const key of ['width', 'height']) {
+                if (exit[key] !== undefined && (!isInteger(exit[key]) || exit[key] <= 0)) {
+                    errors.push(`${label}: "${key}" must be a positive whole number of tiles`);
+                }
+            }
+        });
+
+        // NPCs
+        DataRoom.validateList(definition, 'npcs', errors, (npc, label) => {
+            if (!(npc.type in DataRoom.NPC_TYPES)) {
+                errors.push(`${label}: unknown npc type "${npc.type}" (expected one of ${Object.keys(DataRoom.NPC_TYPES).join(', ')})`);
+            }
+            if (!inBounds(npc.x, npc.y)) errors.push(`${label}: tile (${npc.x}, ${npc.y}) is outside the ${width}x${height} room`);
+            if (npc.stock !== undefined) {
+                if (!Array.isArray(npc.stock)) {
+                    errors.push(`${label}: "stock" must be a list`);
+                } else {
+                    npc.stock.forEach((entry, index) => {
+                        if (!entry || typeof entry.item !== 'string' || !isNumber(entry.price) || entry.price <= 0) {
+                            errors.push(`${label}.stock[${index}] must look like { "item": "heart", "price": 10 }`);
+                        } else if (!ItemRegistry.has(entry.item)) {
+                            errors.push(`${label}.stock[${index}]: unknown item "${entry.item}"`);
+                        }
+                    });
+                }
+            }
+            if (npc.buys !== undefined && (!npc.buys || typeof npc.buys !== 'object' || Array.isArray(npc.buys) ||
+                Object.values(npc.buys).some(price => !isNumber(price) || price <= 0))) {
+                errors.push(`${label}: "buys" must map items to prices, e.g. { "knight": 60 }`);
+            } else if (npc.buys) {
+                Object.keys(npc.buys).filter(item => !ItemRegistry.has(item))
+                    .forEach(item => errors.push(`${label}.buys: unknown item "${item}"`));
+            }
+        });
+
+        // Checkpoints
+        DataRoom.validateList(definition, 'checkpoints', errors, (checkpoint, label) => {
+            if (!inBounds(checkpoint.x, checkpoint.y)) errors.push(`${label}: tile (${checkpoint.x}, ${checkpoint.y}) is outside the ${width}x${height} room`);
+            if (checkpoint.name !== undefined && typeof checkpoint.name !== 'string') errors.push(`${label}: "name" must be a string`);
+        });
+
+        // Animals
+        DataRoom.validateList(definition, 'animals', errors, (spawn, label) => {
+            if (!(spawn.type in DataRoom.ANIMAL_TYPES)) {
+                errors.push(`${label}: unknown animal type "${spawn.type}" (expected one of ${Object.keys(DataRoom.ANIMAL_TYPES).join(', ')})`);
+            }
+            if (!inBounds(spawn.x, spawn.y)) errors.push(`${label}: tile (${spawn.x}, ${spawn.y}) is outside the ${width}x${height} room`);
+            if (spawn.options !== undefined && (typeof spawn.options !== 'object' || spawn.options === null)) {
+                errors.push(`${label}: "options" must be an object`);
+            }
+        });
+
+        // Boss
+        const boss = definition.boss;
+        if (boss !== undefined) {
+            if (!boss || typeof boss !== 'object' || Array.isArray(boss)) {
+                errors.push('"boss" must be an object like { "type": "alpha_wolf", "x": 16, "y": 10 }');
+            } else {
+                if (!(boss.type in DataRoom.BOSS_TYPES)) {
+                    errors.push(`boss: unknown boss type "${boss.type}" (expected one of ${Object.keys(DataRoom.BOSS_TYPES).join(', ')})`);
+                }
+                if (!inBounds(boss.x, boss.y)) errors.push(`boss: tile (${boss.x}, ${boss.y}) is outside the ${width}x${height} room`);
+                if (boss.options !== undefined && (typeof boss.options !== 'object' || boss.options === null)) {
+                    errors.push('boss: "options" must be an object');
+                }
+                const arena = boss.arena;
+                if (arena !== undefined && !(arena && inBounds(arena.x, arena.y) &&
+                    isInteger(arena.width) && isInteger(arena.height) && arena.width > 0 && arena.height > 0 &&
+                    arena.x + arena.width <= width && arena.y + arena.height <= height)) {
+                    errors.push(`boss: "arena" must be a tile rectangle { "x", "y", "width", "height" } inside the ${width}x${height} room`);
+                }
+            }
+        }
+
+        if (definition.music !== undefined && typeof definition.music !== 'string') {
+            errors.push('"music" must be an audio file path');
+        }
+        if (definition.spawn !== undefined && !(definition.spawn && inBounds(definition.spawn.x, definition.spawn.y))) {
+            errors.push(`"spawn" must be a tile inside the ${width}x${height} room`);
+        }
+
+        return errors;
+    }
+
+    static formatErrors(definition, errors) {
+        const name = definition && definition.name ? definition.name : 'unnamed';
+        return `Invalid room '${name}':\n - ${errors.join('\n - ')}`;
+    }
+
+    static getLegend(definition, key) {
+        return definition[key] !== undefined ? definition[key] : DataRoom.DEFAULT_LEGENDS[key];
+    }
+
+    static validateLegend(legend, key, allowEmpty, errors) {
+        if (!legend || typeof legend !== 'object' || Array.isArray(legend)) {
+            errors.push(`"${key}" must map characters to tile type names`);
+            return;
+        }
+
+        for (const [char, typeName] of Object.entries(legend)) {
+            if (char.length !== 1) {
+                errors.push(`${key}: key "${char}" must be a single character`);
+            } else if (typeName === null ? !allowEmpty : !(typeName in BaseRoom.TILE_TYPES)) {
+                errors.push(`${key}: "${char}" maps to unknown tile type ${JSON.stringify(typeName)}`);
+            }
+        }
+    }
+
+    static validateLayer(rows, key, legend, width, height, errors) {
+        if (!Array.isArray(rows) || rows.length !== height) {
+            errors.push(`"${key}" must be a list of ${height} rows`);
+            return;
+        }
+
+        rows.forEach((row, y) => {
+            if (typeof row !== 'string' || row.length !== width) {
+                errors.push(`${key} row ${y}: expected ${width} characters, got ${typeof row === 'string' ? row.length : typeof row}`);
+                return;
+            }
+            const x = [...row].findIndex(char => !(legend && char in legend));
+            if (x !== -1) {
+                errors.push(`${key} row ${y}, column ${x}: "${row[x]}" is not in the legend`);
+            }
+        });
+    }
+
+    static validateList(definition, key, errors, check) {
+        const list = definition[key];
+        if (list === undefined) return;
+        if (!Array.isArray(list)) {
+            errors.push(`"${key}" must be a list`);
+            return;
+        }
+
+        list.forEach((entry, index) => {
+            const label = `${key}[${index}]`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            check(entry, label);
+        });
+    }
+
+    // =====================================================
+    // BUILDING
+    // =====================================================
+
+    buildLayers() {
+        const tileLegend = DataRoom.getLegend(this.definition, 'tileLegend');
+        const overlayLegend = DataRoom.getLegend(this.definition, 'overlayLegend');
+        const overlayRows = this.definition.overlays || [];
+
+        this.tiles = [];
+        this.overlays = [];
+        for (let y = 0; y < this.height; y++) {
+            this.tiles[y] = [];
+            this.overlays[y] = [];
+            for (let x = 0; x < this.width; x++) {
+                this.tiles[y][x] = this.TILE_TYPES[tileLegend[this.definition.tiles[y][x]]];
+
+                const overlayName = overlayRows[y] ? overlayLegend[overlayRows[y][x]] : null;
+                this.overlays[y][x] = overlayName ? this.TILE_TYPES[overlayName] : null;
+            }
+        }
+    }
+
+    addItems() {
+        for (const item of (this.definition.items || [])) {
+            // Extra fields (name, etc.) are passed straight through to the pickup
+            this.items.push(Object.assign({}, item, {
+                x: item.x * this.tileSize + this.tileSize / 2,
+                y: item.y * this.tileSize + this.tileSize / 2,
+                collected: false
+            }));
+        }
+    }
+
+    setupExits() {
+        this.exits = (this.definition.exits || []).map(exit => Object.assign({ width: 1, height: 1 }, exit));
+    }
+
+    resolveOverlaySprites(overlaySprites) {
+        const sprites = {};
+        for (const [name, tile] of Object.entries(overlaySprites)) {
+            sprites[this.TILE_TYPES[name]] = tile;
+        }
+        return sprites;
+    }
+
+    getSpawnPosition() {
+        if (!this.spawnTile) return super.getSpawnPosition();
+
+        return {
+            x: this.spawnTile.x * this.tileSize + this.tileSize / 2,
+            y: this.spawnTile.y * this.tileSize + this.tileSize / 2
+        };
+    }
+
+    // Rooms can swap a whole overlay type to a single tileset tile (e.g. forest logs)
+    renderOverlay(ctx, overlayType, x, y, tileX, tileY) {
+        const tile = this.overlaySprites[overlayType];
+        if (tile) {
+            const sprite = this.spriteLoader.getTileFromTileset(tile.x, tile.y);
+            if (sprite) {
+                ctx.drawImage(sprite, x, y, this.tileSize, this.tileSize);
+                return;
+            }
+        }
+        super.renderOverlay(ctx, overlayType, x, y, tileX, tileY);
+    }
+
+    // =====================================================
+    // NPCS
+    // =====================================================
+
+    spawnNpcs() {
+        for (const spawn of (this.definition.npcs || [])) {
+            const NpcClass = DataRoom.NPC_TYPES[spawn.type]();
+            if (!NpcClass) {
+                console.warn(`⚠️ Failed to spawn ${spawn.type} - class not available`);
+                continue;
+            }
+
+            // Everything besides type and position (name, stock, ...) is passed on as options
+            const x = spawn.x * this.tileSize + this.tileSize / 2;
+            const y = spawn.y * this.tileSize + this.tileSize / 2;
+            this.npcs.push(new NpcClass(x, y, this.spriteLoader, spawn));
+        }
+    }
+
+    // NPC close enough for the player to talk to
+    findNpcInRange(player) {
+        return this.npcs.find(npc => npc.isPlayerInRange(player)) || null;
+    }
+
+    renderNpcs(ctx, player) {
+        for (const npc of this.npcs) {
+            npc.render(ctx, player);
+        }
+    }
+
+    // =====================================================
+    // CHECKPOINTS
+    // =====================================================
+
+    setupCheckpoints() {
+        this.checkpoints = (this.definition.checkpoints || []).map(checkpoint => ({
+            room: this.roomName,
+            name: checkpoint.name || 'Checkpoint',
+            x: checkpoint.x * this.tileSize + this.tileSize / 2,
+            y: checkpoint.y * this.tileSize + this.tileSize / 2
+        }));
+    }
+
+    // Checkpoint the player is standing on, if any
+    findCheckpointAt(x, y) {
+        return this.checkpoints.find(checkpoint =>
+            Math.abs(checkpoint.x - x) <= DataRoom.CHECKPOINT_RANGE &&
+            Math.abs(checkpoint.y - y) <= DataRoom.CHECKPOINT_RANGE) || null;
+    }
+
+    /**
+     * Glowing rune under each checkpoint - gold for the one the player would respawn at
+     * @param {function} isActive - (checkpoint) => true for the game's current checkpoint
+     */
+    renderCheckpoints(ctx, isActive) {
+        for (const checkpoint of this.checkpoints) {
+            const active = isActive(checkpoint);
+            const pulse = 0.5 + Math.sin(Date.now() / 300) * 0.2;
+
+            ctx.save();
+            ctx.globalAlpha = active ? pulse + 0.2 : 0.45;
+            ctx.strokeStyle = active ? '#ffd700' : '#9ad7ff';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(checkpoint.x, checkpoint.y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(checkpoint.x, checkpoint.y - 4);
+            ctx.lineTo(checkpoint.x + 4, checkpoint.y);
+            ctx.lineTo(checkpoint.x, checkpoint.y + 4);
+            ctx.lineTo(checkpoint.x - 4, checkpoint.y);
+            ctx.closePath();
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    // =====================================================
+    // ANIMALS
+    // =====================================================
+
+    spawnAnimals() {
+        if (!this.spriteLoader) {
+            console.warn('⚠️ Cannot spawn animals - no sprite loader');
+            return;
+        }
+
+        for (const [index, spawn] of (this.definition.animals || []).entries()) {
+            try {
+                const animal = this.createAnimal(spawn);
+                if (animal) {
+                    animal.spawnId = index; // Stable id for save games
+                    this.animals.push(animal);
+                    console.log(`🐾 Spawned ${spawn.type} at (${spawn.x}, ${spawn.y})`);
+                } else {
+                    console.warn(`⚠️ Failed to spawn ${spawn.type} - class not available`);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Failed to spawn ${spawn.type}:`, error);
+            }
+        }
+
+        console.log(`🌟 Spawned ${this.animals.length} animals in ${this.roomName}`);
+    }
+
+    createAnimal(spawn) {
+        const AnimalClass = DataRoom.ANIMAL_TYPES[spawn.type]();
+        if (!AnimalClass) return null;
+
+        const x = spawn.x * this.tileSize + this.tileSize / 2;
+        const y = spawn.y * this.tileSize + this.tileSize / 2;
+        const animal = new AnimalClass(x, y, this.spriteLoader, spawn.options || {});
+        animal.spawnType = spawn.type;      // Room-file type name (objectives count defeats by it)
+        return animal;
+    }
+
+    /**
+     * Update every animal and clear out the dead
+     * @returns {Array} Animals defeated this update
+     */
+    updateAnimals(deltaTime, player) {
+        const defeated = [];
+        for (let i = this.animals.length - 1; i >= 0; i--) {
+            const animal = this.animals[i];
+            animal.update(deltaTime, player, this);
+
+            // Remove dead animals
+            if (animal.isDead) {
+                console.log(`💀 ${animal.constructor.name} defeated in ${this.roomName}!`);
+                this.recordAnimalDefeat(animal);
+                this.spawnDrops(animal.x, animal.y, animal.rollLoot ? animal.rollLoot() : []);
+                this.animals.splice(i, 1);
+                defeated.push(animal);
+            }
+        }
+        return defeated;
+    }
+
+    renderAnimals(ctx, camera) {
+        for (const animal of this.animals) {
+            animal.render(ctx, camera);
+        }
+    }
+
+    // =====================================================
+    // BOSS
+    // =====================================================
+
+    spawnBoss() {
+        const spawn = this.definition.boss;
+        if (!spawn || !this.spriteLoader) return;
+
+        const BossClass = DataRoom.BOSS_TYPES[spawn.type]();
+        if (!BossClass) {
+            console.warn(`⚠️ Failed to spawn boss ${spawn.type} - class not available`);
+            return;
+        }
+
+        const x = spawn.x * this.tileSize + this.tileSize / 2;
+        const y = spawn.y * this.tileSize + this.tileSize / 2;
+        const boss = new BossClass(x, y, this.spriteLoader, spawn.options || {});
+        boss.spawnId = 'boss';              // Saved as defeated like any other animal
+        boss.spawnType = spawn.type;
+        this.animals.push(boss);
+        this.bossEncounter = new BossEncounter(this, boss, { arena: spawn.arena });
+        console.log(`👑 ${boss.bossName} waits in ${this.roomName}`);
+    }
+
+    // @returns {boolean} True on the update the boss fight is won (or found already won in a save)
+    updateBossEncounter(deltaTime, player) {
+        return this.bossEncounter ? this.bossEncounter.update(deltaTime, player) : false;
+    }
+}
+
+// Legends used when a room file doesn't bring its own
+DataRoom.DEFAULT_LEGENDS = {
+    tileLegend: { '.': 'GRASS', '=': 'ROAD', '~': 'WATER' },
+    overlayLegend: { '.': null, 'T': 'TREE', 'b': 'BUSH', 's': 'STUMP', 'F': 'FOUNTAIN', 'L': 'WOOD_LOG', 'H': 'HOUSE' }
+};
+
+// How close (pixels, on each axis) the player has to be to a checkpoint's tile centre to reach it
+DataRoom.CHECKPOINT_RANGE = 12;
+
+// NPC type names allowed in room files (looked up lazily, like animals)
+DataRoom.NPC_TYPES = {
+    merchant: () => typeof Merchant !== 'undefined' ? Merchant : null
+};
+
+// Animal type names allowed in room files. Looked up lazily because the
+// npc scripts load after the room scripts.
+DataRoom.ANIMAL_TYPES = {
+    wolf: () => typeof Wolf !== 'undefined' ? Wolf : null,
+    dire_wolf: () => typeof Wolf !== 'undefined' ? Wolf : null,    // Bigger wolf - stats come from "options"
+    bear: () => typeof Bear !== 'undefined' ? Bear : null,
+    snake: () => typeof Snake !== 'undefined' ? Snake : null,
+    beetle: () => typeof Beetle !== 'undefined' ? Beetle : null
+};
+
+// Boss type names allowed in a room's "boss" entry
+DataRoom.BOSS_TYPES = {
+    alpha_wolf: () => typeof AlphaWolf !== 'undefined' ? AlphaWolf : null
+};
@@ -1,5 +1,5 @@
 class RoomManager {
-    constructor(spriteLoader) {
+    constructor(spriteLoader, startRoom = 'main') {
         this.spriteLoader = spriteLoader;
         this.currentRoom = null;
         this.rooms = new Map();
@@ -9,9 +9,9 @@ class RoomManager {
             // Initialize rooms
             this.initializeRooms();
             
-            // Start in main room
-            console.log('🏠 Switching to main room...');
-            this.switchToRoom('main');
+            // Start in the requested room (main unless play-testing an editor room)
+            console.log(`🏠 Switching to ${startRoom} room...`);
+            this.switchToRoom(startRoom);
             console.log('✅ RoomManager initialized successfully');
         } catch (error) {
             console.error('❌ RoomManager initialization failed:', error);
@@ -27,13 +27,74 @@ class RoomManager {
     }
     
     initializeRooms() {
-        // Only create rooms when needed to save memory
-        this.roomCreators = {
-            'main': () => new MainRoom(this.spriteLoader),
-            'staff_room': () => new StaffRoom(this.spriteLoader),
-            'forest': () => new ForestRoom(this.spriteLoader)
-            // Add more rooms as needed
+        // Rooms come from the JSON files preloaded by RoomManager.loadDefinitions()
+        // and are only built when first visited to save memory
+        this.roomCreators = {};
+        for (const [roomName, definition] of RoomManager.definitions) {
+            this.roomCreators[roomName] = () => new DataRoom(this.spriteLoader, definition);
+        }
+    }
+    
+    /**
+     * Fetch room files, starting from one room and following its exits
+     * Invalid or missing rooms are reported and skipped - getRoom() falls back
+     * to an empty BaseRoom for them.
+     * @param {string|string[]} startRooms - Room(s) to start from
+     * @param {function} callback - Called once every reachable room has been tried
+     */
+    static loadDefinitions(startRooms, callback) {
+        const queue = [].concat(startRooms);
+        const visited = new Set();
+        
+        const loadNext = () => {
+            // Skip rooms that are already loaded or were tried this run
+            while (queue.length > 0 && (visited.has(queue[0]) || RoomManager.definitions.has(queue[0]))) {
+                queue.shift();
+            }
+            if (queue.length === 0) {
+                console.log(`🗺️ ${RoomManager.definitions.size} room definitions ready`);
+                if (callback) callback();
+                return;
+            }
+            
+            const roomName = queue.shift();
+            visited.add(roomName);
+            
+            RoomManager.fetchDefinition(roomName).then((definition) => {
+                RoomManager.definitions.set(roomName, definition);
+                console.log(`✅ Loaded room definition: ${roomName}`);
+                
+                for (const exit of definition.exits || []) {
+                    queue.push(exit.targetRoom);
+                }
+            }).catch((error) => {
+                console.error(`❌ Could not load room '${roomName}':`, error.message);
+            }).then(loadNext);
         };
+        
+        loadNext();
+    }
+    
+    static fetchDefinition(roomName) {
+        const path = `${RoomManager.ROOM_PATH}${roomName}.json`;
+        
+        return fetch(path).then((response) => {
+            if (!response.ok) {
+                throw new Error(`${path} returned ${response.status}`);
+            }
+            return response.json().catch((error) => {
+                throw new Error(`${path} is not valid JSON (${error.message})`);
+            });
+        }).then((definition) => {
+            const errors = DataRoom.validate(definition);
+            if (errors.length === 0 && definition.name !== roomName) {
+                errors.push(`"name" is "${definition.name}" but the file is ${roomName}.json`);
+            }
+            if (errors.length > 0) {
+                throw new Error(DataRoom.formatErrors({ name: roomName }, errors));
+            }
+            return definition;
+        });
     }
     
     getRoom(roomName) {
@@ -78,6 +139,7 @@ class RoomManager {
     
     checkExits(playerX, playerY) {
         if (!this.currentRoom || !this.currentRoom.exits) return null;
+        if (this.currentRoom.exitsLocked) return null;   // Boss fight in progress
         
         const playerTileX = Math.floor(playerX / this.currentRoom.tileSize);
         const playerTileY = Math.floor(playerY / this.currentRoom.tileSize);
@@ -93,9 +155,20 @@ class RoomManager {
     
     handleRoomTransition(exit) {
         if (exit && exit.targetRoom) {
-            this.switchToRoom(exit.targetRoom, exit.targetX, exit.targetY);
+            // Exit targets are tiles - land in the middle of the target tile
+            const tileSize = this.currentRoom.tileSize;
+            this.switchToRoom(
+                exit.targetRoom,
+                exit.targetX * tileSize + tileSize / 2,
+                exit.targetY * tileSize + tileSize / 2
+            );
             return this.getSpawnPosition();
         }
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Room files live in assets/rooms/<name>.json
+RoomManager.ROOM_PATH = 'assets/rooms/';
+RoomManager.definitions = new Map();   // Room name -> validated definition, shared by every RoomManager
+RoomManager.PLAYTEST_KEY = 'llamaKnight.editorRoom';   // localStorage key the map editor's "Play this room" writes
@@ -0,0 +1,111 @@
+/**
+ * Chain Lightning
+ *
+ * The bolt you see when the chain lightning spell is cast. ZeldaGame picks
+ * the targets (pickTargets) and deals the damage; this just draws jagged
+ * arcs from the staff through every animal hit, flickering for a moment.
+ */
+class ChainLightning {
+    /**
+     * @param {Array} points - [{ x, y }] staff first, then every target in the order it was struck
+     * @param {string} color - Arc color (the spell's color)
+     */
+    constructor(points, color = '#f7f06d') {
+        this.points = points;
+        this.color = color;
+        this.layer = 'air';                 // Drawn above the player
+        this.timeLeft = ChainLightning.DURATION;
+        this.active = true;
+    }
+
+    /**
+     * Who the lightning strikes: the animal nearest the aim point (within range
+     * of the staff), then each time the nearest one it hasn't hit yet within jumpRange
+     * @param {HittableRegistry} hittables - Everything that can be hit
+     * @param {object} origin - Staff position { x, y }
+     * @param {object} aim - Where the player aimed { x, y }
+     * @param {object} options - { range, jumpRange, maxTargets }
+     * @returns {Array} Targets in strike order (empty if nothing was in range)
+     */
+    static pickTargets(hittables, origin, aim, options) {
+        const inRange = hittables.queryRadius(origin.x, origin.y, options.range);
+        const targets = [];
+        let current = ChainLightning.findNearest(inRange, aim.x, aim.y);
+
+        while (current && targets.length < options.maxTargets) {
+            targets.push(current);
+            const candidates = hittables.queryRadius(current.x, current.y, options.jumpRange)
+                .filter(entity => !targets.includes(entity));
+            current = ChainLightning.findNearest(candidates, current.x, current.y);
+        }
+        return targets;
+    }
+
+    static findNearest(entities, x, y) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const entity of entities) {
+            const distance = Math.hypot(entity.x - x, entity.y - y);
+            if (distance < nearestDistance) {
+                nearest = entity;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    update(deltaTime) {
+        this.timeLeft -= deltaTime;
+        if (this.timeLeft <= 0) {
+            this.active = false;
+        }
+    }
+
+    render(ctx) {
+        if (!this.active || this.points.length < 2) return;
+
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, this.timeLeft / (ChainLightning.DURATION / 2));
+        ctx.lineJoin = 'round';
+
+        // A wide glow under a thin white-hot core, re-jagged every frame so it crackles
+        for (const [width, color] of [[4, this.color], [1.5, '#ffffff']]) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.beginPath();
+            for (let i = 1; i < this.points.length; i++) {
+                this.traceArc(ctx, this.points[i - 1], this.points[i]);
+            }
+            ctx.stroke();
+        }
+
+        // Sparks where it struck
+        ctx.fillStyle = '#ffffff';
+        for (const point of this.points.slice(1)) {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    // Zig-zag between two points, kinked sideways at random
+    traceArc(ctx, from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const normalX = -dy / length;
+        const normalY = dx / length;
+        const segments = Math.max(2, Math.round(length / 10));
+
+        ctx.moveTo(from.x, from.y);
+        for (let i = 1; i < segments; i++) {
+            const along = i / segments;
+            const offset = (Math.random() - 0.5) * 10;
+            ctx.lineTo(from.x + dx * along + normalX * offset, from.y + dy * along + normalY * offset);
+        }
+        ctx.lineTo(to.x, to.y);
+    }
+}
+
+ChainLightning.DURATION = 300;              // How long the arcs stay on screen (ms)
@@ -0,0 +1,83 @@
+/**
+ * Healing Ward
+ *
+ * Circle of light left on the ground by the healing ward spell. While the
+ * player stands inside it they regenerate (the 'regen' status effect, kept
+ * topped up every step), and it fades once its time is up.
+ */
+class HealingWard {
+    /**
+     * @param {number} x - Center (world pixels)
+     * @param {number} y
+     * @param {object} options - { radius (px), duration (ms), heal per tick, interval (ms between ticks), color }
+     */
+    constructor(x, y, options = {}) {
+        this.x = x;
+        this.y = y;
+        this.radius = options.radius || 36;
+        this.duration = options.duration || 4000;
+        this.heal = options.heal || 4;
+        this.interval = options.interval || 500;
+        this.color = options.color || '#6fe39a';
+        this.layer = 'ground';              // Drawn under the player
+        this.timeLeft = this.duration;
+        this.active = true;
+    }
+
+    contains(entity) {
+        return Math.hypot(entity.x - this.x, entity.y - this.y) <= this.radius;
+    }
+
+    /**
+     * @param {ZeldaGame} game - For the player standing in it
+     */
+    update(deltaTime, game) {
+        this.timeLeft -= deltaTime;
+        if (this.timeLeft <= 0) {
+            this.active = false;
+            return;
+        }
+
+        // Short regen that keeps being refreshed - it runs out soon after stepping outside
+        const player = game.player;
+        if (player && player.statusEffects && this.contains(player)) {
+            player.statusEffects.apply('regen', {
+                duration: this.interval,
+                interval: this.interval,
+                tickHeal: this.heal,
+                stacking: 'refresh'
+            });
+        }
+    }
+
+    render(ctx) {
+        if (!this.active) return;
+
+        // Fade in over the first moment and out over the last second
+        const fade = Math.min(1, (this.duration - this.timeLeft) / 200, this.timeLeft / 1000);
+        const pulse = 0.85 + Math.sin(this.timeLeft * 0.008) * 0.15;
+
+        ctx.save();
+        ctx.globalAlpha = 0.25 * fade;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 0.8 * fade;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * pulse, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Motes drifting up out of the circle
+        ctx.fillStyle = '#ffffff';
+        for (let i = 0; i < 6; i++) {
+            const angle = i * Math.PI / 3 + this.timeLeft * 0.0015;
+            const rise = ((this.timeLeft * 0.02 + i * 7) % 14);
+            ctx.fillRect(this.x + Math.cos(angle) * this.radius * 0.6, this.y + Math.sin(angle) * this.radius * 0.4 - rise, 1.5, 1.5);
+        }
+        ctx.restore();
+    }
+}
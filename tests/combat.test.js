@@ -0,0 +1,224 @@
+/**
+ * Combat - sword swings, fireballs and explosions land on the room's animals
+ *
+ * Runs ZeldaGame's real updateProjectiles/checkCombat against a stub room.
+ * Animals live in room.animals (game.enemies stays empty) and are found
+ * through the HittableRegistry. Most tests use bare stub animals; the last
+ * ones put a real Wolf in the room so its takeSwordHit/takeFireballHit run.
+ *
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const game = loadScripts([
+    'js/zelda/ItemRegistry.js',
+    'js/zelda/Projectile.js',
+    'js/zelda/HittableRegistry.js',
+    'js/zelda/HitReaction.js',
+    'js/zelda/StatusEffects.js',
+    'js/zelda/SeededRandom.js',
+    'js/zelda/LootTable.js',
+    'js/zelda/npcs/Enemy.js',
+    'js/zelda/npcs/Wolf.js',
+    'js/zelda/Game.js'
+]);
+
+// Sprites never load in the sandbox - wolves just go without
+const spriteLoader = { getAnimal: () => null };
+
+const STEP = 1000 / 60;
+
+// Bare-bones animal - takeDamage is all the combat code needs
+class StubAnimal {
+    constructor(x, y, health = 100) {
+        this.x = x;
+        this.y = y;
+        this.width = 24;
+        this.health = health;
+        this.isDead = false;
+    }
+
+    takeDamage(amount) {
+        this.health -= amount;
+        if (this.health <= 0) this.isDead = true;
+    }
+}
+
+// Open field with a wall everywhere right of wallX
+function createRoom(animals, wallX = Infinity) {
+    return {
+        animals: animals,
+        fireTiles: [],
+        isSolidAt: (x) => x >= wallX,
+        createFireTiles(x, y, radius) {
+            this.fireTiles.push({ x, y, radius });
+        }
+    };
+}
+
+// A ZeldaGame with only the combat state - the constructor needs a canvas
+function createGame(room) {
+    const zelda = Object.create(game.ZeldaGame.prototype);
+    zelda.gameMap = room;
+    zelda.enemies = [];
+    zelda.projectiles = [];
+    zelda.player = { x: 0, y: 0, swordHitbox: null, swordHitTargets: new Set() };
+    zelda.hittables = new game.HittableRegistry();
+    zelda.hittables.registerSource('room', () => zelda.gameMap.animals);
+    zelda.hittables.registerSource('enemies', () => zelda.enemies);
+    return zelda;
+}
+
+function step(zelda, updates) {
+    for (let i = 0; i < updates; i++) {
+        zelda.updateProjectiles(STEP);
+        zelda.checkCombat();
+    }
+}
+
+test('a fireball hits an animal in the room', () => {
+    const wolf = new StubAnimal(160, 100);
+    const zelda = createGame(createRoom([wolf]));
+    zelda.projectiles.push(new game.ZeldaProjectile(100, 100, 160, 100, 'fireball'));
+
+    step(zelda, 30);
+
+    assert.ok(wolf.health < 100, `wolf health should drop, is ${wolf.health}`);
+    assert.strictEqual(zelda.projectiles.length, 0, 'the fireball is used up by the hit');
+});
+
+test('a fireball only hits the first animal in its way', () => {
+    const front = new StubAnimal(160, 100);
+    const behind = new StubAnimal(220, 100);
+    const zelda = createGame(createRoom([front, behind]));
+    zelda.projectiles.push(new game.ZeldaProjectile(100, 100, 300, 100, 'fireball'));
+
+    step(zelda, 60);
+
+    assert.ok(front.health < 100);
+    assert.strictEqual(behind.health, 100);
+});
+
+test('a charged fireball explodes on its target and splashes animals nearby', () => {
+    const target = new StubAnimal(160, 100);
+    const nearby = new StubAnimal(160, 140);
+    const farAway = new StubAnimal(160, 300);
+    const room = createRoom([target, nearby, farAway]);
+    const zelda = createGame(room);
+    zelda.projectiles.push(new game.ZeldaProjectile(100, 100, 160, 100, 'charged_fireball'));
+
+    step(zelda, 40);
+
+    const directHit = 100 - target.health;
+    assert.ok(directHit > 0, 'direct hit lands');
+    assert.ok(nearby.health < 100, 'explosion reaches the animal in its radius');
+    assert.strictEqual(farAway.health, 100, 'explosion stops at its radius');
+    assert.strictEqual(room.fireTiles.length, 1, 'explosion sets the ground alight');
+
+    // The explosion skips the animal the fireball hit - it isn't damaged twice
+    const single = new StubAnimal(160, 100);
+    const alone = createGame(createRoom([single]));
+    alone.projectiles.push(new game.ZeldaProjectile(100, 100, 160, 100, 'charged_fireball'));
+    step(alone, 40);
+    assert.strictEqual(100 - single.health, directHit);
+});
+
+test('a charged fireball hitting a wall explodes onto animals next to it', () => {
+    const wolf = new StubAnimal(180, 120);
+    const room = createRoom([wolf], 200);
+    const zelda = createGame(room);
+    zelda.projectiles.push(new game.ZeldaProjectile(100, 100, 300, 100, 'charged_fireball'));
+
+    step(zelda, 60);
+
+    assert.ok(wolf.health < 100, `wolf by the wall should be caught in the blast, health ${wolf.health}`);
+    assert.strictEqual(zelda.projectiles.length, 0);
+});
+
+test('a sword swing hits every animal in its arc once', () => {
+    const inFront = new StubAnimal(30, 0);
+    const alsoInFront = new StubAnimal(25, 12);
+    const behind = new StubAnimal(-30, 0);
+    const zelda = createGame(createRoom([inFront, alsoInFront, behind]));
+    zelda.player.swordHitbox = { x: 0, y: 0, radius: 32, startAngle: -Math.PI / 3, endAngle: Math.PI / 3, attack: { damage: 1 } };
+
+    step(zelda, 5);
+
+    assert.strictEqual(inFront.health, 70);
+    assert.strictEqual(alsoInFront.health, 70);
+    assert.strictEqual(behind.health, 100);
+});
+
+test('dead and hidden animals are not hit', () => {
+    const dead = new StubAnimal(30, 0);
+    dead.isDead = true;
+    const hidden = new StubAnimal(30, 5);
+    hidden.isHidden = true;
+    const zelda = createGame(createRoom([dead, hidden]));
+    zelda.player.swordHitbox = { x: 0, y: 0, radius: 32, startAngle: -Math.PI / 3, endAngle: Math.PI / 3, attack: {} };
+
+    step(zelda, 1);
+
+    assert.strictEqual(dead.health, 100);
+    assert.strictEqual(hidden.health, 100);
+});
+
+// =====================================================
+// REAL ANIMALS - Enemy's own hit methods, scaled by player level
+// =====================================================
+
+test('a fireball hits a Wolf through takeFireballHit', () => {
+    const wolf = new game.Wolf(160, 100, spriteLoader);
+    const zelda = createGame(createRoom([wolf]));
+    zelda.player.level = 3;
+    zelda.projectiles.push(new game.ZeldaProjectile(100, 100, 160, 100, 'fireball'));
+
+    step(zelda, 30);
+
+    // 21 base damage x1.4 at level 3 - the takeDamage fallback would only deal 21
+    assert.strictEqual(wolf.health, wolf.maxHealth - 29);
+    assert.strictEqual(zelda.projectiles.length, 0);
+});
+
+test('a charged fireball explosion splashes a Wolf next to its target and sets it burning', () => {
+    const target = new game.Wolf(160, 100, spriteLoader);
+    const nearby = new game.Wolf(160, 140, spriteLoader);
+    const room = createRoom([target, nearby]);
+    const zelda = createGame(room);
+    zelda.projectiles.push(new game.ZeldaProjectile(100, 100, 160, 100, 'charged_fireball'));
+
+    step(zelda, 40);
+
+    assert.strictEqual(target.health, target.maxHealth - 48, 'direct hit, no second helping from the blast');
+    assert.strictEqual(nearby.health, nearby.maxHealth - 48, 'splash is a charged hit too');
+    assert.ok(nearby.statusEffects.has('burn'), 'the blast sets the wolf alight');
+    assert.strictEqual(room.fireTiles.length, 1);
+});
+
+test('a sword swing hits a Wolf through takeSwordHit with the combo multiplier', () => {
+    const wolf = new game.Wolf(30, 0, spriteLoader);
+    const zelda = createGame(createRoom([wolf]));
+    zelda.player.level = 2;
+    zelda.player.swordHitbox = { x: 0, y: 0, radius: 40, startAngle: -Math.PI / 3, endAngle: Math.PI / 3, attack: { damage: 1.5, knockback: 1 } };
+
+    step(zelda, 5);
+
+    // 30 x1.5 combo x1.2 at level 2 - once, however many updates the swing lasts
+    assert.strictEqual(wolf.health, wolf.maxHealth - 54);
+});
+
+test('a Wolf killed by a fireball dies and gives the player its XP', () => {
+    const wolf = new game.Wolf(160, 100, spriteLoader);
+    wolf.health = 10;
+    const zelda = createGame(createRoom([wolf]));
+    let xp = 0;
+    zelda.player.gainXP = (amount) => { xp += amount; };
+    zelda.projectiles.push(new game.ZeldaProjectile(100, 100, 160, 100, 'fireball'));
+
+    step(zelda, 30);
+
+    assert.strictEqual(wolf.isDead, true);
+    assert.strictEqual(xp, wolf.xpReward);
+});
@@ -0,0 +1,37 @@
+/**
+ * Test helper - loads game scripts into a Node vm context
+ *
+ * The game has no modules: index.html loads each file with a <script> tag and
+ * the classes end up as globals. This does the same in a sandbox, so tests can
+ * use the real classes without a browser. Only the scripts a test names are
+ * loaded - anything else they touch has to be stubbed in `globals`.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {string[]} scripts - Paths from the repo root, in index.html order
+ * @param {object} globals - Extra globals for the sandbox (stubs)
+ * @returns {object} The sandbox - every class, const and function the scripts declare is on it
+ */
+function loadScripts(scripts, globals = {}) {
+    const quiet = { log() {}, info() {}, warn() {}, error() {} };
+    const sandbox = Object.assign({ console: quiet, Math, JSON, Date, Map, Set, Promise }, globals);
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    for (const script of scripts) {
+        const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(source, sandbox, { filename: script });
+
+        // Top-level class/const declarations aren't properties of the global object - copy them over
+        const names = [...source.matchAll(/^(?:class|const|function) (\w+)/gm)].map(match => match[1]);
+        vm.runInContext(names.map(name => `globalThis.${name} = ${name};`).join('\n'), sandbox);
+    }
+    return sandbox;
+}
+
+module.exports = { loadScripts };
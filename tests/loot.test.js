@@ -0,0 +1,200 @@
+/**
+ * Loot tables - seeded rolls give the exact same drops every run
+ *
+ * The second half kills a real Wolf in a tiny DataRoom and follows its loot
+ * from the ground (spawnDrops) through the magnet pull and despawn timer
+ * (updateDrops) to the pickup (checkItemCollection).
+ *
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const game = loadScripts([
+    'js/zelda/ItemRegistry.js',
+    'js/zelda/HitReaction.js',
+    'js/zelda/StatusEffects.js',
+    'js/zelda/SeededRandom.js',
+    'js/zelda/LootTable.js',
+    'js/zelda/Pathfinder.js',
+    'js/zelda/rooms/BaseRoom.js',
+    'js/zelda/rooms/DataRoom.js',
+    'js/zelda/npcs/Enemy.js',
+    'js/zelda/npcs/Wolf.js'
+]);
+
+const STEP = 1000 / 60;
+
+const LOOT = {
+    rolls: 2,
+    entries: [
+        { type: 'coin', weight: 40, amount: [1, 5] },
+        { type: 'heart', weight: 25 },
+        { type: 'stamina_orb', weight: 10 },
+        { type: null, weight: 25 }
+    ]
+};
+
+// Drops copied out of the sandbox so deepStrictEqual compares plain arrays
+function roll(table, random) {
+    return JSON.parse(JSON.stringify(table.roll(random)));
+}
+
+test('SeededRandom follows mulberry32', () => {
+    const random = new game.SeededRandom(42);
+    assert.deepStrictEqual([random.next(), random.next(), random.next()],
+        [0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+});
+
+test('a seeded loot table rolls the same drops every run', () => {
+    const table = new game.LootTable(LOOT);
+    const random = new game.SeededRandom(42);
+    const drops = [];
+    for (let i = 0; i < 8; i++) {
+        drops.push(roll(table, random));
+    }
+
+    assert.deepStrictEqual(drops, [
+        [{ type: 'heart', amount: 1 }, { type: 'heart', amount: 1 }],
+        [{ type: 'stamina_orb', amount: 1 }],
+        [{ type: 'coin', amount: 3 }, { type: 'coin', amount: 4 }],
+        [{ type: 'heart', amount: 1 }],
+        [{ type: 'coin', amount: 5 }, { type: 'stamina_orb', amount: 1 }],
+        [{ type: 'coin', amount: 1 }, { type: 'heart', amount: 1 }],
+        [{ type: 'stamina_orb', amount: 1 }, { type: 'heart', amount: 1 }],
+        [{ type: 'coin', amount: 3 }]
+    ]);
+});
+
+test('two tables with the same seed drop the same loot', () => {
+    const first = { table: new game.LootTable(LOOT), random: new game.SeededRandom(1234) };
+    const second = { table: new game.LootTable(LOOT), random: new game.SeededRandom(1234) };
+
+    for (let i = 0; i < 50; i++) {
+        assert.deepStrictEqual(roll(first.table, first.random), roll(second.table, second.random), `roll ${i}`);
+    }
+});
+
+test('re-seeding the shared LootTable.random replays its drops', () => {
+    const table = new game.LootTable(LOOT);
+    game.LootTable.random.setSeed(7);
+    const firstRun = [roll(table), roll(table), roll(table)];
+    game.LootTable.random.setSeed(7);
+    const secondRun = [roll(table), roll(table), roll(table)];
+
+    assert.deepStrictEqual(secondRun, firstRun);
+});
+
+test('a different seed gives different drops', () => {
+    const table = new game.LootTable(LOOT);
+    const rolls = (seed) => {
+        const random = new game.SeededRandom(seed);
+        return Array.from({ length: 10 }, () => roll(table, random));
+    };
+    assert.notDeepStrictEqual(rolls(1), rolls(2));
+});
+
+test('entries with unknown items or no weight are left out', () => {
+    const table = new game.LootTable({
+        entries: [{ type: 'dragon_egg', weight: 50 }, { type: 'heart', weight: 0 }, { type: 'coin', weight: 1 }]
+    });
+    assert.strictEqual(table.entries.length, 1);
+    assert.deepStrictEqual(roll(table, new game.SeededRandom(3)), [{ type: 'coin', amount: 1 }]);
+});
+
+// =====================================================
+// DROPS IN A ROOM
+// =====================================================
+
+// An 8x6 meadow with one wolf that drops two rolls of coins or knight armor
+function createRoom() {
+    const definition = {
+        name: 'meadow',
+        width: 8,
+        height: 6,
+        tileLegend: { '.': 'GRASS' },
+        overlayLegend: { '.': null },
+        tiles: Array(6).fill('........'),
+        overlays: Array(6).fill('........'),
+        items: [],
+        exits: [],
+        animals: [{
+            type: 'wolf', x: 4, y: 3,
+            options: { loot: { rolls: 2, entries: [{ type: 'coin', weight: 3, amount: [2, 6] }, { type: 'knight', weight: 1 }] } }
+        }]
+    };
+    return new game.DataRoom({ getAnimal: () => null }, definition);
+}
+
+// Kill the room's wolf and let the room clear it away, dropping its loot
+function killWolf(room, seed, player = { x: 1000, y: 1000, magnetRadius: 40 }) {
+    game.LootTable.random.setSeed(seed);
+    room.animals[0].takeDamage(1000, 0, 0);
+    room.updateAnimals(STEP, player);
+}
+
+// Drops copied out of the sandbox, positions rounded to the pixel
+function dropsIn(room) {
+    return Array.from(room.drops, drop => ({ type: drop.type, amount: drop.amount, x: Math.round(drop.x), y: Math.round(drop.y) }));
+}
+
+test('a wolf killed in a room scatters its seeded loot around where it fell', () => {
+    const room = createRoom();
+    killWolf(room, 4);
+
+    assert.strictEqual(room.animals.length, 0);
+    assert.deepStrictEqual(dropsIn(room), [
+        { type: 'knight', amount: 1, x: 79, y: 60 },
+        { type: 'coin', amount: 3, x: 65, y: 56 }
+    ]);
+
+    const again = createRoom();
+    killWolf(again, 4);
+    assert.deepStrictEqual(dropsIn(again), dropsIn(room), 'same seed, same drops in the same places');
+});
+
+test('drops in magnet range fly to the player and are picked up', () => {
+    const room = createRoom();
+    killWolf(room, 4);
+    const player = { x: 64, y: 80, magnetRadius: 40 };
+
+    const picked = [];
+    for (let i = 0; i < 60 && room.drops.length > 0; i++) {
+        room.updateDrops(STEP, player);
+        const drop = room.checkItemCollection(player.x, player.y);
+        if (drop) picked.push(drop.type + ' x' + drop.amount);
+    }
+
+    assert.deepStrictEqual(picked.sort(), ['coin x3', 'knight x1']);
+    assert.strictEqual(room.drops.length, 0, 'picked-up drops are cleared from the ground');
+});
+
+test('drops left on the ground vanish after their lifetime, equipment never does', () => {
+    const room = createRoom();
+    killWolf(room, 4);
+    const farAway = { x: 1000, y: 1000, magnetRadius: 40 };
+
+    room.updateDrops(room.DROP_LIFETIME - 1, farAway);
+    assert.strictEqual(room.drops.length, 2, 'still there just before the timer runs out');
+
+    room.updateDrops(1, farAway);
+    assert.deepStrictEqual(dropsIn(room).map(drop => drop.type), ['knight']);
+
+    room.updateDrops(room.DROP_LIFETIME * 10, farAway);
+    assert.deepStrictEqual(dropsIn(room).map(drop => drop.type), ['knight']);
+});
+
+test('a drop already flying to the player is not lost when its timer runs out', () => {
+    const room = createRoom();
+    room.spawnDrops(64, 48, [{ type: 'coin', amount: 1 }]);
+    const player = { x: 100, y: 48, magnetRadius: 40 };
+
+    room.updateDrops(STEP, player);
+    assert.ok(room.drops[0].isMagnetized);
+    assert.ok(room.drops[0].x > 64, 'pulled towards the player');
+
+    room.drops[0].lifetime = 1;
+    room.updateDrops(STEP, player);
+    assert.strictEqual(room.drops.length, 1, 'still on its way');
+});
@@ -0,0 +1,138 @@
+/**
+ * Pathfinder - A* routes on tiny hand-made rooms
+ *
+ * Rooms are real BaseRooms shrunk to a few tiles. With a 16px agent every
+ * path node is one tile, so the grids below read like the rooms they build
+ * ('T' is a tree, '.' is grass).
+ *
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const game = loadScripts([
+    'js/zelda/rooms/BaseRoom.js',
+    'js/zelda/Pathfinder.js'
+]);
+
+const TILE = 16;
+
+function createRoom(rows) {
+    const room = new game.BaseRoom(null, 'test');
+    room.width = rows[0].length;
+    room.height = rows.length;
+    room.initializeMap();
+    rows.forEach((row, y) => [...row].forEach((char, x) => {
+        if (char === 'T') room.setOverlay(x, y, game.BaseRoom.TILE_TYPES.TREE);
+    }));
+    return room;
+}
+
+// Path between tiles for a one-tile agent - copied out of the sandbox so deepStrictEqual
+// compares plain arrays from this realm
+function findPath(room, from, to) {
+    const path = room.getPathfinder().findPath(from.x * TILE, from.y * TILE, to.x * TILE, to.y * TILE, { size: TILE });
+    return JSON.parse(JSON.stringify(path));
+}
+
+// Every leg of the path can be walked in a straight line
+function assertWalkable(room, from, path) {
+    let previous = { x: from.x * TILE, y: from.y * TILE };
+    for (const point of path) {
+        assert.ok(room.getPathfinder().hasClearLine(previous.x, previous.y, point.x, point.y, TILE),
+            `leg (${previous.x}, ${previous.y}) -> (${point.x}, ${point.y}) runs into a tree`);
+        previous = point;
+    }
+}
+
+test('the route goes around solid tiles', () => {
+    const room = createRoom([
+        '.......',
+        '...T...',
+        '...T...',
+        '...T...',
+        '.......'
+    ]);
+    const path = findPath(room, { x: 1, y: 2 }, { x: 5, y: 2 });
+
+    assert.ok(path && path.length > 1, 'a path with a detour');
+    assert.deepStrictEqual(path[path.length - 1], { x: 5 * TILE, y: 2 * TILE });
+    assertWalkable(room, { x: 1, y: 2 }, path);
+    assert.ok(path.some(point => point.y === 0 || point.y === 4 * TILE), 'passes above or below the wall');
+});
+
+test('open ground is crossed in a straight line', () => {
+    const room = createRoom([
+        '.....',
+        '.....',
+        '.....'
+    ]);
+    // The first step is always kept; everything between it and the goal is smoothed away
+    assert.deepStrictEqual(findPath(room, { x: 0, y: 1 }, { x: 4, y: 1 }), [{ x: 1 * TILE, y: 1 * TILE }, { x: 4 * TILE, y: 1 * TILE }]);
+});
+
+test('an unreachable goal gets no path to it', () => {
+    const room = createRoom([
+        '...T...',
+        '...T...',
+        '...T...'
+    ]);
+    const path = findPath(room, { x: 1, y: 1 }, { x: 5, y: 1 });
+
+    // Nothing gets past the wall - the route gives up at the closest tile on this side
+    assert.ok(path.every(point => point.x < 3 * TILE), 'no waypoint beyond the wall');
+    assert.notDeepStrictEqual(path[path.length - 1], { x: 5 * TILE, y: 1 * TILE });
+    assertWalkable(room, { x: 1, y: 1 }, path);
+});
+
+test('a start boxed in by trees has nowhere to go', () => {
+    const room = createRoom([
+        'TTT..',
+        'T.T..',
+        'TTT..'
+    ]);
+    assert.deepStrictEqual(findPath(room, { x: 1, y: 1 }, { x: 4, y: 1 }), []);
+});
+
+test('a start inside solid tiles has no path at all', () => {
+    const room = createRoom([
+        'TTT..',
+        'TTT..',
+        'TTT..'
+    ]);
+    assert.strictEqual(findPath(room, { x: 1, y: 1 }, { x: 4, y: 1 }), null);
+});
+
+test('start equal to goal is an empty path', () => {
+    const room = createRoom([
+        '...',
+        '.T.',
+        '...'
+    ]);
+    assert.deepStrictEqual(findPath(room, { x: 0, y: 2 }, { x: 0, y: 2 }), []);
+});
+
+test('cached paths are thrown away when an overlay changes', () => {
+    const room = createRoom([
+        '...T...',
+        '...T...',
+        '...T...'
+    ]);
+    const pathfinder = room.getPathfinder();
+    const blocked = findPath(room, { x: 1, y: 1 }, { x: 5, y: 1 });
+    assert.ok(blocked.every(point => point.x < 3 * TILE));
+    assert.strictEqual(pathfinder.cache.size, 1);
+
+    // Asking again comes from the cache
+    findPath(room, { x: 1, y: 1 }, { x: 5, y: 1 });
+    assert.strictEqual(pathfinder.cache.size, 1);
+
+    // The middle tree burns down to a stump - stumps can be walked over
+    room.burnOutOverlay(3, 1, game.BaseRoom.TILE_TYPES.TREE);
+    assert.strictEqual(room.overlays[1][3], game.BaseRoom.TILE_TYPES.STUMP);
+
+    const open = findPath(room, { x: 1, y: 1 }, { x: 5, y: 1 });
+    assert.deepStrictEqual(open, [{ x: 2 * TILE, y: 1 * TILE }, { x: 5 * TILE, y: 1 * TILE }], 'straight through the gap');
+    assert.strictEqual(pathfinder.cache.size, 1, 'the old path was dropped');
+});
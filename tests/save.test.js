@@ -0,0 +1,67 @@
+/**
+ * Saves - room items picked up before a save stay picked up after loading,
+ * even when the room file's item list has changed in between
+ *
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const game = loadScripts([
+    'js/zelda/ItemRegistry.js',
+    'js/zelda/SaveManager.js',
+    'js/zelda/rooms/BaseRoom.js',
+    'js/zelda/rooms/DataRoom.js'
+]);
+
+function createRoom(items) {
+    return new game.DataRoom(null, {
+        name: 'meadow',
+        width: 8,
+        height: 6,
+        tileLegend: { '.': 'GRASS' },
+        overlayLegend: { '.': null },
+        tiles: Array(6).fill('........'),
+        overlays: Array(6).fill('........'),
+        items: items,
+        exits: []
+    });
+}
+
+// Which items are collected, as 'type@x,y' in tiles
+function collected(room) {
+    return Array.from(room.items.filter(item => item.collected), item => room.getItemKey(item));
+}
+
+test('collected items are found again by type and tile after the room file changes', () => {
+    const before = createRoom([{ type: 'heart', x: 1, y: 1 }, { type: 'coin', x: 2, y: 1 }, { type: 'heart', x: 5, y: 4 }]);
+    before.items[2].collected = true;
+    const state = JSON.parse(JSON.stringify(before.getSaveState()));
+
+    // A new item at the front shifts every index; the coin moved to another tile
+    const after = createRoom([{ type: 'sword', x: 0, y: 0 }, { type: 'heart', x: 1, y: 1 }, { type: 'coin', x: 3, y: 1 }, { type: 'heart', x: 5, y: 4 }]);
+    after.applySaveState(state);
+
+    assert.deepStrictEqual(collected(after), ['heart@5,4']);
+});
+
+test('a v9 save keeps its item flags while the room has the same number of items', () => {
+    const saveManager = new game.SaveManager({});
+    const data = saveManager.migrate({ version: 9, rooms: { meadow: { collectedItems: [false, true], defeatedAnimals: [] } } });
+
+    const room = createRoom([{ type: 'heart', x: 1, y: 1 }, { type: 'coin', x: 2, y: 1 }]);
+    room.applySaveState(data.rooms.meadow);
+
+    assert.deepStrictEqual(collected(room), ['coin@2,1']);
+});
+
+test('a v9 save drops its item flags when the room has a different number of items', () => {
+    const saveManager = new game.SaveManager({});
+    const data = saveManager.migrate({ version: 9, rooms: { meadow: { collectedItems: [false, true], defeatedAnimals: [] } } });
+
+    const room = createRoom([{ type: 'sword', x: 0, y: 0 }, { type: 'heart', x: 1, y: 1 }, { type: 'coin', x: 2, y: 1 }]);
+    room.applySaveState(data.rooms.meadow);
+
+    assert.deepStrictEqual(collected(room), []);
+});